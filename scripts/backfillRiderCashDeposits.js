@@ -0,0 +1,94 @@
+const prisma = require('../src/prismaClient');
+const { collectedCodFor, createCashDeposit } = require('../src/utils/riderCash');
+
+// Rider cash balances count every delivered COD order ever made, but deposits
+// only exist since the cash ledger was introduced, so each rider would start
+// out "holding" all COD they ever collected. Run once after deploying, with
+// the date from which deposits are recorded and the staff user to record the
+// opening deposits under:
+//
+//   node scripts/backfillRiderCashDeposits.js <cutoffYYYY-MM-DD> <receivedByUserId> [--dry-run]
+//
+// Every rider gets one opening deposit covering their undeposited COD orders
+// delivered before the cutoff. Safe to re-run: linked orders are skipped.
+
+const run = async () => {
+  const args = process.argv.slice(2);
+  const dryRun = args.includes('--dry-run');
+  const [cutoffArg, receivedByArg] = args.filter((a) => !a.startsWith('--'));
+
+  const cutoff = /^\d{4}-\d{2}-\d{2}$/.test(String(cutoffArg || ''))
+    ? new Date(`${cutoffArg}T00:00:00`)
+    : null;
+  const receivedById = Number(receivedByArg);
+  if (!cutoff || Number.isNaN(cutoff.getTime()) || !Number.isInteger(receivedById) || receivedById <= 0) {
+    console.error(
+      'Usage: node scripts/backfillRiderCashDeposits.js <cutoffYYYY-MM-DD> <receivedByUserId> [--dry-run]',
+    );
+    process.exit(1);
+  }
+
+  console.log('[BACKFILL_RIDER_CASH] Starting', { cutoff: cutoffArg, receivedById, dryRun });
+
+  const orders = await prisma.order.findMany({
+    where: {
+      assignedRiderId: { not: null },
+      status: 'DELIVERED',
+      paymentType: 'COD',
+      isDeleted: false,
+      cashDepositItem: null,
+      OR: [
+        { deliveredAt: { lt: cutoff } },
+        { deliveredAt: null, updatedAt: { lt: cutoff } },
+      ],
+    },
+    select: {
+      id: true,
+      assignedRiderId: true,
+      status: true,
+      paymentType: true,
+      codAmount: true,
+      amountCollected: true,
+    },
+  });
+
+  const byRider = new Map();
+  orders.forEach((order) => {
+    if (!byRider.has(order.assignedRiderId)) byRider.set(order.assignedRiderId, []);
+    byRider.get(order.assignedRiderId).push(order);
+  });
+
+  let deposits = 0;
+  for (const [riderId, riderOrders] of byRider) {
+    const amount = riderOrders.reduce((sum, order) => sum + collectedCodFor(order), 0);
+    console.log('[BACKFILL_RIDER_CASH] Rider', { riderId, orders: riderOrders.length, amount });
+    if (dryRun) continue;
+
+    await prisma.$transaction((tx) =>
+      createCashDeposit(tx, {
+        riderId,
+        amount,
+        orders: riderOrders,
+        receivedById,
+        reference: 'OPENING',
+        notes: `Opening balance: COD delivered before ${cutoffArg}`,
+        depositedAt: cutoff,
+      }),
+    );
+    deposits += 1;
+  }
+
+  console.log('[BACKFILL_RIDER_CASH] Completed', {
+    riders: byRider.size,
+    orders: orders.length,
+    deposits,
+    dryRun,
+  });
+};
+
+run()
+  .catch((err) => {
+    console.error('[BACKFILL_RIDER_CASH] Fatal error', err);
+    process.exitCode = 1;
+  })
+  .finally(() => prisma.$disconnect());
@@ -0,0 +1,84 @@
+const prisma = require('../src/prismaClient');
+
+// FinancialTransaction.shipperPayoutStatus arrived with COD remittances and
+// defaulted every existing row to UNPAID, which would make the whole delivery
+// history payable again. Run once after deploying, with the date from which
+// COD is paid out through remittance batches:
+//
+//   node scripts/backfillShipperPayoutStatus.js <cutoffYYYY-MM-DD> [--dry-run]
+//
+// - Orders on a PAID invoice are marked PAID as of the invoice's paidAt.
+// - Uninvoiced orders delivered before the cutoff are marked PAID with no
+//   batch, i.e. paid out before remittances existed. Invoiced orders are left
+//   to be settled through their invoice.
+// Neither gets a remittance batch, so invoicing and invoice payments are not
+// blocked by it.
+// Safe to re-run: only UNPAID rows are touched.
+
+const run = async () => {
+  const args = process.argv.slice(2);
+  const dryRun = args.includes('--dry-run');
+  const cutoffArg = args.find((a) => !a.startsWith('--'));
+
+  const cutoff = /^\d{4}-\d{2}-\d{2}$/.test(String(cutoffArg || ''))
+    ? new Date(`${cutoffArg}T00:00:00`)
+    : null;
+  if (!cutoff || Number.isNaN(cutoff.getTime())) {
+    console.error('Usage: node scripts/backfillShipperPayoutStatus.js <cutoffYYYY-MM-DD> [--dry-run]');
+    process.exit(1);
+  }
+
+  console.log('[BACKFILL_SHIPPER_PAYOUTS] Starting', { cutoff: cutoffArg, dryRun });
+
+  const paidInvoices = await prisma.invoice.findMany({
+    where: { status: 'PAID' },
+    select: { id: true, paidAt: true },
+  });
+
+  let invoiced = 0;
+  for (const invoice of paidInvoices) {
+    const where = { shipperPayoutStatus: 'UNPAID', order: { invoiceId: invoice.id } };
+    if (dryRun) {
+      invoiced += await prisma.financialTransaction.count({ where });
+      continue;
+    }
+    const result = await prisma.financialTransaction.updateMany({
+      where,
+      data: { shipperPayoutStatus: 'PAID', shipperPaidAt: invoice.paidAt || null },
+    });
+    invoiced += result.count;
+  }
+
+  const historicWhere = {
+    shipperPayoutStatus: 'UNPAID',
+    order: {
+      invoiceId: null,
+      OR: [
+        { deliveredAt: { lt: cutoff } },
+        { deliveredAt: null, createdAt: { lt: cutoff } },
+      ],
+    },
+  };
+  const historic = dryRun
+    ? await prisma.financialTransaction.count({ where: historicWhere })
+    : (
+        await prisma.financialTransaction.updateMany({
+          where: historicWhere,
+          data: { shipperPayoutStatus: 'PAID' },
+        })
+      ).count;
+
+  console.log('[BACKFILL_SHIPPER_PAYOUTS] Completed', {
+    paidInvoices: paidInvoices.length,
+    invoicedTransactions: invoiced,
+    beforeCutoffTransactions: historic,
+    dryRun,
+  });
+};
+
+run()
+  .catch((err) => {
+    console.error('[BACKFILL_SHIPPER_PAYOUTS] Fatal error', err);
+    process.exitCode = 1;
+  })
+  .finally(() => prisma.$disconnect());
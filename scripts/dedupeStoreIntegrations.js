@@ -0,0 +1,78 @@
+const prisma = require('../src/prismaClient');
+
+// ShipperIntegration is unique per (provider, shopDomain): store webhooks
+// resolve the shipper from the store, so one store may belong to one shipper
+// only. Earlier it was unique per shipper, so the same store can be linked to
+// several shippers and the schema push fails on those rows. Run this BEFORE
+// pushing the schema:
+//
+//   node scripts/dedupeStoreIntegrations.js            list duplicates only
+//   node scripts/dedupeStoreIntegrations.js --apply    delete the extra links
+//
+// Per store the link kept is the active one installed (or updated) most
+// recently; the others are deleted. Review the listing before applying: if
+// the wrong shipper keeps the store, disconnect it there and have the right
+// shipper connect again.
+
+const linkRank = (integration) => [
+  integration.status === 'active' ? 1 : 0,
+  new Date(integration.installedAt || integration.updatedAt || 0).getTime(),
+  integration.id,
+];
+
+const compareLinks = (a, b) => {
+  const ra = linkRank(a);
+  const rb = linkRank(b);
+  for (let i = 0; i < ra.length; i += 1) {
+    if (ra[i] !== rb[i]) return rb[i] - ra[i];
+  }
+  return 0;
+};
+
+const run = async () => {
+  const apply = process.argv.slice(2).includes('--apply');
+
+  const duplicates = await prisma.shipperIntegration.groupBy({
+    by: ['provider', 'shopDomain'],
+    _count: { _all: true },
+    having: { id: { _count: { gt: 1 } } },
+  });
+
+  console.log('[DEDUPE_STORE_INTEGRATIONS] Starting', { stores: duplicates.length, apply });
+
+  let removed = 0;
+  for (const group of duplicates) {
+    const links = await prisma.shipperIntegration.findMany({
+      where: { provider: group.provider, shopDomain: group.shopDomain },
+      select: { id: true, shipperId: true, status: true, installedAt: true, updatedAt: true },
+    });
+    links.sort(compareLinks);
+    const [keep, ...extra] = links;
+
+    console.log('[DEDUPE_STORE_INTEGRATIONS] Store', {
+      provider: group.provider,
+      shopDomain: group.shopDomain,
+      keep: { id: keep.id, shipperId: keep.shipperId, status: keep.status },
+      remove: extra.map((l) => ({ id: l.id, shipperId: l.shipperId, status: l.status })),
+    });
+    if (!apply) continue;
+
+    const { count } = await prisma.shipperIntegration.deleteMany({
+      where: { id: { in: extra.map((l) => l.id) } },
+    });
+    removed += count;
+  }
+
+  console.log('[DEDUPE_STORE_INTEGRATIONS] Completed', {
+    stores: duplicates.length,
+    removed,
+    apply,
+  });
+};
+
+run()
+  .catch((err) => {
+    console.error('[DEDUPE_STORE_INTEGRATIONS] Fatal error', err);
+    process.exitCode = 1;
+  })
+  .finally(() => prisma.$disconnect());
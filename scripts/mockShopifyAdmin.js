@@ -0,0 +1,106 @@
+// Minimal in-memory stand-in for the Shopify Admin REST endpoints used by
+// src/utils/shopifyFulfillment.js, for local testing of fulfillment sync.
+//
+//   node scripts/mockShopifyAdmin.js
+//   SHOPIFY_ADMIN_BASE_URL=http://localhost:4010 npm run dev
+//
+// Any order id is accepted and gets one open fulfillment order on first use.
+// GET /__mock/state dumps everything received; POST /__mock/reset clears it.
+const express = require('express');
+
+const PORT = Number(process.env.MOCK_SHOPIFY_PORT || 4010);
+const API_PREFIX = '/admin/api/:version';
+
+const app = express();
+app.use(express.json());
+
+let nextId = 1000;
+let state = { fulfillmentOrders: {}, fulfillments: {}, events: [] };
+
+const getFulfillmentOrders = (orderId) => {
+  if (!state.fulfillmentOrders[orderId]) {
+    nextId += 1;
+    state.fulfillmentOrders[orderId] = [{ id: nextId, order_id: Number(orderId) || orderId, status: 'open' }];
+  }
+  return state.fulfillmentOrders[orderId];
+};
+
+app.use((req, res, next) => {
+  console.log(`[MockShopify] ${req.method} ${req.originalUrl}`);
+  if (req.path.startsWith('/admin/') && !req.get('X-Shopify-Access-Token')) {
+    return res.status(401).json({ errors: '[API] Invalid API key or access token' });
+  }
+  next();
+});
+
+app.get(`${API_PREFIX}/orders/:orderId/fulfillment_orders.json`, (req, res) => {
+  res.json({ fulfillment_orders: getFulfillmentOrders(req.params.orderId) });
+});
+
+app.post(`${API_PREFIX}/fulfillments.json`, (req, res) => {
+  const body = (req.body && req.body.fulfillment) || {};
+  const lines = Array.isArray(body.line_items_by_fulfillment_order)
+    ? body.line_items_by_fulfillment_order
+    : [];
+  if (!lines.length) {
+    return res.status(422).json({ errors: ['line_items_by_fulfillment_order is required'] });
+  }
+
+  const fulfillmentOrders = Object.values(state.fulfillmentOrders).flat();
+  const targets = lines.map((l) => fulfillmentOrders.find((fo) => fo.id === l.fulfillment_order_id));
+  if (targets.some((fo) => !fo || fo.status !== 'open')) {
+    return res.status(422).json({ errors: ['Fulfillment order is not open'] });
+  }
+  targets.forEach((fo) => {
+    fo.status = 'closed';
+  });
+
+  nextId += 1;
+  const fulfillment = {
+    id: nextId,
+    order_id: targets[0].order_id,
+    status: 'success',
+    shipment_status: 'confirmed',
+    tracking_company: body.tracking_info?.company || null,
+    tracking_number: body.tracking_info?.number || null,
+    tracking_url: body.tracking_info?.url || null,
+    notify_customer: !!body.notify_customer,
+  };
+  state.fulfillments[fulfillment.id] = fulfillment;
+  res.status(201).json({ fulfillment });
+});
+
+app.post(`${API_PREFIX}/orders/:orderId/fulfillments/:fulfillmentId/events.json`, (req, res) => {
+  const fulfillment = state.fulfillments[req.params.fulfillmentId];
+  if (!fulfillment) {
+    return res.status(404).json({ errors: 'Not Found' });
+  }
+  const status = req.body && req.body.event && req.body.event.status;
+  if (!status) {
+    return res.status(422).json({ errors: { status: ["can't be blank"] } });
+  }
+
+  nextId += 1;
+  const event = {
+    id: nextId,
+    fulfillment_id: fulfillment.id,
+    order_id: fulfillment.order_id,
+    status,
+    message: req.body.event.message || null,
+    created_at: new Date().toISOString(),
+  };
+  fulfillment.shipment_status = status;
+  state.events.push(event);
+  res.status(201).json({ fulfillment_event: event });
+});
+
+app.get('/__mock/state', (req, res) => res.json(state));
+
+app.post('/__mock/reset', (req, res) => {
+  state = { fulfillmentOrders: {}, fulfillments: {}, events: [] };
+  res.json({ ok: true });
+});
+
+app.listen(PORT, () => {
+  console.log(`[MockShopify] Admin API mock listening on http://localhost:${PORT}`);
+});
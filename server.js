@@ -1,10 +1,12 @@
 const app = require('./src/app');
+const { startWebhookDispatcher } = require('./src/utils/webhookDelivery');
 
 const NODE_ENV = process.env.NODE_ENV || 'development';
 const PORT = Number(process.env.PORT || 5000);
 
 const server = app.listen(PORT, '0.0.0.0', () => {
   console.log(JSON.stringify({ level: 'info', message: 'Server started', port: PORT, env: NODE_ENV }));
+  startWebhookDispatcher();
 });
 // Global process-level error handlers so that unexpected errors don't crash
 // the process without at least being logged in a structured way.
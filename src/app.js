@@ -61,6 +61,18 @@ const dbReady = connectDB();
 
 const app = express();
 
+// Behind a reverse proxy req.ip is the proxy's address unless Express is told
+// how many hops to trust; rate limits and the security log key off it.
+const TRUST_PROXY = (process.env.TRUST_PROXY || "").trim();
+if (TRUST_PROXY === "true") {
+  app.set("trust proxy", true);
+} else if (/^\d+$/.test(TRUST_PROXY)) {
+  app.set("trust proxy", Number(TRUST_PROXY));
+} else if (TRUST_PROXY && TRUST_PROXY !== "false") {
+  // Comma-separated addresses/subnets, or names like "loopback"
+  app.set("trust proxy", TRUST_PROXY);
+}
+
 // Middleware
 // CORS: in production, allow only the configured FRONTEND_URL and known domains.
 // Temporarily log rejected origins to help diagnose "Failed to fetch" issues.
@@ -120,11 +132,16 @@ app.use("/api/shipper/orders", require("./routes/shipperOrderRoutes"));
 app.use("/api/shipper/finance", require("./routes/shipperFinanceRoutes"));
 app.use("/api/invoice", require("./routes/invoiceRoutes"));
 app.use("/api/integrations", require("./routes/integrationRoutes"));
+app.use("/api/webhook-logs", require("./routes/webhookLogRoutes"));
+app.use("/api/security-events", require("./routes/securityEventRoutes"));
+app.use("/api/permissions", require("./routes/permissionRoutes"));
 app.use("/api/dashboard", require("./routes/dashboardRoutes"));
 app.use("/api/riders", require("./routes/riderRoutes"));
+app.use("/api/runsheets", require("./routes/runsheetRoutes"));
 app.use("/api/notifications", require("./routes/notificationRoutes"));
 app.use("/api/company-profile", require("./routes/companyProfileRoutes"));
 app.use("/api/setup", require("./routes/setupRoutes"));
+app.use("/api/track", require("./routes/trackingRoutes"));
 
 app.get("/health", (req, res) => {
   res.status(200).json({ ok: true, ts: Date.now() });
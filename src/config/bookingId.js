@@ -1,5 +1,8 @@
 const prisma = require('../prismaClient');
 
+// Produce 6‑digit numeric ID (100000–999999)
+const formatBookingId = (seq) => String(100000 + (seq % 900000));
+
 const generateBookingId = async () => {
   // Use Prisma Counter table instead of Mongo Counter model
   const counter = await prisma.counter.upsert({
@@ -8,9 +11,21 @@ const generateBookingId = async () => {
     create: { key: 'BOOKING', seq: 1 },
   });
 
-  // Produce 6‑digit numeric ID (100000–999999)
-  const base = 100000 + (counter.seq % 900000);
-  return String(base);
+  return formatBookingId(counter.seq);
+};
+
+// Reserve a consecutive block of booking IDs in a single counter update.
+// Pass the transaction client so the block is rolled back with the batch.
+const reserveBookingIds = async (count, client = prisma) => {
+  const counter = await client.counter.upsert({
+    where: { key: 'BOOKING' },
+    update: { seq: { increment: count } },
+    create: { key: 'BOOKING', seq: count },
+  });
+
+  const first = counter.seq - count + 1;
+  return Array.from({ length: count }, (_, i) => formatBookingId(first + i));
 };
 
 module.exports = generateBookingId;
+module.exports.reserveBookingIds = reserveBookingIds;
@@ -1,5 +1,8 @@
 const prisma = require('../prismaClient');
 
+// Produce 7‑digit numeric ID (1000000–9999999)
+const formatTrackingId = (seq) => String(1000000 + (seq % 9000000));
+
 const generateTrackingId = async () => {
   for (let attempts = 0; attempts < 5; attempts++) {
     const counter = await prisma.counter.upsert({
@@ -8,8 +11,7 @@ const generateTrackingId = async () => {
       create: { key: 'TRACKING', seq: 1 },
     });
 
-    // Produce 7‑digit numeric ID (1000000–9999999)
-    const candidate = String(1000000 + (counter.seq % 9000000));
+    const candidate = formatTrackingId(counter.seq);
     const exists = await prisma.order.findUnique({ where: { trackingId: candidate } });
     if (!exists) return candidate;
   }
@@ -18,4 +20,39 @@ const generateTrackingId = async () => {
   return String(Math.floor(Date.now() % 10000000)).padStart(7, '0');
 };
 
+// Reserve a block of consecutive tracking IDs, skipping any that already
+// exist (the 7-digit space wraps around). Pass the transaction client so the
+// counter increment is rolled back with the batch.
+const reserveTrackingIds = async (count, client = prisma) => {
+  const ids = [];
+
+  for (let attempts = 0; attempts < 5 && ids.length < count; attempts++) {
+    const needed = count - ids.length;
+    const counter = await client.counter.upsert({
+      where: { key: 'TRACKING' },
+      update: { seq: { increment: needed } },
+      create: { key: 'TRACKING', seq: needed },
+    });
+
+    const first = counter.seq - needed + 1;
+    const candidates = Array.from({ length: needed }, (_, i) => formatTrackingId(first + i));
+    const taken = await client.order.findMany({
+      where: { trackingId: { in: candidates } },
+      select: { trackingId: true },
+    });
+    const takenSet = new Set(taken.map((o) => o.trackingId));
+
+    candidates.forEach((candidate) => {
+      if (!takenSet.has(candidate)) ids.push(candidate);
+    });
+  }
+
+  if (ids.length < count) {
+    throw new Error('Unable to allocate tracking IDs for bulk upload');
+  }
+
+  return ids;
+};
+
 module.exports = generateTrackingId;
+module.exports.reserveTrackingIds = reserveTrackingIds;
@@ -6,11 +6,96 @@ const { OAuth2Client } = require('google-auth-library');
 const { google } = require('googleapis');
 const prisma = require('../prismaClient');
 const { normalizeCommissionRule } = require('../utils/serviceChargeCalculator');
+const {
+  getJwtSecret,
+  getAccessTokenTtl,
+  getRefreshTokenTtlMs,
+  createSession,
+  rotateRefreshToken,
+  revokeSession,
+  revokeRefreshToken,
+  revokeUserSessions,
+} = require('../utils/sessions');
+const {
+  TWO_FACTOR_ROLES,
+  CHALLENGE_LOGIN,
+  encryptSecret,
+  getRequiredRoles,
+  setRequiredRoles,
+  isTwoFactorRequired,
+  readChallenge,
+  getLoginChallenge,
+  regenerateBackupCodes,
+  verifySecondFactor,
+} = require('../utils/twoFactor');
+const { generateSecret, buildOtpauthUrl } = require('../utils/totp');
+const { recordSecurityEvent } = require('../utils/securityEvents');
+const {
+  getLockRemainingSeconds,
+  respondLocked,
+  registerFailedLogin,
+  clearFailedLogins,
+} = require('../utils/loginLockout');
+const QRCode = require('qrcode');
 
 // Centralized backend URL helpers
 const API_BASE_URL = (process.env.API_BASE_URL || process.env.API_URL || process.env.SERVER_URL || '').replace(/\/$/, '');
 const FRONTEND_URL = (process.env.FRONTEND_URL || process.env.CLIENT_URL || '').replace(/\/$/, '');
 
+const REFRESH_COOKIE = 'refreshToken';
+
+const authCookieOptions = (path) => ({
+  httpOnly: true,
+  secure: process.env.NODE_ENV === 'production', // Use secure in production
+  sameSite: 'strict',
+  path,
+});
+
+// No cookie-parser in this app, so read the raw Cookie header
+const readCookie = (req, name) => {
+  const header = req.headers && req.headers.cookie;
+  if (!header) return null;
+  for (const part of header.split(';')) {
+    const [key, ...rest] = part.trim().split('=');
+    if (key === name) return decodeURIComponent(rest.join('='));
+  }
+  return null;
+};
+
+const setSessionCookies = (res, accessToken, refreshToken) => {
+  const maxAge = getRefreshTokenTtlMs();
+  res.cookie('token', accessToken, { ...authCookieOptions('/'), maxAge });
+  // Only the auth endpoints ever need to see the refresh token
+  res.cookie(REFRESH_COOKIE, refreshToken, { ...authCookieOptions('/api/auth'), maxAge });
+};
+
+const clearSessionCookies = (res) => {
+  res.clearCookie('token', authCookieOptions('/'));
+  res.clearCookie(REFRESH_COOKIE, authCookieOptions('/api/auth'));
+};
+
+// Create a session for a freshly authenticated user, set the cookies and
+// return the token fields shared by every login response.
+const startSession = async (user, req, res) => {
+  const { accessToken, refreshToken } = await createSession(user, req);
+  setSessionCookies(res, accessToken, refreshToken);
+  return {
+    token: accessToken,
+    refreshToken,
+    expiresIn: getAccessTokenTtl(),
+  };
+};
+
+const mapSession = (session, currentSessionId) => ({
+  id: session.id,
+  userAgent: session.userAgent,
+  ipAddress: session.ipAddress,
+  createdAt: session.createdAt,
+  lastUsedAt: session.lastUsedAt,
+  expiresAt: session.expiresAt,
+  current: session.id === currentSessionId,
+});
+
 exports.login = async (req, res, next) => {
   try {
     const { email, password } = req.body;
@@ -23,6 +108,10 @@ exports.login = async (req, res, next) => {
     // Check for user in MySQL via Prisma
     const user = await prisma.user.findUnique({ where: { email } });
     if (!user) {
+      await recordSecurityEvent(req, 'LOGIN_FAILED', {
+        email,
+        metadata: { reason: 'UNKNOWN_EMAIL' },
+      });
       return res.status(401).json({ message: 'Invalid credentials' });
     }
 
@@ -31,32 +120,40 @@ exports.login = async (req, res, next) => {
       return res.status(403).json({ message: 'Account is inactive. Contact administrator.' });
     }
 
+    // Locked accounts are refused before the password is even checked
+    const lockedFor = getLockRemainingSeconds(user);
+    if (lockedFor) {
+      await recordSecurityEvent(req, 'LOGIN_BLOCKED', { userId: user.id, email: user.email });
+      return respondLocked(res, lockedFor);
+    }
+
     // Check password
     const isMatch = await bcrypt.compare(password, user.passwordHash);
     if (!isMatch) {
+      const nowLockedFor = await registerFailedLogin(req, user, 'LOGIN_FAILED');
+      if (nowLockedFor) return respondLocked(res, nowLockedFor);
       return res.status(401).json({ message: 'Invalid credentials' });
     }
 
-    const secret = process.env.JWT_SECRET || 'dev_secret_key';
-    const expiresIn = process.env.JWT_EXPIRES_IN || '30d'; // 30 days
-    const token = jwt.sign(
-      { id: user.id, role: user.role, name: user.name, email: user.email },
-      secret,
-      { expiresIn }
-    );
+    // Second factor first when the account has (or must have) 2FA. The
+    // failed-attempt count is only cleared once that step passes too.
+    const challenge = await getLoginChallenge(user);
+    if (challenge) {
+      return res.json({ ...challenge, email: user.email });
+    }
 
-    // Set HTTP-only cookie with the token
-    res.cookie('token', token, {
-      httpOnly: true,
-      secure: process.env.NODE_ENV === 'production', // Use secure in production
-      sameSite: 'strict',
-      maxAge: 30 * 24 * 60 * 60 * 1000, // 30 days in milliseconds
-      path: '/',
+    await clearFailedLogins(user);
+    await recordSecurityEvent(req, 'LOGIN_SUCCESS', {
+      userId: user.id,
+      email: user.email,
+      metadata: { method: 'PASSWORD' },
     });
 
-    // Also send token in response for clients that need it
+    const tokens = await startSession(user, req, res);
+
+    // Also send tokens in response for clients that need them
     res.json({ 
-      token, 
+      ...tokens,
       role: user.role, 
       name: user.name,
       email: user.email,
@@ -218,29 +315,66 @@ exports.me = async (req, res, next) => {
 
 // Generate a 6-digit verification code
 function generateVerificationCode() {
-  return Math.floor(100000 + Math.random() * 900000).toString();
+  return crypto.randomInt(100000, 1000000).toString();
 }
 
+// Wrong guesses allowed per reset code before it is thrown away
+const MAX_RESET_CODE_ATTEMPTS = Math.max(1, Number(process.env.RESET_CODE_MAX_ATTEMPTS) || 5);
+// Codes sent to one account per hour, whatever IP asks
+const MAX_RESET_REQUESTS_PER_HOUR = Math.max(1, Number(process.env.RESET_CODE_REQUESTS_PER_HOUR) || 3);
+
+const codesMatch = (expected, given) => {
+  const a = Buffer.from(String(expected));
+  const b = Buffer.from(String(given).trim());
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+};
+
 // Forgot password - request a verification code
 exports.forgotPassword = async (req, res, next) => {
   try {
     const { email } = req.body;
     if (!email) return res.status(400).json({ message: 'Email is required' });
 
-    const user = await prisma.user.findUnique({ where: { email } });
+    let user = await prisma.user.findUnique({ where: { email } });
+    let verificationCode;
+
+    if (user) {
+      const recentRequests = await prisma.securityEvent.count({
+        where: {
+          userId: user.id,
+          type: 'PASSWORD_RESET_REQUESTED',
+          createdAt: { gt: new Date(Date.now() - 60 * 60 * 1000) },
+        },
+      });
+      if (recentRequests >= MAX_RESET_REQUESTS_PER_HOUR) {
+        // Same answer as a sent code so the limit does not reveal the account
+        await recordSecurityEvent(req, 'RATE_LIMITED', {
+          userId: user.id,
+          email: user.email,
+          metadata: { endpoint: 'forgot-password', reason: 'ACCOUNT_LIMIT' },
+        });
+        user = null;
+      }
+    }
+
     if (user) {
       // Generate a 6-digit verification code
-      const verificationCode = generateVerificationCode();
+      verificationCode = generateVerificationCode();
       const expiresAt = new Date(Date.now() + 10 * 60 * 1000); // 10 minutes from now
 
-      // Save the verification code and expiry
+      // Save the verification code and expiry; a new code gets fresh attempts
       await prisma.user.update({
         where: { id: user.id },
         data: {
           resetPasswordCode: verificationCode,
           resetPasswordExpires: expiresAt,
+          resetPasswordAttempts: 0,
         },
       });
+      await recordSecurityEvent(req, 'PASSWORD_RESET_REQUESTED', {
+        userId: user.id,
+        email: user.email,
+      });
 
       // Send verification code via email and log it for testing
       console.log('\n======================================');
@@ -278,18 +412,51 @@ exports.verifyResetCode = async (req, res, next) => {
       return res.status(400).json({ message: 'Email and verification code are required' });
     }
 
-    const user = await prisma.user.findFirst({
-      where: {
+    const user = await prisma.user.findUnique({ where: { email } });
+    if (!user || !user.resetPasswordCode || !user.resetPasswordExpires || user.resetPasswordExpires <= new Date()) {
+      await recordSecurityEvent(req, 'RESET_CODE_FAILED', {
+        userId: user ? user.id : null,
         email,
-        resetPasswordCode: code,
-        resetPasswordExpires: { gt: new Date() },
-      },
-    });
-
-    if (!user) {
+        metadata: { reason: user ? 'NO_ACTIVE_CODE' : 'UNKNOWN_EMAIL' },
+      });
       return res.status(400).json({ message: 'Invalid or expired verification code' });
     }
 
+    if (!codesMatch(user.resetPasswordCode, code)) {
+      const updated = await prisma.user.update({
+        where: { id: user.id },
+        data: { resetPasswordAttempts: { increment: 1 } },
+        select: { resetPasswordAttempts: true },
+      });
+      const attempts = updated.resetPasswordAttempts;
+
+      if (attempts >= MAX_RESET_CODE_ATTEMPTS) {
+        // Burn the code so the rest of the 6-digit space cannot be tried
+        await prisma.user.update({
+          where: { id: user.id },
+          data: { resetPasswordCode: null, resetPasswordExpires: null },
+        });
+        await recordSecurityEvent(req, 'RESET_CODE_LOCKED', {
+          userId: user.id,
+          email: user.email,
+          metadata: { attempts },
+        });
+        return res.status(429).json({
+          message: 'Too many incorrect codes. Please request a new verification code.',
+        });
+      }
+
+      await recordSecurityEvent(req, 'RESET_CODE_FAILED', {
+        userId: user.id,
+        email: user.email,
+        metadata: { reason: 'WRONG_CODE', attempts },
+      });
+      return res.status(400).json({
+        message: 'Invalid or expired verification code',
+        attemptsRemaining: MAX_RESET_CODE_ATTEMPTS - attempts,
+      });
+    }
+
     // Generate a one-time token for password reset
     const resetToken = crypto.randomBytes(32).toString('hex');
     await prisma.user.update({
@@ -298,6 +465,7 @@ exports.verifyResetCode = async (req, res, next) => {
         resetPasswordToken: resetToken,
         resetPasswordExpires: new Date(Date.now() + 10 * 60 * 1000),
         resetPasswordCode: null,
+        resetPasswordAttempts: 0,
       },
     });
 
@@ -342,9 +510,16 @@ exports.resetPassword = async (req, res, next) => {
         passwordHash: await bcrypt.hash(password, 10),
         resetPasswordToken: null,
         resetPasswordExpires: null,
+        // Proving control of the mailbox also lifts a brute-force lockout
+        failedLoginCount: 0,
+        lockedUntil: null,
       },
     });
 
+    // Whoever knew the old password should not stay signed in
+    await revokeUserSessions(user.id, 'PASSWORD_RESET');
+    await recordSecurityEvent(req, 'PASSWORD_RESET', { userId: user.id, email: user.email });
+
     res.json({ message: 'Password has been reset successfully' });
   } catch (error) {
     next(error);
@@ -427,18 +602,24 @@ exports.googleAuth = async (req, res, next) => {
       });
     }
 
-    // Generate JWT token (same as regular login)
-    const secret = process.env.JWT_SECRET || 'dev_secret_key';
-    const expires = process.env.JWT_EXPIRES_IN || '7d';
-    const token = jwt.sign(
-      { id: user.id, role: user.role, name: user.name, email: user.email },
-      secret,
-      { expiresIn: expires }
-    );
+    // Second factor first when the account has (or must have) 2FA
+    const challenge = await getLoginChallenge(user);
+    if (challenge) {
+      return res.json({ ...challenge, email: user.email });
+    }
+
+    await recordSecurityEvent(req, 'LOGIN_SUCCESS', {
+      userId: user.id,
+      email: user.email,
+      metadata: { method: 'GOOGLE' },
+    });
+
+    // Start a session (same as regular login)
+    const tokens = await startSession(user, req, res);
 
     // Return the same response format as regular login
     res.json({ 
-      token, 
+      ...tokens,
       role: user.role, 
       name: user.name,
       email: user.email
@@ -486,23 +667,28 @@ exports.googleAuthCallback = async (req, res, next) => {
       });
     }
 
-    // Generate JWT
-    const expiresIn = process.env.JWT_EXPIRES_IN || '30d';
-    const token = jwt.sign(
-      { id: user.id, role: user.role, name: user.name, email: user.email },
-      process.env.JWT_SECRET,
-      { expiresIn }
-    );
+    if (user.status !== 'ACTIVE') {
+      return res.redirect(`${FRONTEND_URL}/login?error=account_inactive`);
+    }
+
+    // Hand over to the frontend's 2FA screen when a second factor is due
+    const challenge = await getLoginChallenge(user);
+    if (challenge) {
+      const step = challenge.twoFactorSetupRequired ? 'setup' : 'verify';
+      return res.redirect(
+        `${FRONTEND_URL}/auth/2fa?step=${step}&challenge=${encodeURIComponent(challenge.challengeToken)}`
+      );
+    }
 
-    // Set HTTP-only cookie with the token
-    res.cookie('token', token, {
-      httpOnly: true,
-      secure: process.env.NODE_ENV === 'production',
-      sameSite: 'strict',
-      maxAge: 30 * 24 * 60 * 60 * 1000, // 30 days in milliseconds
-      path: '/',
+    await recordSecurityEvent(req, 'LOGIN_SUCCESS', {
+      userId: user.id,
+      email: user.email,
+      metadata: { method: 'GOOGLE' },
     });
 
+    // Start a session; the refresh token stays in its HTTP-only cookie
+    const { token } = await startSession(user, req, res);
+
     // Redirect to frontend with token in URL for clients that need it
     res.redirect(`${FRONTEND_URL}/auth/callback?token=${token}`);
   } catch (error) {
@@ -511,16 +697,61 @@ exports.googleAuthCallback = async (req, res, next) => {
   }
 };
 
-// Logout endpoint
-exports.logout = (req, res) => {
+// Exchange a refresh token (body or cookie) for a new access/refresh pair
+exports.refresh = async (req, res, next) => {
   try {
-    // Clear the token cookie
-    res.clearCookie('token', {
-      path: '/',
-      httpOnly: true,
-      secure: process.env.NODE_ENV === 'production',
-      sameSite: 'strict'
+    const refreshToken =
+      (req.body && req.body.refreshToken) || readCookie(req, REFRESH_COOKIE);
+    if (!refreshToken) {
+      return res.status(400).json({ message: 'Refresh token is required' });
+    }
+
+    const result = await rotateRefreshToken(refreshToken, req);
+    if (result.error) {
+      clearSessionCookies(res);
+      return res.status(401).json({ message: result.error });
+    }
+
+    setSessionCookies(res, result.accessToken, result.refreshToken);
+    res.json({
+      token: result.accessToken,
+      refreshToken: result.refreshToken,
+      expiresIn: getAccessTokenTtl(),
+      role: result.user.role,
+      name: result.user.name,
+      email: result.user.email,
+      id: result.user.id,
     });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Logout endpoint. Ends the session named by the refresh token, or failing
+// that by the (possibly expired) access token.
+exports.logout = async (req, res) => {
+  try {
+    const refreshToken =
+      (req.body && req.body.refreshToken) || readCookie(req, REFRESH_COOKIE);
+    if (refreshToken) {
+      await revokeRefreshToken(refreshToken, 'LOGOUT');
+    } else {
+      const authHeader = req.header('Authorization') || '';
+      const accessToken = authHeader.startsWith('Bearer ')
+        ? authHeader.replace('Bearer ', '')
+        : readCookie(req, 'token');
+      if (accessToken) {
+        try {
+          const decoded = jwt.verify(accessToken, getJwtSecret(), { ignoreExpiration: true });
+          if (decoded.sid) await revokeSession(Number(decoded.sid), 'LOGOUT');
+        } catch (e) {
+          // Not our token; nothing to revoke
+        }
+      }
+    }
+
+    // Clear the token cookies
+    clearSessionCookies(res);
     
     res.json({ success: true, message: 'Successfully logged out' });
   } catch (error) {
@@ -528,3 +759,311 @@ exports.logout = (req, res) => {
     res.status(500).json({ success: false, message: 'Error during logout' });
   }
 };
+
+// List the signed-in devices of the current user
+exports.listSessions = async (req, res, next) => {
+  try {
+    const sessions = await prisma.userSession.findMany({
+      where: { userId: req.user.id, revokedAt: null, expiresAt: { gt: new Date() } },
+      orderBy: { lastUsedAt: 'desc' },
+    });
+
+    res.json({ sessions: sessions.map((s) => mapSession(s, req.user.sid)) });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Sign out one of the current user's devices
+exports.deleteSession = async (req, res, next) => {
+  try {
+    const sessionId = Number(req.params.id);
+    if (!Number.isInteger(sessionId) || sessionId <= 0) {
+      return res.status(400).json({ message: 'Invalid session id' });
+    }
+
+    const session = await prisma.userSession.findUnique({ where: { id: sessionId } });
+    if (!session || session.userId !== req.user.id) {
+      return res.status(404).json({ message: 'Session not found' });
+    }
+
+    await revokeSession(sessionId, 'REVOKED_BY_USER');
+    if (sessionId === req.user.sid) {
+      clearSessionCookies(res);
+    }
+
+    res.json({ success: true, message: 'Session revoked' });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Log out all devices, including this one
+exports.logoutAll = async (req, res, next) => {
+  try {
+    const { count } = await revokeUserSessions(req.user.id, 'LOGOUT_ALL');
+    clearSessionCookies(res);
+    res.json({ success: true, message: 'Logged out of all devices', revoked: count });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// --- Two-factor authentication ---
+
+const TWO_FACTOR_ISSUER = 'LahoreLink Logistics';
+
+// GET /api/auth/2fa/status
+exports.twoFactorStatus = async (req, res, next) => {
+  try {
+    const user = await prisma.user.findUnique({ where: { id: req.user.id } });
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const backupCodesRemaining = user.twoFactorEnabled
+      ? await prisma.twoFactorBackupCode.count({ where: { userId: user.id, usedAt: null } })
+      : 0;
+
+    res.json({
+      eligible: TWO_FACTOR_ROLES.includes(user.role),
+      enabled: user.twoFactorEnabled,
+      enabledAt: user.twoFactorEnabledAt,
+      required: await isTwoFactorRequired(user),
+      backupCodesRemaining,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// POST /api/auth/2fa/setup - start enrollment: new secret plus QR code.
+// Signed in, or mid-login with a setup challengeToken.
+exports.twoFactorSetup = async (req, res, next) => {
+  try {
+    const user = await prisma.user.findUnique({ where: { id: req.user.id } });
+    if (!user || user.status !== 'ACTIVE') {
+      return res.status(401).json({ message: 'Unauthorized' });
+    }
+    if (!TWO_FACTOR_ROLES.includes(user.role)) {
+      return res.status(403).json({ message: 'Two-factor authentication is not available for this role' });
+    }
+    if (user.twoFactorEnabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is already enabled' });
+    }
+
+    const secret = generateSecret();
+    await prisma.user.update({
+      where: { id: user.id },
+      data: { twoFactorSecret: encryptSecret(secret), twoFactorLastUsedStep: null },
+    });
+
+    const otpauthUrl = buildOtpauthUrl(secret, user.email, TWO_FACTOR_ISSUER);
+    const qrCode = await QRCode.toDataURL(otpauthUrl, { margin: 1, width: 220 });
+
+    res.json({ secret, otpauthUrl, qrCode });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// POST /api/auth/2fa/enable { code } - confirm enrollment with a first code.
+// Returns the backup codes, plus a session when enrolling mid-login.
+exports.twoFactorEnable = async (req, res, next) => {
+  try {
+    const user = await prisma.user.findUnique({ where: { id: req.user.id } });
+    if (!user || user.status !== 'ACTIVE') {
+      return res.status(401).json({ message: 'Unauthorized' });
+    }
+    if (user.twoFactorEnabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is already enabled' });
+    }
+    if (!user.twoFactorSecret) {
+      return res.status(400).json({ message: 'Start two-factor setup first' });
+    }
+
+    const method = await verifySecondFactor(user, req.body && req.body.code);
+    if (method !== 'TOTP') {
+      return res.status(400).json({ message: 'Invalid authentication code' });
+    }
+
+    const backupCodes = await prisma.$transaction(async (tx) => {
+      await tx.user.update({
+        where: { id: user.id },
+        data: { twoFactorEnabled: true, twoFactorEnabledAt: new Date() },
+      });
+      return regenerateBackupCodes(tx, user.id);
+    });
+
+    const response = {
+      message: 'Two-factor authentication enabled',
+      backupCodes,
+    };
+
+    if (req.twoFactorSetupChallenge) {
+      await clearFailedLogins(user);
+      await recordSecurityEvent(req, 'LOGIN_SUCCESS', {
+        userId: user.id,
+        email: user.email,
+        metadata: { method: 'TWO_FACTOR_SETUP' },
+      });
+      const tokens = await startSession(user, req, res);
+      Object.assign(response, tokens, {
+        role: user.role,
+        name: user.name,
+        email: user.email,
+        id: user.id,
+      });
+    }
+
+    res.json(response);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// POST /api/auth/2fa/verify { challengeToken, code } - second step of login
+exports.twoFactorVerifyLogin = async (req, res, next) => {
+  try {
+    const { challengeToken, code } = req.body || {};
+    const userId = readChallenge(challengeToken, CHALLENGE_LOGIN);
+    if (!userId) {
+      return res.status(401).json({ message: 'Login challenge is invalid or has expired. Please log in again.' });
+    }
+
+    const user = await prisma.user.findUnique({ where: { id: userId } });
+    if (!user || !user.twoFactorEnabled) {
+      return res.status(401).json({ message: 'Please log in again.' });
+    }
+    if (user.status !== 'ACTIVE') {
+      return res.status(403).json({ message: 'Account is inactive. Contact administrator.' });
+    }
+
+    // Code guesses count towards the same lockout as wrong passwords
+    const lockedFor = getLockRemainingSeconds(user);
+    if (lockedFor) {
+      await recordSecurityEvent(req, 'LOGIN_BLOCKED', { userId: user.id, email: user.email });
+      return respondLocked(res, lockedFor);
+    }
+
+    const method = await verifySecondFactor(user, code);
+    if (!method) {
+      const nowLockedFor = await registerFailedLogin(req, user, 'TWO_FACTOR_FAILED');
+      if (nowLockedFor) return respondLocked(res, nowLockedFor);
+      return res.status(401).json({ message: 'Invalid authentication code' });
+    }
+
+    await clearFailedLogins(user);
+    await recordSecurityEvent(req, 'LOGIN_SUCCESS', {
+      userId: user.id,
+      email: user.email,
+      metadata: { method },
+    });
+
+    const tokens = await startSession(user, req, res);
+
+    res.json({
+      ...tokens,
+      role: user.role,
+      name: user.name,
+      email: user.email,
+      id: user.id,
+      usedBackupCode: method === 'BACKUP_CODE',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// POST /api/auth/2fa/disable { code }
+exports.twoFactorDisable = async (req, res, next) => {
+  try {
+    const user = await prisma.user.findUnique({ where: { id: req.user.id } });
+    if (!user || !user.twoFactorEnabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is not enabled' });
+    }
+    if (await isTwoFactorRequired(user)) {
+      return res.status(403).json({ message: 'Two-factor authentication is required for your role' });
+    }
+
+    const method = await verifySecondFactor(user, req.body && req.body.code);
+    if (!method) {
+      return res.status(400).json({ message: 'Invalid authentication code' });
+    }
+
+    await prisma.$transaction([
+      prisma.twoFactorBackupCode.deleteMany({ where: { userId: user.id } }),
+      prisma.user.update({
+        where: { id: user.id },
+        data: {
+          twoFactorEnabled: false,
+          twoFactorSecret: null,
+          twoFactorEnabledAt: null,
+          twoFactorLastUsedStep: null,
+        },
+      }),
+    ]);
+
+    res.json({ message: 'Two-factor authentication disabled' });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// POST /api/auth/2fa/backup-codes { code } - replace all backup codes
+exports.twoFactorRegenerateBackupCodes = async (req, res, next) => {
+  try {
+    const user = await prisma.user.findUnique({ where: { id: req.user.id } });
+    if (!user || !user.twoFactorEnabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is not enabled' });
+    }
+
+    const method = await verifySecondFactor(user, req.body && req.body.code);
+    if (!method) {
+      return res.status(400).json({ message: 'Invalid authentication code' });
+    }
+
+    const backupCodes = await regenerateBackupCodes(prisma, user.id);
+    res.json({ backupCodes });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// GET /api/auth/2fa/policy (CEO)
+exports.getTwoFactorPolicy = async (req, res, next) => {
+  try {
+    res.json({
+      requiredRoles: await getRequiredRoles(),
+      eligibleRoles: TWO_FACTOR_ROLES,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// PUT /api/auth/2fa/policy { requiredRoles: ['CEO', 'MANAGER', 'ACCOUNTANT'] } (CEO).
+// Users of a newly required role are asked to enroll at their next login.
+exports.updateTwoFactorPolicy = async (req, res, next) => {
+  try {
+    const { requiredRoles } = req.body || {};
+    if (!Array.isArray(requiredRoles)) {
+      return res.status(400).json({ message: 'requiredRoles must be an array' });
+    }
+
+    const roles = [...new Set(requiredRoles.map((r) => String(r).toUpperCase()))];
+    const invalid = roles.filter((r) => !TWO_FACTOR_ROLES.includes(r));
+    if (invalid.length) {
+      return res.status(400).json({
+        message: `Two-factor authentication can only be required for ${TWO_FACTOR_ROLES.join(', ')}`,
+      });
+    }
+
+    res.json({
+      requiredRoles: await setRequiredRoles(roles),
+      eligibleRoles: TWO_FACTOR_ROLES,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
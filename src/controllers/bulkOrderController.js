@@ -0,0 +1,295 @@
+const { Readable } = require('stream');
+const ExcelJS = require('exceljs');
+const prisma = require('../prismaClient');
+const { reserveBookingIds } = require('../config/bookingId');
+const { reserveTrackingIds } = require('../config/trackingId');
+const { buildManualOrderData } = require('../utils/orderValidation');
+
+const MAX_BULK_ROWS = Number(process.env.BULK_ORDER_MAX_ROWS || 500);
+
+// Template columns in display order. `aliases` are matched against the
+// uploaded header after lower-casing and stripping non-alphanumerics, so
+// "COD Amount", "cod_amount" and "COD" all map to codAmount.
+const BULK_COLUMNS = [
+  { key: 'consigneeName', header: 'Consignee Name', width: 24, aliases: ['consigneename', 'name', 'customername', 'receivername'] },
+  { key: 'consigneePhone', header: 'Consignee Phone', width: 18, aliases: ['consigneephone', 'phone', 'mobile', 'phonenumber', 'contactnumber'] },
+  { key: 'consigneeAddress', header: 'Consignee Address', width: 40, aliases: ['consigneeaddress', 'address', 'deliveryaddress'] },
+  { key: 'destinationCity', header: 'Destination City', width: 18, aliases: ['destinationcity', 'city'] },
+  { key: 'serviceType', header: 'Service Type', width: 14, aliases: ['servicetype', 'service'] },
+  { key: 'paymentType', header: 'Payment Type', width: 14, aliases: ['paymenttype', 'payment'] },
+  { key: 'codAmount', header: 'COD Amount', width: 12, aliases: ['codamount', 'cod', 'codpkr'] },
+  { key: 'weightKg', header: 'Weight (kg)', width: 12, aliases: ['weightkg', 'weight'] },
+  { key: 'lengthCm', header: 'Length (cm)', width: 12, aliases: ['lengthcm', 'length'] },
+  { key: 'widthCm', header: 'Width (cm)', width: 12, aliases: ['widthcm', 'width'] },
+  { key: 'heightCm', header: 'Height (cm)', width: 12, aliases: ['heightcm', 'height'] },
+  { key: 'productDescription', header: 'Product Description', width: 30, aliases: ['productdescription', 'product', 'description', 'items'] },
+  { key: 'pieces', header: 'Pieces', width: 8, aliases: ['pieces', 'qty', 'quantity'] },
+  { key: 'fragile', header: 'Fragile', width: 8, aliases: ['fragile'] },
+  { key: 'remarks', header: 'Remarks', width: 30, aliases: ['remarks', 'notes', 'instructions'] },
+];
+
+const normalizeHeader = (value) =>
+  String(value || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+// ExcelJS returns rich text, hyperlinks and formulas as objects.
+const cellToValue = (value) => {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value === 'object') {
+    if (Array.isArray(value.richText)) {
+      return value.richText.map((part) => part.text).join('');
+    }
+    if (value.text !== undefined) return cellToValue(value.text);
+    if (value.result !== undefined) return cellToValue(value.result);
+    return '';
+  }
+  return value;
+};
+
+const loadWorksheet = async (file) => {
+  const workbook = new ExcelJS.Workbook();
+  const isCsv = /\.csv$/i.test(file.originalname || '') || file.mimetype === 'text/csv';
+
+  if (isCsv) {
+    // Keep every CSV value as text; the default mapper turns phone numbers
+    // into numbers and drops the leading zero.
+    return workbook.csv.read(Readable.from(file.buffer), { map: (value) => value });
+  }
+
+  await workbook.xlsx.load(file.buffer);
+  return workbook.worksheets[0] || null;
+};
+
+// Map header cells to column keys; returns { columnIndexByKey, unknownHeaders }
+const mapHeaderRow = (row) => {
+  const columnIndexByKey = {};
+  const unknownHeaders = [];
+
+  row.eachCell((cell, colNumber) => {
+    const raw = String(cellToValue(cell.value)).trim();
+    if (!raw) return;
+    const normalized = normalizeHeader(raw);
+    const column = BULK_COLUMNS.find((c) => c.aliases.includes(normalized));
+    if (column && columnIndexByKey[column.key] === undefined) {
+      columnIndexByKey[column.key] = colNumber;
+    } else if (!column) {
+      unknownHeaders.push(raw);
+    }
+  });
+
+  return { columnIndexByKey, unknownHeaders };
+};
+
+/**
+ * Download the bulk order upload template
+ * GET /api/orders/bulk-upload/template
+ */
+exports.downloadBulkTemplate = async (req, res, next) => {
+  try {
+    const workbook = new ExcelJS.Workbook();
+    const sheet = workbook.addWorksheet('Orders');
+    sheet.columns = BULK_COLUMNS.map(({ key, header, width }) => ({ key, header, width }));
+    sheet.getRow(1).font = { bold: true };
+    // Text format so Excel keeps the leading zero of mobile numbers
+    sheet.getColumn('consigneePhone').numFmt = '@';
+
+    const help = workbook.addWorksheet('Instructions');
+    help.columns = [
+      { header: 'Column', key: 'column', width: 22 },
+      { header: 'Notes', key: 'notes', width: 80 },
+    ];
+    help.getRow(1).font = { bold: true };
+    [
+      ['Consignee Name', 'Required'],
+      ['Consignee Phone', 'Required, 7 to 15 digits'],
+      ['Consignee Address', 'Required'],
+      ['Destination City', 'Required'],
+      ['Service Type', 'SAME_DAY, OVERNIGHT or ECONOMY (default SAME_DAY)'],
+      ['Payment Type', 'COD or ADVANCE (default COD when COD Amount > 0)'],
+      ['COD Amount', 'PKR, ignored for ADVANCE orders'],
+      ['Weight (kg)', 'Required, greater than 0'],
+      ['Length (cm)', 'Optional; with Width and Height, bulky parcels are billed on volumetric weight'],
+      ['Width (cm)', 'Optional, see Length'],
+      ['Height (cm)', 'Optional, see Length'],
+      ['Product Description', 'Required'],
+      ['Pieces', 'Whole number (default 1)'],
+      ['Fragile', 'Yes / No'],
+      ['Remarks', 'Optional'],
+      ['', `Only the first sheet is imported, up to ${MAX_BULK_ROWS} rows per file. CSV files must use the same headers.`],
+    ].forEach(([column, notes]) => help.addRow({ column, notes }));
+
+    res.setHeader(
+      'Content-Type',
+      'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    );
+    res.setHeader(
+      'Content-Disposition',
+      'attachment; filename="bulk-orders-template.xlsx"',
+    );
+
+    await workbook.xlsx.write(res);
+    res.end();
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Bulk create orders from an XLSX/CSV upload (multipart field "file")
+ * POST /api/orders/bulk-upload
+ *
+ * Every row is validated exactly like POST /api/orders. Valid rows are created
+ * in one transaction with consecutive booking/tracking IDs; invalid rows are
+ * returned in `errors` with their spreadsheet row number. Pass ?dryRun=true to
+ * only validate.
+ */
+exports.bulkUploadOrders = async (req, res, next) => {
+  try {
+    const shipperId = Number(req.user.id);
+    if (!Number.isInteger(shipperId) || shipperId <= 0) {
+      return res.status(400).json({ message: 'Invalid shipper id' });
+    }
+
+    if (!req.file || !req.file.buffer) {
+      return res.status(400).json({ message: 'Upload an .xlsx or .csv file in the "file" field' });
+    }
+
+    let worksheet;
+    try {
+      worksheet = await loadWorksheet(req.file);
+    } catch (parseErr) {
+      console.error('[BulkUpload] Failed to parse upload', parseErr);
+      return res.status(400).json({ message: 'Could not read the uploaded file' });
+    }
+
+    if (!worksheet || worksheet.rowCount < 2) {
+      return res.status(400).json({ message: 'The uploaded file has no order rows' });
+    }
+
+    const { columnIndexByKey, unknownHeaders } = mapHeaderRow(worksheet.getRow(1));
+    const missingColumns = ['consigneeName', 'consigneePhone', 'consigneeAddress', 'destinationCity', 'weightKg', 'productDescription']
+      .filter((key) => columnIndexByKey[key] === undefined)
+      .map((key) => BULK_COLUMNS.find((c) => c.key === key).header);
+
+    if (missingColumns.length) {
+      return res.status(400).json({
+        message: `Missing required columns: ${missingColumns.join(', ')}`,
+        missingColumns,
+        unknownHeaders,
+      });
+    }
+
+    const rows = [];
+    worksheet.eachRow({ includeEmpty: false }, (row, rowNumber) => {
+      if (rowNumber === 1) return;
+      const input = {};
+      Object.entries(columnIndexByKey).forEach(([key, colNumber]) => {
+        input[key] = cellToValue(row.getCell(colNumber).value);
+      });
+      // Excel stores 03001234567 typed into a number cell as 3001234567
+      if (typeof input.consigneePhone === 'number' && /^3\d{9}$/.test(String(input.consigneePhone))) {
+        input.consigneePhone = `0${input.consigneePhone}`;
+      }
+      const isEmpty = Object.values(input).every((v) => !String(v).trim());
+      if (!isEmpty) rows.push({ rowNumber, input });
+    });
+
+    if (!rows.length) {
+      return res.status(400).json({ message: 'The uploaded file has no order rows' });
+    }
+
+    if (rows.length > MAX_BULK_ROWS) {
+      return res.status(400).json({
+        message: `Too many rows (${rows.length}). Upload at most ${MAX_BULK_ROWS} orders per file.`,
+      });
+    }
+
+    const commissionConfig = await prisma.commissionConfig.findUnique({
+      where: { shipperId },
+      include: { weightBrackets: true, rateCards: true },
+    });
+
+    if (!commissionConfig) {
+      return res
+        .status(400)
+        .json({ message: 'No commission configuration found for this shipper' });
+    }
+
+    const errors = [];
+    const validRows = [];
+    for (const { rowNumber, input } of rows) {
+      const { errors: rowErrors, data } = buildManualOrderData(input, commissionConfig);
+      if (rowErrors.length) {
+        errors.push({ row: rowNumber, errors: rowErrors });
+      } else {
+        validRows.push({ rowNumber, data });
+      }
+    }
+
+    const dryRun = String(req.query.dryRun || '').toLowerCase() === 'true';
+    let created = [];
+
+    if (validRows.length && !dryRun) {
+      const bookingIds = [];
+      const createdOrders = await prisma.$transaction(
+        async (tx) => {
+          bookingIds.push(...(await reserveBookingIds(validRows.length, tx)));
+          const trackingIds = await reserveTrackingIds(validRows.length, tx);
+
+          await tx.order.createMany({
+            data: validRows.map(({ data }, index) => ({
+              ...data,
+              bookingId: bookingIds[index],
+              trackingId: trackingIds[index],
+              shipperId,
+            })),
+          });
+
+          return tx.order.findMany({
+            where: { bookingId: { in: bookingIds } },
+            select: {
+              id: true,
+              bookingId: true,
+              trackingId: true,
+              consigneeName: true,
+              destinationCity: true,
+              codAmount: true,
+              serviceCharges: true,
+            },
+            orderBy: { id: 'asc' },
+          });
+        },
+        { timeout: 60000 },
+      );
+
+      const rowByBookingId = {};
+      validRows.forEach(({ rowNumber }, index) => {
+        rowByBookingId[bookingIds[index]] = rowNumber;
+      });
+      created = createdOrders.map((order) => ({ row: rowByBookingId[order.bookingId], ...order }));
+    }
+
+    let statusCode = 201;
+    if (dryRun) {
+      statusCode = 200;
+    } else if (!created.length) {
+      statusCode = 400;
+    }
+
+    res.status(statusCode).json({
+      message: dryRun
+        ? `${validRows.length} of ${rows.length} rows are valid`
+        : `${created.length} of ${rows.length} orders created`,
+      dryRun,
+      totalRows: rows.length,
+      validCount: validRows.length,
+      createdCount: created.length,
+      failedCount: errors.length,
+      orders: created,
+      errors,
+      unknownHeaders,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
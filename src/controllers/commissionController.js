@@ -1,5 +1,12 @@
 const prisma = require('../prismaClient');
 const { normalizeCommissionRule } = require('../utils/serviceChargeCalculator');
+const {
+  DELIVERY_ZONES,
+  LAHORE_CITIES,
+  PUNJAB_CITIES,
+  getDeliveryZone,
+} = require('../utils/deliveryZones');
+const { SERVICE_TYPES } = require('../utils/orderValidation');
 
 function validateWeightBrackets(brackets) {
   if (!Array.isArray(brackets) || brackets.length === 0) {
@@ -54,6 +61,27 @@ function mapWeightBrackets(weightBrackets) {
     }));
 }
 
+function mapRateCards(rateCards) {
+  const arr = Array.isArray(rateCards) ? rateCards : [];
+  return arr
+    .slice()
+    .sort(
+      (a, b) =>
+        DELIVERY_ZONES.indexOf(a.zone) - DELIVERY_ZONES.indexOf(b.zone) ||
+        SERVICE_TYPES.indexOf(a.serviceType) - SERVICE_TYPES.indexOf(b.serviceType) ||
+        Number(a.minKg || 0) - Number(b.minKg || 0),
+    )
+    .map((c) => ({
+      id: c.id,
+      zone: c.zone,
+      serviceType: c.serviceType,
+      minKg: c.minKg,
+      maxKg: c.maxKg === undefined ? null : c.maxKg,
+      charge: c.chargePkr,
+      overagePerKgPkr: c.overagePerKgPkr,
+    }));
+}
+
 function mapCommissionConfigToApi(cfg, { includeShipperDetails = false } = {}) {
   if (!cfg) return null;
 
@@ -79,6 +107,10 @@ function mapCommissionConfigToApi(cfg, { includeShipperDetails = false } = {}) {
     weightBrackets,
   };
 
+  if (Array.isArray(cfg.rateCards)) {
+    base.rateCards = mapRateCards(cfg.rateCards);
+  }
+
   // If there are no stored brackets but we have a normalized rule, synthesize a
   // single "equivalent" bracket for UIs that still expect an array.
   if (!base.weightBrackets.length && rule) {
@@ -431,7 +463,7 @@ exports.getConfigByShipper = async (req, res, next) => {
 
     const cfg = await prisma.commissionConfig.findUnique({
       where: { shipperId },
-      include: { weightBrackets: true },
+      include: { weightBrackets: true, rateCards: true },
     });
 
     if (!cfg) {
@@ -589,3 +621,162 @@ exports.putConfigByShipper = async (req, res, next) => {
     next(err);
   }
 };
+
+// GET /api/commission/zones?city=Multan - CEO/MANAGER only
+exports.getZones = async (req, res, next) => {
+  try {
+    const city = String(req.query.city || '').trim();
+    res.json({
+      zones: DELIVERY_ZONES,
+      lahoreCities: LAHORE_CITIES,
+      punjabCities: PUNJAB_CITIES,
+      ...(city ? { city, zone: getDeliveryZone(city) } : {}),
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// GET /api/commission/:shipperId/rate-cards - CEO/MANAGER only
+exports.getRateCards = async (req, res, next) => {
+  try {
+    const shipperId = Number(req.params.shipperId);
+    if (!Number.isInteger(shipperId) || shipperId <= 0) {
+      return res.status(400).json({ message: 'Invalid shipperId' });
+    }
+
+    const cfg = await prisma.commissionConfig.findUnique({
+      where: { shipperId },
+      include: { rateCards: true },
+    });
+
+    if (!cfg) {
+      return res
+        .status(404)
+        .json({ message: 'No commission config found for this shipper' });
+    }
+
+    res.json({
+      shipperId,
+      zones: DELIVERY_ZONES,
+      serviceTypes: SERVICE_TYPES,
+      rateCards: mapRateCards(cfg.rateCards),
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// PUT /api/commission/:shipperId/rate-cards - CEO/MANAGER only
+//
+// Replaces all rate cards of the shipper. Body:
+//   { rateCards: [{ zone, serviceType, minKg, maxKg, charge, overagePerKgPkr }] }
+// Bands of the same zone and service type must not overlap. An empty list
+// removes the cards so every order is priced with the single rule again.
+exports.putRateCards = async (req, res, next) => {
+  try {
+    const shipperId = Number(req.params.shipperId);
+    if (!Number.isInteger(shipperId) || shipperId <= 0) {
+      return res.status(400).json({ message: 'Invalid shipperId' });
+    }
+
+    const { rateCards } = req.body || {};
+    if (!Array.isArray(rateCards)) {
+      return res.status(400).json({ message: 'rateCards must be an array' });
+    }
+
+    const normalized = [];
+    for (let i = 0; i < rateCards.length; i += 1) {
+      const card = rateCards[i] || {};
+      const zone = String(card.zone || '').trim().toUpperCase();
+      const serviceType = String(card.serviceType || '')
+        .trim()
+        .toUpperCase()
+        .replace(/[\s-]+/g, '_');
+      if (!DELIVERY_ZONES.includes(zone)) {
+        return res.status(400).json({
+          message: `Rate card ${i + 1}: zone must be one of ${DELIVERY_ZONES.join(', ')}`,
+        });
+      }
+      if (!SERVICE_TYPES.includes(serviceType)) {
+        return res.status(400).json({
+          message: `Rate card ${i + 1}: serviceType must be one of ${SERVICE_TYPES.join(', ')}`,
+        });
+      }
+
+      const { minKg, maxKg, chargePkr } = normalizeWeightCharge(card);
+      if (!Number.isFinite(chargePkr) || chargePkr <= 0) {
+        return res.status(400).json({
+          message: `Rate card ${i + 1}: charge must be a positive number`,
+        });
+      }
+      const overage =
+        card.overagePerKgPkr === undefined || card.overagePerKgPkr === null || card.overagePerKgPkr === ''
+          ? 0
+          : Number(card.overagePerKgPkr);
+      if (!Number.isFinite(overage) || overage < 0) {
+        return res.status(400).json({
+          message: `Rate card ${i + 1}: overagePerKgPkr must be a non-negative number`,
+        });
+      }
+
+      normalized.push({
+        zone,
+        serviceType,
+        minKg,
+        maxKg,
+        chargePkr,
+        overagePerKgPkr: Math.trunc(overage),
+      });
+    }
+
+    const groups = new Map();
+    normalized.forEach((card) => {
+      const key = `${card.zone} ${card.serviceType}`;
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push({ minKg: card.minKg, maxKg: card.maxKg, charge: card.chargePkr });
+    });
+    for (const [key, bands] of groups) {
+      const check = validateWeightBrackets(bands);
+      if (!check.valid) {
+        return res.status(400).json({ message: `${key}: ${check.message}` });
+      }
+    }
+
+    const updated = await prisma.$transaction(async (tx) => {
+      const cfg = await tx.commissionConfig.findUnique({ where: { shipperId } });
+      if (!cfg) return null;
+
+      await tx.rateCard.deleteMany({ where: { commissionConfigId: cfg.id } });
+      if (normalized.length) {
+        await tx.rateCard.createMany({
+          data: normalized.map((card) => ({
+            commissionConfigId: cfg.id,
+            ...card,
+            chargePkr: Math.trunc(card.chargePkr),
+          })),
+        });
+      }
+
+      return tx.commissionConfig.findUnique({
+        where: { id: cfg.id },
+        include: { rateCards: true },
+      });
+    });
+
+    if (!updated) {
+      return res
+        .status(404)
+        .json({ message: 'No commission config found for this shipper' });
+    }
+
+    res.json({
+      shipperId,
+      zones: DELIVERY_ZONES,
+      serviceTypes: SERVICE_TYPES,
+      rateCards: mapRateCards(updated.rateCards),
+    });
+  } catch (err) {
+    next(err);
+  }
+};
@@ -2,7 +2,10 @@ const generateBookingId = require('../config/bookingId');
 const generateTrackingId = require('../config/trackingId');
 const mappers = require('../utils/providerMappers');
 const prisma = require('../prismaClient');
-const { computeServiceChargeKgBased } = require('../utils/serviceChargeCalculator');
+const {
+  computeOrderServiceCharge,
+  validateDimensions,
+} = require('../utils/serviceChargeCalculator');
 
 const PROVIDERS = {
   custom: { name: 'CUSTOM', mapper: mappers.mapCustom },
@@ -11,6 +14,13 @@ const PROVIDERS = {
 };
 
 const crypto = require('crypto');
+const {
+  generateCallbackSecret,
+  checkCallbackUrl,
+  resendDelivery,
+} = require('../utils/webhookDelivery');
+const { normalizeStoreDomain } = require('./woocommerceWebhookController');
+const { buildRateQuote } = require('../utils/rateQuote');
 
 const generateApiKey = () => crypto.randomBytes(24).toString('hex');
 
@@ -49,6 +59,11 @@ exports.handleProviderOrder = (providerKey) => async (req, res, next) => {
         'weightKg (weight in kg) is required and must be > 0',
       );
     }
+    const dimensionCheck = validateDimensions(mapped);
+    if (!dimensionCheck.isValid) {
+      return sendError(res, 400, dimensionCheck.error);
+    }
+    const dimensions = dimensionCheck.dimensions;
     console.log('[handleProviderOrder] Mapped payload:', {
       externalOrderId: mapped.externalOrderId,
       consigneeName: mapped.consigneeName,
@@ -86,7 +101,7 @@ exports.handleProviderOrder = (providerKey) => async (req, res, next) => {
     // Commission config logic for weight charges (Prisma CommissionConfig)
     const commissionConfig = await prisma.commissionConfig.findUnique({
       where: { shipperId },
-      include: { weightBrackets: true },
+      include: { weightBrackets: true, rateCards: true },
     });
 
     if (!commissionConfig) {
@@ -98,8 +113,21 @@ exports.handleProviderOrder = (providerKey) => async (req, res, next) => {
     }
 
     const numericWeight = Number(mapped.weightKg);
-    const { serviceCharges, rule } = computeServiceChargeKgBased(
-      numericWeight,
+    const serviceType = mapped.serviceType || 'SAME_DAY';
+    const {
+      serviceCharges,
+      rule,
+      zone,
+      weightUsed,
+      weightBasis,
+      volumetricWeightKg,
+    } = computeOrderServiceCharge(
+      {
+        weightKg: numericWeight,
+        destinationCity: mapped.destinationCity,
+        serviceType,
+        ...dimensions,
+      },
       commissionConfig,
     );
 
@@ -133,7 +161,7 @@ exports.handleProviderOrder = (providerKey) => async (req, res, next) => {
         consigneePhone: mapped.consigneePhone || '',
         consigneeAddress: mapped.consigneeAddress || '',
         destinationCity: mapped.destinationCity || '',
-        serviceType: mapped.serviceType || 'SAME_DAY',
+        serviceType,
         paymentType,
         codAmount,
         productDescription: mapped.productDescription || '',
@@ -148,7 +176,12 @@ exports.handleProviderOrder = (providerKey) => async (req, res, next) => {
         isDeleted: false,
         bookingState: 'UNBOOKED',
         weightKg: numericWeight,
+        ...dimensions,
+        volumetricWeightKg,
         serviceCharges,
+        serviceChargesWeightUsed: weightUsed,
+        serviceChargesWeightBasis: weightBasis,
+        deliveryZone: zone,
         totalAmount: codAmount + serviceCharges,
       },
     });
@@ -181,6 +214,32 @@ exports.createFromProvider = (req, res, next) => {
   return handler(req, res, next);
 };
 
+// POST /api/integrations/:provider/quote (API key)
+// Same pricing as an order pushed to /:provider/orders, without creating it.
+exports.quoteForProvider = async (req, res, next) => {
+  try {
+    const shipperId = req.integration && req.integration.shipperId;
+    if (!shipperId) {
+      return sendError(res, 401, 'Unauthorized');
+    }
+
+    const commissionConfig = await prisma.commissionConfig.findUnique({
+      where: { shipperId },
+      include: { weightBrackets: true, rateCards: true },
+    });
+
+    const { errors, quote } = buildRateQuote(req.body, commissionConfig);
+    if (errors.length) {
+      return res.status(400).json({ message: errors[0], errors });
+    }
+
+    return res.json(quote);
+  } catch (err) {
+    console.error('[quoteForProvider] Error:', err);
+    next(err);
+  }
+};
+
 // Shipper-managed endpoints
 exports.getMyIntegration = async (req, res, next) => {
   try {
@@ -217,6 +276,8 @@ exports.getMyIntegration = async (req, res, next) => {
       apiKey: config.apiKey,
       enabled: config.enabled || false,
       providers: config.providers || [],
+      callbackUrl: config.callbackUrl || null,
+      callbackSecret: config.callbackSecret || null,
     });
   } catch (err) {
     console.error('[getMyIntegration] Error:', err);
@@ -290,6 +351,33 @@ exports.updateMyIntegration = async (req, res, next) => {
       update.providers = Array.from(providedMap.values());
     }
 
+    // Status webhooks: an empty callbackUrl turns them off. A secret is
+    // generated the first time a URL is saved unless the shipper sends one.
+    if (typeof body.callbackUrl !== 'undefined') {
+      const callbackUrl = body.callbackUrl ? String(body.callbackUrl).trim() : '';
+      if (callbackUrl.length > 500) {
+        return sendError(res, 400, 'callbackUrl is too long');
+      }
+      const urlError = callbackUrl ? await checkCallbackUrl(callbackUrl) : null;
+      if (urlError) {
+        return sendError(res, 400, urlError);
+      }
+      update.callbackUrl = callbackUrl || null;
+      if (callbackUrl && !config.callbackSecret) {
+        update.callbackSecret = generateCallbackSecret();
+      }
+    }
+
+    if (typeof body.callbackSecret !== 'undefined' && body.callbackSecret !== null) {
+      const secret = String(body.callbackSecret).trim();
+      if (secret.length < 16) {
+        return sendError(res, 400, 'callbackSecret must be at least 16 characters');
+      }
+      update.callbackSecret = secret;
+    } else if (body.regenerateCallbackSecret === true) {
+      update.callbackSecret = generateCallbackSecret();
+    }
+
     config = await prisma.integrationConfig.update({
       where: { shipperId },
       data: update,
@@ -306,6 +394,8 @@ exports.updateMyIntegration = async (req, res, next) => {
       apiKey: config.apiKey,
       enabled: config.enabled,
       providers: config.providers || [],
+      callbackUrl: config.callbackUrl || null,
+      callbackSecret: config.callbackSecret || null,
     });
   } catch (err) {
     console.error('[updateMyIntegration] Error:', err);
@@ -342,3 +432,208 @@ exports.regenerateKey = async (req, res, next) => {
   }
 };
 
+
+const mapWebhookDelivery = (d) => ({
+  id: d.id,
+  orderId: d.orderId,
+  bookingId: d.order?.bookingId || null,
+  event: d.event,
+  url: d.url,
+  status: d.status,
+  attempts: d.attempts,
+  nextAttemptAt: d.nextAttemptAt,
+  lastAttemptAt: d.lastAttemptAt,
+  lastResponseStatus: d.lastResponseStatus,
+  lastError: d.lastError,
+  deliveredAt: d.deliveredAt,
+  resentFromId: d.resentFromId,
+  payload: d.payload,
+  createdAt: d.createdAt,
+});
+
+// GET /api/integrations/shipper/me/webhook-deliveries?status=&bookingId=&page=&limit=
+exports.listMyWebhookDeliveries = async (req, res, next) => {
+  try {
+    const shipperId = Number(req.user && (req.user._id || req.user.id));
+    if (!Number.isInteger(shipperId) || shipperId <= 0) {
+      return sendError(res, 401, 'Unauthorized');
+    }
+
+    const { status, bookingId, page = 1, limit = 50 } = req.query;
+    const where = { shipperId };
+    const statusUpper = String(status || '').toUpperCase();
+    if (['PENDING', 'DELIVERED', 'FAILED'].includes(statusUpper)) {
+      where.status = statusUpper;
+    }
+    if (bookingId && String(bookingId).trim()) {
+      where.order = { bookingId: String(bookingId).trim() };
+    }
+
+    const pageNum = Math.max(1, Number(page) || 1);
+    const limitNum = Math.min(200, Math.max(1, Number(limit) || 50));
+
+    const [total, deliveries] = await Promise.all([
+      prisma.webhookDelivery.count({ where }),
+      prisma.webhookDelivery.findMany({
+        where,
+        include: { order: { select: { bookingId: true } } },
+        orderBy: { createdAt: 'desc' },
+        skip: (pageNum - 1) * limitNum,
+        take: limitNum,
+      }),
+    ]);
+
+    return res.json({
+      deliveries: deliveries.map(mapWebhookDelivery),
+      page: pageNum,
+      limit: limitNum,
+      total,
+      totalPages: Math.ceil(total / limitNum) || 0,
+    });
+  } catch (err) {
+    console.error('[listMyWebhookDeliveries] Error:', err);
+    next(err);
+  }
+};
+
+// POST /api/integrations/shipper/me/webhook-deliveries/:id/resend
+exports.resendMyWebhookDelivery = async (req, res, next) => {
+  try {
+    const shipperId = Number(req.user && (req.user._id || req.user.id));
+    if (!Number.isInteger(shipperId) || shipperId <= 0) {
+      return sendError(res, 401, 'Unauthorized');
+    }
+
+    const deliveryId = Number(req.params.id);
+    if (!Number.isInteger(deliveryId) || deliveryId <= 0) {
+      return sendError(res, 400, 'Invalid delivery id');
+    }
+
+    const delivery = await prisma.webhookDelivery.findUnique({ where: { id: deliveryId } });
+    if (!delivery || delivery.shipperId !== shipperId) {
+      return sendError(res, 404, 'Webhook delivery not found');
+    }
+
+    const resent = await resendDelivery(delivery);
+    if (!resent) {
+      return sendError(res, 400, 'Configure a callback URL before resending webhooks');
+    }
+
+    const withOrder = await prisma.webhookDelivery.findUnique({
+      where: { id: resent.id },
+      include: { order: { select: { bookingId: true } } },
+    });
+
+    return res.status(201).json(mapWebhookDelivery(withOrder));
+  } catch (err) {
+    console.error('[resendMyWebhookDelivery] Error:', err);
+    next(err);
+  }
+};
+
+const mapWooStore = (integration) =>
+  integration
+    ? {
+        id: integration.id,
+        storeDomain: integration.shopDomain,
+        status: integration.status,
+        installedAt: integration.installedAt,
+        hasWebhookSecret: !!integration.webhookSecret,
+        webhookUrl: `${(process.env.API_BASE_URL || '').replace(/\/$/, '')}/webhooks/woocommerce`,
+      }
+    : null;
+
+// POST /api/integrations/woocommerce/connect
+// Body: { storeUrl, webhookSecret } - the secret entered on the store's webhooks
+exports.connectWooCommerceStore = async (req, res, next) => {
+  try {
+    const shipperId = Number(req.user && (req.user._id || req.user.id));
+    if (!Number.isInteger(shipperId) || shipperId <= 0) {
+      return sendError(res, 401, 'Unauthorized');
+    }
+
+    const body = req.body || {};
+    const storeDomain = normalizeStoreDomain(body.storeUrl || body.storeDomain);
+    if (!storeDomain) {
+      return sendError(res, 400, 'storeUrl is required');
+    }
+
+    // Webhooks are matched to a shipper by store URL alone, so a store that
+    // another shipper has connected cannot be claimed again
+    const claimed = await prisma.shipperIntegration.findFirst({
+      where: { provider: 'WOOCOMMERCE', shopDomain: storeDomain, shipperId: { not: shipperId } },
+      select: { id: true },
+    });
+    if (claimed) {
+      return sendError(res, 409, 'This store is already connected to another account');
+    }
+
+    const webhookSecret = body.webhookSecret ? String(body.webhookSecret).trim() : '';
+    const existing = await prisma.shipperIntegration.findUnique({
+      where: {
+        shipperId_provider_shopDomain: {
+          shipperId,
+          provider: 'WOOCOMMERCE',
+          shopDomain: storeDomain,
+        },
+      },
+    });
+    if (!webhookSecret && !(existing && existing.webhookSecret)) {
+      return sendError(res, 400, 'webhookSecret is required');
+    }
+
+    const integration = await prisma.shipperIntegration.upsert({
+      where: {
+        shipperId_provider_shopDomain: {
+          shipperId,
+          provider: 'WOOCOMMERCE',
+          shopDomain: storeDomain,
+        },
+      },
+      update: {
+        status: 'active',
+        ...(webhookSecret ? { webhookSecret } : {}),
+      },
+      create: {
+        shipperId,
+        provider: 'WOOCOMMERCE',
+        shopDomain: storeDomain,
+        webhookSecret,
+        status: 'active',
+        installedAt: new Date(),
+      },
+    });
+
+    return res.json({
+      message: 'WooCommerce store connected',
+      store: mapWooStore(integration),
+    });
+  } catch (err) {
+    // Lost a race with another shipper claiming the same store
+    if (err && err.code === 'P2002') {
+      return sendError(res, 409, 'This store is already connected to another account');
+    }
+    console.error('[connectWooCommerceStore] Error:', err);
+    next(err);
+  }
+};
+
+// GET /api/integrations/woocommerce/store
+exports.getWooCommerceStore = async (req, res, next) => {
+  try {
+    const shipperId = Number(req.user && (req.user._id || req.user.id));
+    if (!Number.isInteger(shipperId) || shipperId <= 0) {
+      return sendError(res, 401, 'Unauthorized');
+    }
+
+    const integration = await prisma.shipperIntegration.findFirst({
+      where: { shipperId, provider: 'WOOCOMMERCE', status: 'active' },
+      orderBy: { createdAt: 'desc' },
+    });
+
+    return res.json({ store: mapWooStore(integration) });
+  } catch (err) {
+    console.error('[getWooCommerceStore] Error:', err);
+    next(err);
+  }
+};
@@ -3,6 +3,12 @@ const prisma = require("../prismaClient");
 const {
   calculateServiceCharges: calculateServiceChargesForOrder,
 } = require("../utils/serviceChargeCalculator");
+const {
+  billableReturnWhere,
+  isPendingReturn,
+} = require("../utils/orderStatusMachine");
+const { buildInvoicePdf } = require("../utils/invoicePdf");
+const { sendInvoiceEmail } = require("../utils/mailer");
 
 // Basic date parsing helper that understands HTML date inputs (YYYY-MM-DD)
 // and falls back to native Date parsing. Returns null if invalid.
@@ -90,6 +96,194 @@ const allocateNextInvoiceNumber = async (tx) => {
   return formatInvoiceNumber(counter.seq);
 };
 
+const formatCreditNoteNumber = (seq) => {
+  const safeSeq = Number(seq || 0);
+  return `CR${safeSeq.toString().padStart(5, "0")}`;
+};
+
+const allocateNextCreditNoteNumber = async (tx) => {
+  const counter = await tx.counter.upsert({
+    where: { key: "CREDIT_NOTE" },
+    update: { seq: { increment: 1 } },
+    create: { key: "CREDIT_NOTE", seq: 1 },
+  });
+
+  return formatCreditNoteNumber(counter.seq);
+};
+
+// Drafts have no number until they are finalized
+const invoiceDisplayNumber = (invoice) =>
+  invoice.invoiceNumber || `DRAFT-${invoice.id}`;
+
+// Errors raised inside invoice transactions carry the HTTP status to answer
+// with; anything else falls through to the error handler.
+const invoiceError = (statusCode, message) =>
+  Object.assign(new Error(message), { statusCode });
+
+// Whole-rupee, non-negative charge inputs (fuel, other, discount, WHT).
+// Missing values count as 0; returns null when the value is invalid.
+const parseChargeAmount = (raw) => {
+  if (raw === undefined || raw === null || raw === "") return 0;
+  const value = Number(raw);
+  if (!Number.isFinite(value) || value < 0) return null;
+  return Math.round(value);
+};
+
+const parseOrderIdList = (raw) =>
+  (Array.isArray(raw) ? raw : [])
+    .map((id) => Number(id))
+    .filter((id) => Number.isInteger(id) && id > 0);
+
+// Each order's COD is paid out either through its invoice or through a COD
+// remittance batch, never both. Orders in a remittance batch stay off invoices
+// (and invoiced orders are left out of remittances).
+const notRemittedWhere = () => ({
+  NOT: { financialTransaction: { is: { settlementBatchId: { not: null } } } },
+});
+
+// Orders that can go on a new or draft invoice: the shipper's own final
+// (delivered / returned-to-shipper) parcels that no invoice holds yet and
+// that were not paid out in a remittance.
+const findBillableOrders = (client, shipperId, orderIds) =>
+  client.order.findMany({
+    where: {
+      id: { in: orderIds },
+      shipperId,
+      invoiceId: null,
+      isDeleted: false,
+      status: { in: ["DELIVERED", "RETURNED"] },
+      ...billableReturnWhere(),
+      ...notRemittedWhere(),
+    },
+  });
+
+// COD and service charge totals for a set of invoice orders, plus the
+// delivery date range used as the default invoice period.
+const summarizeInvoiceOrders = async (orders) => {
+  let codTotal = 0;
+  let serviceChargesTotal = 0;
+  let minOrderDate = null;
+  let maxOrderDate = null;
+
+  for (const order of orders) {
+    codTotal += computeInvoiceCodAmount(order);
+    serviceChargesTotal += await calculateServiceCharges(order);
+
+    const baseDate = order.deliveredAt || order.createdAt;
+    if (baseDate instanceof Date && !Number.isNaN(baseDate.getTime())) {
+      if (!minOrderDate || baseDate < minOrderDate) minOrderDate = baseDate;
+      if (!maxOrderDate || baseDate > maxOrderDate) maxOrderDate = baseDate;
+    }
+  }
+
+  return { codTotal, serviceChargesTotal, minOrderDate, maxOrderDate };
+};
+
+// Net payable to shipper: COD collected minus our service, fuel and other
+// charges (less any discount) minus withholding taxes.
+const computeNetPayable = ({
+  codTotal,
+  serviceChargesTotal,
+  fuelCharges = 0,
+  otherCharges = 0,
+  discount = 0,
+  whtIt = 0,
+  whtSt = 0,
+}) =>
+  codTotal -
+  serviceChargesTotal -
+  fuelCharges -
+  otherCharges +
+  discount -
+  whtIt -
+  whtSt;
+
+const INVOICE_DETAIL_INCLUDE = {
+  shipper: true,
+  orders: true,
+  createdBy: { select: { id: true, name: true } },
+  creditNotes: {
+    include: { createdBy: { select: { id: true, name: true } } },
+    orderBy: { createdAt: "asc" },
+  },
+  payments: {
+    include: { createdBy: { select: { id: true, name: true } } },
+    orderBy: { paidAt: "asc" },
+  },
+};
+
+const PAYMENT_METHODS = ["BANK_TRANSFER", "CASH", "CHEQUE", "ONLINE"];
+
+// Settlement position of a finalized invoice. A positive adjusted net payable
+// is owed to the shipper; a negative one is owed by the shipper. amountPaid
+// counts payments in whichever direction applies, so `outstanding` is what is
+// left to settle and `balance` is the same amount signed like the ledger
+// (positive = we owe the shipper).
+const getInvoiceSettlement = (invoice, creditNotesTotal) => {
+  const adjusted = Number(invoice.netPayable || 0) + Number(creditNotesTotal || 0);
+  const direction = adjusted >= 0 ? 1 : -1;
+  const outstanding = Math.max(0, Math.abs(adjusted) - Number(invoice.amountPaid || 0));
+  return {
+    adjusted,
+    direction,
+    outstanding,
+    balance: direction * outstanding,
+    payer: adjusted >= 0 ? "COMPANY" : "SHIPPER",
+  };
+};
+
+const sumCreditNotes = (creditNotes) =>
+  (creditNotes || []).reduce((sum, note) => sum + Number(note.amount || 0), 0);
+
+// Every finalized amount that changes what we owe a shipper is mirrored in
+// ShipperLedgerEntry so their ledger can show a running balance. Positive
+// amounts are owed to the shipper.
+const postInvoiceLedgerEntry = (tx, invoice, entry) =>
+  tx.shipperLedgerEntry.create({
+    data: {
+      shipperId: invoice.shipperId,
+      invoiceId: invoice.id,
+      entryDate: entry.entryDate || new Date(),
+      status: entry.status || "UNPAID",
+      createdBy: entry.createdById ? String(entry.createdById) : "system",
+      type: entry.type,
+      particular: entry.particular,
+      amount: entry.amount,
+      codAmount: entry.codAmount,
+      serviceCharges: entry.serviceCharges,
+      notes: entry.notes,
+      invoicePaymentId: entry.invoicePaymentId,
+    },
+  });
+
+// Move an invoice between FINALIZED and PAID after its settlement changed,
+// keeping its INVOICE ledger entry's PAID/UNPAID status in step.
+const syncInvoicePaidStatus = async (tx, invoice, settlement, paidAt) => {
+  const status = settlement.outstanding === 0 ? "PAID" : "FINALIZED";
+  if (status === invoice.status) return status;
+
+  await tx.invoice.update({
+    where: { id: invoice.id },
+    data: { status, paidAt: status === "PAID" ? paidAt || new Date() : null },
+  });
+  await tx.shipperLedgerEntry.updateMany({
+    where: { invoiceId: invoice.id, type: "INVOICE" },
+    data: { status: status === "PAID" ? "PAID" : "UNPAID" },
+  });
+  return status;
+};
+
+const postInvoiceFinalizedEntry = (tx, invoice, createdById) =>
+  postInvoiceLedgerEntry(tx, invoice, {
+    type: "INVOICE",
+    entryDate: invoice.invoiceDate,
+    particular: `Invoice ${invoice.invoiceNumber}`,
+    codAmount: invoice.codTotal,
+    serviceCharges: invoice.serviceChargesTotal,
+    amount: invoice.netPayable,
+    createdById,
+  });
+
 const mapShipperForInvoice = (user) => {
   if (!user) return null;
   return {
@@ -129,7 +323,7 @@ const mapOrderForInvoiceList = (order, serviceCharges) => {
       ? {
           _id: order.invoice.id,
           id: order.invoice.id,
-          invoiceNumber: order.invoice.invoiceNumber,
+          invoiceNumber: invoiceDisplayNumber(order.invoice),
         }
       : null,
   };
@@ -149,32 +343,81 @@ const mapInvoiceOrder = (order) => ({
   status: order.status,
 });
 
-const mapInvoice = (invoice) => ({
-  _id: invoice.id,
-  id: invoice.id,
-  invoiceNumber: invoice.invoiceNumber,
-  shipper: mapShipperForInvoice(invoice.shipper),
-  accountName: invoice.accountName,
-  accountNumber: invoice.accountNumber || "",
-  invoiceDate: invoice.invoiceDate,
-  parcelFrom: invoice.parcelFrom,
-  parcelTo: invoice.parcelTo,
-  codTotal: Number(invoice.codTotal || 0),
-  flyerChargesTotal: Number(invoice.flyerChargesTotal || invoice.serviceChargesTotal || 0),
-  serviceChargesTotal: Number(invoice.serviceChargesTotal || 0),
-  fuelCharges: Number(invoice.fuelCharges || 0),
-  otherCharges: Number(invoice.otherCharges || 0),
-  discount: Number(invoice.discount || 0),
-  whtIt: Number(invoice.whtIt || 0),
-  whtSt: Number(invoice.whtSt || 0),
-  netPayable: Number(invoice.netPayable || 0),
-  createdBy: invoice.createdBy
-    ? { _id: invoice.createdBy.id, id: invoice.createdBy.id, name: invoice.createdBy.name }
+const mapInvoicePayment = (payment) => ({
+  _id: payment.id,
+  id: payment.id,
+  invoiceId: payment.invoiceId,
+  amount: Number(payment.amount || 0),
+  method: payment.method,
+  reference: payment.reference || null,
+  paidAt: payment.paidAt,
+  notes: payment.notes || null,
+  createdBy: payment.createdBy
+    ? { _id: payment.createdBy.id, id: payment.createdBy.id, name: payment.createdBy.name }
+    : null,
+  createdAt: payment.createdAt,
+});
+
+const mapCreditNote = (note) => ({
+  _id: note.id,
+  id: note.id,
+  creditNoteNumber: note.creditNoteNumber,
+  invoiceId: note.invoiceId,
+  orderId: note.orderId,
+  amount: Number(note.amount || 0),
+  reason: note.reason,
+  createdBy: note.createdBy
+    ? { _id: note.createdBy.id, id: note.createdBy.id, name: note.createdBy.name }
     : null,
-  status: invoice.status,
-  orders: invoice.orders ? invoice.orders.map(mapInvoiceOrder) : [],
+  createdAt: note.createdAt,
 });
 
+const mapInvoice = (invoice) => {
+  const creditNotes = invoice.creditNotes ? invoice.creditNotes.map(mapCreditNote) : [];
+  const creditNotesTotal = sumCreditNotes(creditNotes);
+  const settlement = getInvoiceSettlement(invoice, creditNotesTotal);
+  const isOpen = invoice.status === "FINALIZED" || invoice.status === "PAID";
+
+  return {
+    _id: invoice.id,
+    id: invoice.id,
+    invoiceNumber: invoice.invoiceNumber || null,
+    shipper: mapShipperForInvoice(invoice.shipper),
+    accountName: invoice.accountName,
+    accountNumber: invoice.accountNumber || "",
+    invoiceDate: invoice.invoiceDate,
+    parcelFrom: invoice.parcelFrom,
+    parcelTo: invoice.parcelTo,
+    codTotal: Number(invoice.codTotal || 0),
+    flyerChargesTotal: Number(invoice.flyerChargesTotal || invoice.serviceChargesTotal || 0),
+    serviceChargesTotal: Number(invoice.serviceChargesTotal || 0),
+    fuelCharges: Number(invoice.fuelCharges || 0),
+    otherCharges: Number(invoice.otherCharges || 0),
+    discount: Number(invoice.discount || 0),
+    whtIt: Number(invoice.whtIt || 0),
+    whtSt: Number(invoice.whtSt || 0),
+    netPayable: Number(invoice.netPayable || 0),
+    createdBy: invoice.createdBy
+      ? { _id: invoice.createdBy.id, id: invoice.createdBy.id, name: invoice.createdBy.name }
+      : null,
+    status: invoice.status,
+    finalizedAt: invoice.finalizedAt || null,
+    voidedAt: invoice.voidedAt || null,
+    voidReason: invoice.voidReason || null,
+    orders: invoice.orders ? invoice.orders.map(mapInvoiceOrder) : [],
+    creditNotes,
+    creditNotesTotal,
+    // What the shipper is owed once credit notes are applied
+    adjustedNetPayable: settlement.adjusted,
+    amountPaid: Number(invoice.amountPaid || 0),
+    paidAt: invoice.paidAt || null,
+    // Left to settle; COMPANY pays the shipper, SHIPPER pays us
+    balanceDue: isOpen ? settlement.outstanding : 0,
+    payer: settlement.payer,
+    payments: invoice.payments ? invoice.payments.map(mapInvoicePayment) : [],
+  };
+};
+
 // Get orders for invoice (with filters)
 exports.getOrdersForInvoice = async (req, res, next) => {
   try {
@@ -197,6 +440,9 @@ exports.getOrdersForInvoice = async (req, res, next) => {
       // in-transit statuses should never appear when selecting parcels for
       // invoicing.
       status: { in: ["DELIVERED", "RETURNED"] },
+      // Returns are billable only once handed back to the shipper.
+      ...billableReturnWhere(),
+      ...notRemittedWhere(),
     };
 
     if (from && to) {
@@ -245,7 +491,7 @@ exports.getOrdersForInvoice = async (req, res, next) => {
     // invoice parcel selection. Only DELIVERED and RETURNED are allowed.
     const finalStatusOrders = orders.filter((order) => {
       const st = String(order.status || "").toUpperCase();
-      return st === "DELIVERED" || st === "RETURNED";
+      return (st === "DELIVERED" || st === "RETURNED") && !isPendingReturn(order);
     });
 
     const ordersWithCharges = await Promise.all(
@@ -261,7 +507,8 @@ exports.getOrdersForInvoice = async (req, res, next) => {
   }
 };
 
-// Create new invoice
+// Create new invoice. Pass status "DRAFT" to save an editable draft that
+// holds the orders without allocating an invoice number.
 exports.createInvoice = async (req, res, next) => {
   try {
     const {
@@ -272,8 +519,7 @@ exports.createInvoice = async (req, res, next) => {
       parcelFrom,
       parcelTo,
       selectedOrderIds,
-      whtIt = 0,
-      whtSt = 0,
+      status = "FINALIZED",
     } = req.body;
 
     if (
@@ -294,22 +540,32 @@ exports.createInvoice = async (req, res, next) => {
       return res.status(400).json({ message: "Invalid shipper id" });
     }
 
-    const orderIds = selectedOrderIds
-      .map((id) => Number(id))
-      .filter((id) => Number.isInteger(id) && id > 0);
+    const targetStatus = String(status).toUpperCase();
+    if (targetStatus !== "DRAFT" && targetStatus !== "FINALIZED") {
+      return res
+        .status(400)
+        .json({ message: "New invoices must be DRAFT or FINALIZED" });
+    }
+    const isDraft = targetStatus === "DRAFT";
+
+    const charges = {};
+    for (const field of ["fuelCharges", "otherCharges", "discount", "whtIt", "whtSt"]) {
+      const value = parseChargeAmount(req.body[field]);
+      if (value === null) {
+        return res
+          .status(400)
+          .json({ message: `${field} must be a non-negative amount` });
+      }
+      charges[field] = value;
+    }
+
+    const orderIds = parseOrderIdList(selectedOrderIds);
 
     if (orderIds.length === 0) {
       return res.status(400).json({ message: "No valid orders selected" });
     }
 
-    const orders = await prisma.order.findMany({
-      where: {
-        id: { in: orderIds },
-        shipperId: shipperIdNum,
-        invoiceId: null,
-        isDeleted: false,
-      },
-    });
+    const orders = await findBillableOrders(prisma, shipperIdNum, orderIds);
 
     if (!orders.length) {
       return res
@@ -320,40 +576,18 @@ exports.createInvoice = async (req, res, next) => {
     if (orders.length !== orderIds.length) {
       return res.status(400).json({
         message:
-          "Some orders are already invoiced or do not belong to this shipper",
+          "Some orders are already invoiced, not yet billable or do not belong to this shipper",
       });
     }
 
-    let codTotal = 0;
-    let serviceChargesTotal = 0;
-
-    // Also collect min/max dates from selected orders to use as a
-    // sensible default invoice period if parcelFrom/parcelTo are
-    // missing or invalid from the client.
-    let minOrderDate = null;
-    let maxOrderDate = null;
-
-    for (const order of orders) {
-      const effectiveCod = computeInvoiceCodAmount(order);
-      codTotal += effectiveCod;
-
-      const svc = await calculateServiceCharges(order);
-      serviceChargesTotal += svc;
-
-      const baseDate = order.deliveredAt || order.createdAt;
-      if (baseDate instanceof Date && !Number.isNaN(baseDate.getTime())) {
-        if (!minOrderDate || baseDate < minOrderDate) minOrderDate = baseDate;
-        if (!maxOrderDate || baseDate > maxOrderDate) maxOrderDate = baseDate;
-      }
-    }
-
-    const numericWhtIt = Number(whtIt) || 0;
-    const numericWhtSt = Number(whtSt) || 0;
+    const { codTotal, serviceChargesTotal, minOrderDate, maxOrderDate } =
+      await summarizeInvoiceOrders(orders);
 
-    // Net payable to shipper: COD collected minus our service charges
-    // minus withholding taxes (WHT amounts already provided by client).
-    const netPayable =
-      codTotal - serviceChargesTotal - numericWhtIt - numericWhtSt;
+    const netPayable = computeNetPayable({
+      codTotal,
+      serviceChargesTotal,
+      ...charges,
+    });
 
     const creatorRawId = req.user && (req.user.id || req.user._id);
     const creatorId = Number(creatorRawId);
@@ -376,7 +610,8 @@ exports.createInvoice = async (req, res, next) => {
     if (!parcelToDate) parcelToDate = new Date(invoiceDateObj);
 
     const createdInvoice = await prisma.$transaction(async (tx) => {
-      const invoiceNumber = await allocateNextInvoiceNumber(tx);
+      const now = new Date();
+      const invoiceNumber = isDraft ? null : await allocateNextInvoiceNumber(tx);
 
       const invoice = await tx.invoice.create({
         data: {
@@ -390,38 +625,688 @@ exports.createInvoice = async (req, res, next) => {
           codTotal,
           flyerChargesTotal: serviceChargesTotal,
           serviceChargesTotal,
-          whtIt: numericWhtIt,
-          whtSt: numericWhtSt,
+          ...charges,
           netPayable,
           createdById: creatorId,
+          status: targetStatus,
+          finalizedAt: isDraft ? null : now,
+          finalizedById: isDraft ? null : creatorId,
         },
       });
 
-      await tx.order.updateMany({
-        where: { id: { in: orderIds } },
+      // Guard against another invoice picking the same orders meanwhile
+      const claimed = await tx.order.updateMany({
+        where: { id: { in: orderIds }, invoiceId: null, ...notRemittedWhere() },
         data: {
           invoiceId: invoice.id,
-          invoicedAt: new Date(),
+          invoicedAt: isDraft ? null : now,
         },
       });
+      if (claimed.count !== orderIds.length) {
+        throw invoiceError(409, "Some orders were invoiced by someone else meanwhile");
+      }
 
-      const fullInvoice = await tx.invoice.findUnique({
+      if (!isDraft) {
+        await postInvoiceFinalizedEntry(tx, invoice, creatorId);
+      }
+
+      return tx.invoice.findUnique({
         where: { id: invoice.id },
-        include: {
-          shipper: true,
-          orders: true,
-          createdBy: {
-            select: { id: true, name: true },
-          },
+        include: INVOICE_DETAIL_INCLUDE,
+      });
+    });
+
+    res.status(201).json({
+      message: isDraft
+        ? "Draft invoice saved successfully"
+        : "Invoice created successfully",
+      invoice: mapInvoice(createdInvoice),
+    });
+  } catch (error) {
+    if (error && error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    next(error);
+  }
+};
+
+// Edit a draft invoice: header fields, fuel/other charges, discount, WHT and
+// the orders it holds (addOrderIds / removeOrderIds). Totals are recomputed
+// from the orders left on the draft.
+exports.updateInvoice = async (req, res, next) => {
+  try {
+    const invoiceId = Number(req.params.id);
+    if (!Number.isInteger(invoiceId) || invoiceId <= 0) {
+      return res.status(400).json({ message: "Invalid invoice id" });
+    }
+
+    const body = req.body || {};
+    const data = {};
+
+    if (body.accountName !== undefined) {
+      if (!String(body.accountName).trim()) {
+        return res.status(400).json({ message: "accountName cannot be empty" });
+      }
+      data.accountName = String(body.accountName).trim();
+    }
+    if (body.accountNumber !== undefined) {
+      data.accountNumber = body.accountNumber ? String(body.accountNumber).trim() : "";
+    }
+
+    for (const field of ["invoiceDate", "parcelFrom", "parcelTo"]) {
+      if (body[field] === undefined) continue;
+      const date = parseDateInput(body[field]);
+      if (!date) {
+        return res.status(400).json({ message: `Invalid ${field}` });
+      }
+      data[field] = date;
+    }
+
+    for (const field of ["fuelCharges", "otherCharges", "discount", "whtIt", "whtSt"]) {
+      if (body[field] === undefined) continue;
+      const value = parseChargeAmount(body[field]);
+      if (value === null) {
+        return res
+          .status(400)
+          .json({ message: `${field} must be a non-negative amount` });
+      }
+      data[field] = value;
+    }
+
+    const addOrderIds = parseOrderIdList(body.addOrderIds);
+    const removeOrderIds = parseOrderIdList(body.removeOrderIds);
+
+    const updatedInvoice = await prisma.$transaction(async (tx) => {
+      const invoice = await tx.invoice.findUnique({ where: { id: invoiceId } });
+      if (!invoice) {
+        throw invoiceError(404, "Invoice not found");
+      }
+      if (invoice.status !== "DRAFT") {
+        throw invoiceError(400, "Only draft invoices can be edited");
+      }
+
+      if (removeOrderIds.length) {
+        await tx.order.updateMany({
+          where: { id: { in: removeOrderIds }, invoiceId },
+          data: { invoiceId: null },
+        });
+      }
+
+      if (addOrderIds.length) {
+        const addable = await findBillableOrders(tx, invoice.shipperId, addOrderIds);
+        if (addable.length !== addOrderIds.length) {
+          throw invoiceError(
+            400,
+            "Some orders are already invoiced, not yet billable or do not belong to this shipper",
+          );
+        }
+        const claimed = await tx.order.updateMany({
+          where: { id: { in: addOrderIds }, invoiceId: null, ...notRemittedWhere() },
+          data: { invoiceId },
+        });
+        if (claimed.count !== addOrderIds.length) {
+          throw invoiceError(409, "Some orders were invoiced or paid out by someone else meanwhile");
+        }
+      }
+
+      const orders = await tx.order.findMany({ where: { invoiceId } });
+      const { codTotal, serviceChargesTotal } = await summarizeInvoiceOrders(orders);
+      const merged = { ...invoice, ...data };
+
+      await tx.invoice.update({
+        where: { id: invoiceId },
+        data: {
+          ...data,
+          codTotal,
+          flyerChargesTotal: serviceChargesTotal,
+          serviceChargesTotal,
+          netPayable: computeNetPayable({
+            codTotal,
+            serviceChargesTotal,
+            fuelCharges: merged.fuelCharges,
+            otherCharges: merged.otherCharges,
+            discount: merged.discount,
+            whtIt: merged.whtIt,
+            whtSt: merged.whtSt,
+          }),
         },
       });
 
-      return fullInvoice;
+      return tx.invoice.findUnique({
+        where: { id: invoiceId },
+        include: INVOICE_DETAIL_INCLUDE,
+      });
+    });
+
+    res.json({
+      message: "Draft invoice updated successfully",
+      invoice: mapInvoice(updatedInvoice),
+    });
+  } catch (error) {
+    if (error && error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    next(error);
+  }
+};
+
+// Finalize a draft: allocate its invoice number and lock it for editing
+exports.finalizeInvoice = async (req, res, next) => {
+  try {
+    const invoiceId = Number(req.params.id);
+    if (!Number.isInteger(invoiceId) || invoiceId <= 0) {
+      return res.status(400).json({ message: "Invalid invoice id" });
+    }
+
+    const userId = Number(req.user && req.user.id);
+
+    const finalizedInvoice = await prisma.$transaction(async (tx) => {
+      const invoice = await tx.invoice.findUnique({
+        where: { id: invoiceId },
+        include: { orders: true },
+      });
+      if (!invoice) {
+        throw invoiceError(404, "Invoice not found");
+      }
+      if (invoice.status !== "DRAFT") {
+        throw invoiceError(400, "Only draft invoices can be finalized");
+      }
+      if (!invoice.orders.length) {
+        throw invoiceError(400, "Add at least one order before finalizing");
+      }
+
+      // Totals may have moved since the draft was last saved (e.g. a
+      // re-weigh changed service charges), so take them fresh.
+      const { codTotal, serviceChargesTotal } = await summarizeInvoiceOrders(invoice.orders);
+      const now = new Date();
+
+      // Conditional on DRAFT so two finalize calls cannot both allocate
+      const locked = await tx.invoice.updateMany({
+        where: { id: invoiceId, status: "DRAFT" },
+        data: { status: "FINALIZED" },
+      });
+      if (locked.count !== 1) {
+        throw invoiceError(409, "Invoice was finalized by someone else meanwhile");
+      }
+
+      const invoiceNumber = await allocateNextInvoiceNumber(tx);
+
+      const finalized = await tx.invoice.update({
+        where: { id: invoiceId },
+        data: {
+          invoiceNumber,
+          codTotal,
+          flyerChargesTotal: serviceChargesTotal,
+          serviceChargesTotal,
+          netPayable: computeNetPayable({
+            codTotal,
+            serviceChargesTotal,
+            fuelCharges: invoice.fuelCharges,
+            otherCharges: invoice.otherCharges,
+            discount: invoice.discount,
+            whtIt: invoice.whtIt,
+            whtSt: invoice.whtSt,
+          }),
+          finalizedAt: now,
+          finalizedById: Number.isInteger(userId) && userId > 0 ? userId : null,
+        },
+      });
+
+      await tx.order.updateMany({
+        where: { invoiceId },
+        data: { invoicedAt: now },
+      });
+
+      await postInvoiceFinalizedEntry(tx, finalized, finalized.finalizedById);
+
+      return tx.invoice.findUnique({
+        where: { id: invoiceId },
+        include: INVOICE_DETAIL_INCLUDE,
+      });
+    });
+
+    res.json({
+      message: "Invoice finalized successfully",
+      invoice: mapInvoice(finalizedInvoice),
+    });
+  } catch (error) {
+    if (error && error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    next(error);
+  }
+};
+
+// Void a draft or finalized invoice. Its orders are released so they can be
+// invoiced again; the voided invoice keeps its number and totals for audit.
+exports.voidInvoice = async (req, res, next) => {
+  try {
+    const invoiceId = Number(req.params.id);
+    if (!Number.isInteger(invoiceId) || invoiceId <= 0) {
+      return res.status(400).json({ message: "Invalid invoice id" });
+    }
+
+    const reason = req.body && req.body.reason ? String(req.body.reason).trim() : "";
+    if (!reason) {
+      return res.status(400).json({ message: "A reason is required to void an invoice" });
+    }
+
+    const userId = Number(req.user && req.user.id);
+
+    const voidedInvoice = await prisma.$transaction(async (tx) => {
+      const invoice = await tx.invoice.findUnique({
+        where: { id: invoiceId },
+        include: { _count: { select: { creditNotes: true } } },
+      });
+      if (!invoice) {
+        throw invoiceError(404, "Invoice not found");
+      }
+      if (invoice.status !== "DRAFT" && invoice.status !== "FINALIZED") {
+        throw invoiceError(400, `A ${invoice.status} invoice cannot be voided`);
+      }
+      if (invoice._count.creditNotes > 0) {
+        throw invoiceError(400, "Invoices with credit notes cannot be voided");
+      }
+      if (invoice.amountPaid > 0) {
+        throw invoiceError(400, "Invoices with recorded payments cannot be voided");
+      }
+
+      const locked = await tx.invoice.updateMany({
+        where: { id: invoiceId, status: invoice.status },
+        data: {
+          status: "VOID",
+          voidedAt: new Date(),
+          voidedById: Number.isInteger(userId) && userId > 0 ? userId : null,
+          voidReason: reason,
+        },
+      });
+      if (locked.count !== 1) {
+        throw invoiceError(409, "Invoice changed while voiding it");
+      }
+
+      await tx.order.updateMany({
+        where: { invoiceId },
+        data: { invoiceId: null, invoicedAt: null },
+      });
+
+      // Drafts never reached the ledger; a finalized invoice is reversed
+      if (invoice.status === "FINALIZED") {
+        await postInvoiceLedgerEntry(tx, invoice, {
+          type: "ADJUSTMENT",
+          particular: `Invoice ${invoice.invoiceNumber} voided`,
+          amount: -invoice.netPayable,
+          notes: reason,
+          createdById: Number.isInteger(userId) && userId > 0 ? userId : null,
+        });
+        await tx.shipperLedgerEntry.updateMany({
+          where: { invoiceId, type: "INVOICE" },
+          data: { status: "PAID" },
+        });
+      }
+
+      return tx.invoice.findUnique({
+        where: { id: invoiceId },
+        include: INVOICE_DETAIL_INCLUDE,
+      });
+    });
+
+    res.json({
+      message: "Invoice voided successfully",
+      invoice: mapInvoice(voidedInvoice),
+    });
+  } catch (error) {
+    if (error && error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    next(error);
+  }
+};
+
+// Issue a credit note against a finalized invoice, optionally for one of
+// its orders. Credits cannot exceed the charges billed on the invoice.
+exports.createCreditNote = async (req, res, next) => {
+  try {
+    const invoiceId = Number(req.params.id);
+    if (!Number.isInteger(invoiceId) || invoiceId <= 0) {
+      return res.status(400).json({ message: "Invalid invoice id" });
+    }
+
+    const { amount, reason, orderId } = req.body || {};
+
+    const numericAmount = Number(amount);
+    if (!Number.isInteger(numericAmount) || numericAmount <= 0) {
+      return res
+        .status(400)
+        .json({ message: "amount must be a positive whole PKR amount" });
+    }
+    if (!reason || !String(reason).trim()) {
+      return res.status(400).json({ message: "A reason is required" });
+    }
+
+    let orderIdNum = null;
+    if (orderId !== undefined && orderId !== null && orderId !== "") {
+      orderIdNum = Number(orderId);
+      if (!Number.isInteger(orderIdNum) || orderIdNum <= 0) {
+        return res.status(400).json({ message: "Invalid order id" });
+      }
+    }
+
+    const creatorId = Number(req.user && req.user.id);
+    if (!Number.isInteger(creatorId) || creatorId <= 0) {
+      return res.status(401).json({ message: "Unauthorized" });
+    }
+
+    const result = await prisma.$transaction(async (tx) => {
+      const invoice = await tx.invoice.findUnique({
+        where: { id: invoiceId },
+        include: { creditNotes: { select: { amount: true } } },
+      });
+      if (!invoice) {
+        throw invoiceError(404, "Invoice not found");
+      }
+      if (invoice.status !== "FINALIZED" && invoice.status !== "PAID") {
+        throw invoiceError(400, "Credit notes can only be issued on finalized invoices");
+      }
+
+      if (orderIdNum) {
+        const order = await tx.order.findFirst({
+          where: { id: orderIdNum, invoiceId },
+          select: { id: true },
+        });
+        if (!order) {
+          throw invoiceError(400, "Order is not on this invoice");
+        }
+      }
+
+      const billedCharges =
+        invoice.serviceChargesTotal +
+        invoice.fuelCharges +
+        invoice.otherCharges -
+        invoice.discount;
+      const alreadyCredited = sumCreditNotes(invoice.creditNotes);
+      if (alreadyCredited + numericAmount > billedCharges) {
+        throw invoiceError(
+          400,
+          `Credit exceeds the charges left on this invoice (PKR ${Math.max(
+            0,
+            billedCharges - alreadyCredited,
+          ).toLocaleString()})`,
+        );
+      }
+
+      // A shipper who already paid part of what they owed must not end up
+      // overpaid by the credit
+      const current = getInvoiceSettlement(invoice, alreadyCredited);
+      const settlement = getInvoiceSettlement(invoice, alreadyCredited + numericAmount);
+      if (
+        current.direction < 0 &&
+        invoice.amountPaid > 0 &&
+        settlement.adjusted + invoice.amountPaid > 0
+      ) {
+        throw invoiceError(
+          400,
+          `Credit exceeds what the shipper still owes on this invoice (PKR ${current.outstanding.toLocaleString()})`,
+        );
+      }
+
+      const creditNoteNumber = await allocateNextCreditNoteNumber(tx);
+
+      const creditNote = await tx.creditNote.create({
+        data: {
+          creditNoteNumber,
+          invoiceId,
+          orderId: orderIdNum,
+          amount: numericAmount,
+          reason: String(reason).trim(),
+          createdById: creatorId,
+        },
+        include: { createdBy: { select: { id: true, name: true } } },
+      });
+
+      await postInvoiceLedgerEntry(tx, invoice, {
+        type: "CREDIT_NOTE",
+        particular: `Credit note ${creditNoteNumber} on invoice ${invoice.invoiceNumber}`,
+        amount: numericAmount,
+        notes: creditNote.reason,
+        createdById: creatorId,
+      });
+      await syncInvoicePaidStatus(tx, invoice, settlement);
+
+      const fullInvoice = await tx.invoice.findUnique({
+        where: { id: invoiceId },
+        include: INVOICE_DETAIL_INCLUDE,
+      });
+
+      return { creditNote, invoice: fullInvoice };
     });
 
     res.status(201).json({
-      message: "Invoice created successfully",
-      invoice: mapInvoice(createdInvoice),
+      message: "Credit note issued successfully",
+      creditNote: mapCreditNote(result.creditNote),
+      invoice: mapInvoice(result.invoice),
+    });
+  } catch (error) {
+    if (error && error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    next(error);
+  }
+};
+
+// Record a full or partial payment against a finalized invoice. The invoice
+// becomes PAID once nothing is left to settle.
+exports.recordInvoicePayment = async (req, res, next) => {
+  try {
+    const invoiceId = Number(req.params.id);
+    if (!Number.isInteger(invoiceId) || invoiceId <= 0) {
+      return res.status(400).json({ message: "Invalid invoice id" });
+    }
+
+    const { amount, method, reference, paidAt, notes } = req.body || {};
+
+    const numericAmount = Number(amount);
+    if (!Number.isInteger(numericAmount) || numericAmount <= 0) {
+      return res
+        .status(400)
+        .json({ message: "amount must be a positive whole PKR amount" });
+    }
+
+    const methodUpper = String(method || "").trim().toUpperCase();
+    if (!PAYMENT_METHODS.includes(methodUpper)) {
+      return res.status(400).json({
+        message: `method must be one of ${PAYMENT_METHODS.join(", ")}`,
+      });
+    }
+
+    const paidAtDate = paidAt ? parseDateInput(paidAt) : new Date();
+    if (!paidAtDate) {
+      return res.status(400).json({ message: "Invalid paidAt date" });
+    }
+
+    const creatorId = Number(req.user && req.user.id);
+    if (!Number.isInteger(creatorId) || creatorId <= 0) {
+      return res.status(401).json({ message: "Unauthorized" });
+    }
+
+    const result = await prisma.$transaction(async (tx) => {
+      const invoice = await tx.invoice.findUnique({
+        where: { id: invoiceId },
+        include: { creditNotes: { select: { amount: true } } },
+      });
+      if (!invoice) {
+        throw invoiceError(404, "Invoice not found");
+      }
+      if (invoice.status === "PAID") {
+        throw invoiceError(400, "Invoice is already fully paid");
+      }
+      if (invoice.status !== "FINALIZED") {
+        throw invoiceError(400, "Payments can only be recorded on finalized invoices");
+      }
+
+      // Invoices raised before remittances excluded invoiced orders may hold
+      // orders whose COD was already paid out in a batch
+      const remitted = await tx.financialTransaction.count({
+        where: { order: { invoiceId }, settlementBatchId: { not: null } },
+      });
+      if (remitted > 0) {
+        throw invoiceError(
+          409,
+          "Some orders on this invoice were already paid out in a COD remittance",
+        );
+      }
+
+      const before = getInvoiceSettlement(invoice, sumCreditNotes(invoice.creditNotes));
+      if (numericAmount > before.outstanding) {
+        throw invoiceError(
+          400,
+          `Payment exceeds the balance due on this invoice (PKR ${before.outstanding.toLocaleString()})`,
+        );
+      }
+
+      // Conditional on the amount we read so concurrent payments cannot
+      // overshoot the balance
+      const locked = await tx.invoice.updateMany({
+        where: { id: invoiceId, amountPaid: invoice.amountPaid },
+        data: { amountPaid: { increment: numericAmount } },
+      });
+      if (locked.count !== 1) {
+        throw invoiceError(409, "Another payment was recorded meanwhile; please retry");
+      }
+
+      const payment = await tx.invoicePayment.create({
+        data: {
+          invoiceId,
+          amount: numericAmount,
+          method: methodUpper,
+          reference: reference ? String(reference).trim() : null,
+          paidAt: paidAtDate,
+          notes: notes ? String(notes).trim() : null,
+          createdById: creatorId,
+        },
+        include: { createdBy: { select: { id: true, name: true } } },
+      });
+
+      const payer = before.payer === "COMPANY" ? "to shipper" : "from shipper";
+      await postInvoiceLedgerEntry(tx, invoice, {
+        type: "INVOICE_PAYMENT",
+        entryDate: paidAtDate,
+        particular: `Payment ${payer} for invoice ${invoice.invoiceNumber}`,
+        // Settling moves the balance back towards zero
+        amount: -before.direction * numericAmount,
+        status: "PAID",
+        notes: [methodUpper, payment.reference].filter(Boolean).join(" "),
+        invoicePaymentId: payment.id,
+        createdById: creatorId,
+      });
+
+      const after = getInvoiceSettlement(
+        { ...invoice, amountPaid: invoice.amountPaid + numericAmount },
+        sumCreditNotes(invoice.creditNotes),
+      );
+      await syncInvoicePaidStatus(tx, invoice, after, paidAtDate);
+
+      const fullInvoice = await tx.invoice.findUnique({
+        where: { id: invoiceId },
+        include: INVOICE_DETAIL_INCLUDE,
+      });
+
+      return { payment, invoice: fullInvoice };
+    });
+
+    res.status(201).json({
+      message: "Payment recorded successfully",
+      payment: mapInvoicePayment(result.payment),
+      invoice: mapInvoice(result.invoice),
+    });
+  } catch (error) {
+    if (error && error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    next(error);
+  }
+};
+
+const AGING_BUCKETS = [
+  { key: "0-7", maxDays: 7 },
+  { key: "8-15", maxDays: 15 },
+  { key: "16-30", maxDays: 30 },
+  { key: "30+", maxDays: Infinity },
+];
+
+// Aging of unsettled finalized invoices per shipper, by days since the
+// invoice date. Amounts are signed like the ledger: positive is owed to the
+// shipper, negative is owed by the shipper.
+exports.getInvoiceAging = async (req, res, next) => {
+  try {
+    const { shipperId, asOf } = req.query;
+
+    const asOfDate = asOf ? parseDateInput(asOf) : new Date();
+    if (!asOfDate) {
+      return res.status(400).json({ message: "Invalid asOf date" });
+    }
+    if (asOf) asOfDate.setHours(23, 59, 59, 999);
+
+    const where = {
+      status: "FINALIZED",
+      invoiceDate: { lte: asOfDate },
+    };
+    if (shipperId) {
+      const sid = Number(shipperId);
+      if (!Number.isInteger(sid) || sid <= 0) {
+        return res.status(400).json({ message: "Invalid shipper id" });
+      }
+      where.shipperId = sid;
+    }
+
+    const invoices = await prisma.invoice.findMany({
+      where,
+      include: {
+        shipper: true,
+        creditNotes: { select: { amount: true } },
+      },
+      orderBy: { invoiceDate: "asc" },
+    });
+
+    const emptyBuckets = () =>
+      AGING_BUCKETS.reduce((acc, bucket) => ({ ...acc, [bucket.key]: 0 }), {});
+    const byShipper = new Map();
+    const totals = { ...emptyBuckets(), total: 0 };
+    const dayMs = 24 * 60 * 60 * 1000;
+
+    for (const invoice of invoices) {
+      const { balance } = getInvoiceSettlement(invoice, sumCreditNotes(invoice.creditNotes));
+      if (!balance) continue;
+
+      const ageDays = Math.max(
+        0,
+        Math.floor((asOfDate.getTime() - new Date(invoice.invoiceDate).getTime()) / dayMs),
+      );
+      const bucket = AGING_BUCKETS.find((b) => ageDays <= b.maxDays);
+
+      if (!byShipper.has(invoice.shipperId)) {
+        byShipper.set(invoice.shipperId, {
+          shipper: mapShipperForInvoice(invoice.shipper),
+          invoiceCount: 0,
+          buckets: emptyBuckets(),
+          total: 0,
+          oldestInvoiceDate: invoice.invoiceDate,
+        });
+      }
+      const row = byShipper.get(invoice.shipperId);
+      row.invoiceCount += 1;
+      row.buckets[bucket.key] += balance;
+      row.total += balance;
+      totals[bucket.key] += balance;
+      totals.total += balance;
+    }
+
+    res.json({
+      asOf: asOfDate,
+      buckets: AGING_BUCKETS.map((b) => b.key),
+      shippers: Array.from(byShipper.values()).sort(
+        (a, b) => Math.abs(b.total) - Math.abs(a.total),
+      ),
+      totals,
     });
   } catch (error) {
     next(error);
@@ -439,13 +1324,7 @@ exports.getInvoice = async (req, res, next) => {
 
     const invoice = await prisma.invoice.findUnique({
       where: { id: invoiceId },
-      include: {
-        shipper: true,
-        orders: true,
-        createdBy: {
-          select: { id: true, name: true },
-        },
-      },
+      include: INVOICE_DETAIL_INCLUDE,
     });
 
     if (!invoice) {
@@ -461,10 +1340,18 @@ exports.getInvoice = async (req, res, next) => {
 // Get invoice list
 exports.getInvoices = async (req, res, next) => {
   try {
-    const { shipperId, from, to, page = 1, limit = 20 } = req.query;
+    const { shipperId, status, from, to, page = 1, limit = 20 } = req.query;
 
     const where = {};
 
+    if (status) {
+      const statusUpper = String(status).toUpperCase();
+      if (!["DRAFT", "FINALIZED", "PAID", "VOID"].includes(statusUpper)) {
+        return res.status(400).json({ message: "Invalid invoice status" });
+      }
+      where.status = statusUpper;
+    }
+
     if (shipperId) {
       const sid = Number(shipperId);
       if (Number.isInteger(sid) && sid > 0) {
@@ -581,7 +1468,7 @@ exports.exportInvoiceToExcel = async (req, res, next) => {
 
     // Invoice details
     worksheet.getCell("A3").value = "Invoice No:";
-    worksheet.getCell("B3").value = invoice.invoiceNumber;
+    worksheet.getCell("B3").value = invoiceDisplayNumber(invoice);
     worksheet.getCell("A4").value = "Invoice Date:";
     worksheet.getCell("B4").value = invoice.invoiceDate.toDateString();
 
@@ -706,7 +1593,7 @@ exports.exportInvoiceToExcel = async (req, res, next) => {
     );
     res.setHeader(
       "Content-Disposition",
-      `attachment; filename="Invoice_${invoice.invoiceNumber}.xlsx"`,
+      `attachment; filename="Invoice_${invoiceDisplayNumber(invoice)}.xlsx"`,
     );
 
     // Write workbook to response
@@ -716,3 +1603,93 @@ exports.exportInvoiceToExcel = async (req, res, next) => {
     next(error);
   }
 };
+
+// Load an invoice with the active company profile and render it as a PDF.
+// Returns null when the invoice does not exist.
+const renderInvoicePdf = async (invoiceId) => {
+  const [invoice, profile] = await Promise.all([
+    prisma.invoice.findUnique({
+      where: { id: invoiceId },
+      include: {
+        shipper: true,
+        ...INVOICE_DETAIL_INCLUDE,
+        orders: { orderBy: { createdAt: "asc" } },
+      },
+    }),
+    prisma.companyProfile.findFirst({ where: { isActive: true } }),
+  ]);
+
+  if (!invoice) return null;
+
+  const mapped = { ...mapInvoice(invoice), invoiceNumber: invoiceDisplayNumber(invoice) };
+  const pdf = await buildInvoicePdf(mapped, profile);
+  return { invoice: mapped, profile, pdf };
+};
+
+// Export invoice to PDF
+exports.exportInvoiceToPdf = async (req, res, next) => {
+  try {
+    const invoiceId = Number(req.params.id);
+    if (!Number.isInteger(invoiceId) || invoiceId <= 0) {
+      return res.status(400).json({ message: "Invalid invoice id" });
+    }
+
+    const rendered = await renderInvoicePdf(invoiceId);
+    if (!rendered) {
+      return res.status(404).json({ message: "Invoice not found" });
+    }
+
+    res.setHeader("Content-Type", "application/pdf");
+    res.setHeader(
+      "Content-Disposition",
+      `attachment; filename="Invoice_${rendered.invoice.invoiceNumber}.pdf"`,
+    );
+    res.send(rendered.pdf);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Email the invoice PDF to the shipper's account email
+exports.emailInvoice = async (req, res, next) => {
+  try {
+    const invoiceId = Number(req.params.id);
+    if (!Number.isInteger(invoiceId) || invoiceId <= 0) {
+      return res.status(400).json({ message: "Invalid invoice id" });
+    }
+
+    const rendered = await renderInvoicePdf(invoiceId);
+    if (!rendered) {
+      return res.status(404).json({ message: "Invoice not found" });
+    }
+
+    const { invoice, profile, pdf } = rendered;
+    if (invoice.status !== "FINALIZED" && invoice.status !== "PAID") {
+      return res
+        .status(400)
+        .json({ message: `A ${invoice.status} invoice cannot be emailed` });
+    }
+    const to = invoice.shipper && invoice.shipper.email;
+    if (!to) {
+      return res.status(400).json({ message: "Shipper has no email address" });
+    }
+
+    try {
+      await sendInvoiceEmail(to, {
+        name: invoice.shipper.companyName || invoice.shipper.name,
+        invoiceNumber: invoice.invoiceNumber,
+        companyName: profile && profile.companyName,
+        pdf,
+      });
+    } catch (emailError) {
+      console.error("Failed to email invoice:", emailError.message);
+      return res.status(502).json({
+        message: `Failed to send invoice email: ${emailError.message}`,
+      });
+    }
+
+    res.json({ message: "Invoice emailed successfully", to });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -1,4 +1,8 @@
 const prisma = require('../prismaClient');
+const { STAFF_ROLES } = require('../utils/permissions');
+
+// Staff who handle pickups see every open pickup request
+const PICKUP_REQUEST_ROLES = ['CEO', 'MANAGER', 'WAREHOUSE', 'DISPATCHER'];
 
 // Create a pickup request notification for a shipper
 exports.createPickupRequest = async (req, res, next) => {
@@ -40,18 +44,24 @@ exports.createPickupRequest = async (req, res, next) => {
   }
 };
 
-// List notifications for the current user (CEO/MANAGER/SHIPPER)
+// List notifications for the current user (CEO/MANAGER/SHIPPER/RIDER)
 exports.getNotifications = async (req, res, next) => {
   try {
     const { role, id } = req.user;
 
     let where = {};
-    if (role === 'CEO' || role === 'MANAGER') {
-      // CEO and Manager see unread pickup requests
-      where = { type: 'PICKUP_REQUEST', read: false };
+    if (PICKUP_REQUEST_ROLES.includes(role)) {
+      // Operations staff see unread pickup requests and alerts sent to them
+      where = {
+        read: false,
+        OR: [{ type: 'PICKUP_REQUEST' }, { recipientId: id }],
+      };
     } else if (role === 'SHIPPER') {
       // Shippers see their own notifications
       where = { shipperId: id };
+    } else if (role === 'RIDER' || STAFF_ROLES.includes(role)) {
+      // Riders and other staff only get notifications addressed to them directly
+      where = { recipientId: id };
     } else {
       return res.json([]);
     }
@@ -3,13 +3,29 @@ const generateTrackingId = require('../config/trackingId');
 const QRCode = require('qrcode');
 const ExcelJS = require('exceljs');
 const prisma = require('../prismaClient');
-const { computeServiceChargeKgBased } = require('../utils/serviceChargeCalculator');
+const { STAFF_ROLES, hasPermission } = require('../utils/permissions');
+const { computeOrderServiceCharge } = require('../utils/serviceChargeCalculator');
+const {
+  FINAL_ORDER_STATUSES,
+  PENDING_RETURN_STATUSES,
+  isFinalOrderStatus,
+  isClosedOrderStatus,
+  getTransitionError,
+} = require('../utils/orderStatusMachine');
+const {
+  CANCEL_REASON_CODES,
+  normalizeCancelReason,
+  cancelOrder,
+} = require('../utils/orderCancellation');
+const { buildManualOrderData } = require('../utils/orderValidation');
+const { buildRateQuote } = require('../utils/rateQuote');
+const { notifyOrderStatusChange } = require('../utils/orderStatusNotifier');
 
 // Map Prisma Order + relations into the shape the React frontend expects
-function mapOrderToApi(order) {
+function mapOrderToApi(order, options = {}) {
   if (!order) return null;
 
-  const { shipper, assignedRider, statusEvents, ...o } = order;
+  const { shipper, assignedRider, statusEvents, returnSignature, ...o } = order;
 
   const base = {
     ...o,
@@ -17,6 +33,13 @@ function mapOrderToApi(order) {
     _id: o.id,
   };
 
+  // The handover signature is a data URL; only ship it on single-order views
+  // so that order lists stay small.
+  base.hasReturnSignature = !!returnSignature;
+  if (options.includeReturnSignature) {
+    base.returnSignature = returnSignature || null;
+  }
+
   // Backwards-compatible activity timeline used by CEO dashboard and
   // other legacy UIs that expect `statusHistory` on the order object.
   if (Array.isArray(statusEvents) && statusEvents.length) {
@@ -105,7 +128,7 @@ function buildOrdersExportWhere(user, query) {
       where.assignedRiderId = userIdNum;
       where.bookingState = 'BOOKED';
     }
-  } else if (['CEO', 'MANAGER'].includes(role)) {
+  } else if (STAFF_ROLES.includes(role)) {
     where.OR = [
       { isIntegrated: false },
       { isIntegrated: true, bookingState: 'BOOKED' },
@@ -161,17 +184,17 @@ function buildOrdersExportWhere(user, query) {
   if (rawStatus) {
     const finalStatuses = ['DELIVERED', 'RETURNED', 'FAILED'];
     if (finalStatuses.includes(rawStatus) ||
-        ['CREATED', 'ASSIGNED', 'AT_LLL_WAREHOUSE', 'OUT_FOR_DELIVERY'].includes(rawStatus)) {
+        ['CREATED', 'ASSIGNED', 'AT_LLL_WAREHOUSE', 'OUT_FOR_DELIVERY', 'CANCELLED'].includes(rawStatus)) {
       where.status = rawStatus;
     } else if (rawStatus === 'PENDING') {
       // For shippers, match the ShipperDashboard filter which treats
       // PENDING as excluding out-for-delivery as well as final states.
       if (role === 'SHIPPER') {
         where.status = {
-          notIn: [...finalStatuses, 'OUT_FOR_DELIVERY'],
+          notIn: [...finalStatuses, 'CANCELLED', 'OUT_FOR_DELIVERY'],
         };
       } else {
-        where.status = { notIn: finalStatuses };
+        where.status = { notIn: [...finalStatuses, 'CANCELLED'] };
       }
     } else if (rawStatus === 'OUT_FOR_DELIVERY_GROUP') {
       // For future use: group status could be handled with a more
@@ -200,33 +223,16 @@ function buildOrdersExportWhere(user, query) {
  */
 const createOrder = async (req, res, next) => {
   try {
-    const {
-      consigneeName, consigneePhone, consigneeAddress, destinationCity,
-      serviceType, codAmount, productDescription, pieces, fragile, remarks, paymentType,
-      weightKg // NEW
-    } = req.body;
-
-    if (!productDescription || !String(productDescription).trim()) {
-      return res.status(400).json({ message: 'Product description is required' });
-    }
-
-    if (!weightKg || weightKg <= 0) {
-      return res.status(400).json({ message: 'weightKg required and must be > 0' });
-    }
-
     const shipperId = Number(req.user.id);
     if (!Number.isInteger(shipperId) || shipperId <= 0) {
       return res.status(400).json({ message: 'Invalid shipper id' });
     }
 
-    const bookingId = await generateBookingId();
-    const trackingId = await generateTrackingId();
-
-    // Commission Config/weight-based logic via Prisma (single-rule + legacy
-    // brackets fallback handled by computeServiceChargeKgBased)
+    // Commission Config/weight-based logic via Prisma (zone rate cards, then
+    // single-rule + legacy brackets fallback; see computeOrderServiceCharge)
     const commissionConfig = await prisma.commissionConfig.findUnique({
       where: { shipperId },
-      include: { weightBrackets: true },
+      include: { weightBrackets: true, rateCards: true },
     });
 
     if (!commissionConfig) {
@@ -235,54 +241,21 @@ const createOrder = async (req, res, next) => {
         .json({ message: 'No commission configuration found for this shipper' });
     }
 
-    const numericWeight = Number(weightKg);
-    const { serviceCharges, rule } = computeServiceChargeKgBased(
-      numericWeight,
-      commissionConfig,
-    );
-
-    if (!rule) {
-      return res
-        .status(400)
-        .json({ message: 'No commission rule configured for this shipper' });
-    }
-
-    if (!serviceCharges || serviceCharges <= 0) {
-      return res.status(400).json({
-        message: 'No commission rule matched for this weight for this shipper',
-      });
+    // Same validation as the bulk upload (see utils/orderValidation)
+    const { errors, data } = buildManualOrderData(req.body, commissionConfig);
+    if (errors.length) {
+      return res.status(400).json({ message: errors[0], errors });
     }
 
-    const numericCod = Number(codAmount || 0);
-    const effectivePaymentType = paymentType || (numericCod > 0 ? 'COD' : 'ADVANCE');
-    const effectiveCodAmount = effectivePaymentType === 'ADVANCE' ? 0 : numericCod;
+    const bookingId = await generateBookingId();
+    const trackingId = await generateTrackingId();
 
     const created = await prisma.order.create({
       data: {
+        ...data,
         bookingId,
         trackingId,
         shipperId,
-        consigneeName,
-        consigneePhone,
-        consigneeAddress,
-        destinationCity,
-        serviceType: serviceType || 'SAME_DAY',
-        paymentType: effectivePaymentType,
-        codAmount: effectiveCodAmount,
-        productDescription,
-        pieces: Number(pieces || 1),
-        fragile: !!fragile,
-        weightKg: numericWeight,
-        serviceCharges,
-        totalAmount: effectiveCodAmount + serviceCharges,
-        remarks,
-        status: 'CREATED',
-        isIntegrated: false,
-        bookingState: 'BOOKED',
-        bookedWithLLL: true,
-        isDeleted: false,
-        shipperApprovalStatus: 'approved',
-        source: 'MANUAL',
       },
       include: {
         shipper: {
@@ -300,6 +273,35 @@ const createOrder = async (req, res, next) => {
   }
 };
 
+/**
+ * Price a parcel without booking it. Shippers get their own rates; CEO and
+ * managers pass shipperId in the body.
+ * POST /api/orders/quote
+ */
+const getQuote = async (req, res, next) => {
+  try {
+    const { role, id } = req.user;
+    const shipperId = Number(role === 'SHIPPER' ? id : (req.body || {}).shipperId);
+    if (!Number.isInteger(shipperId) || shipperId <= 0) {
+      return res.status(400).json({ message: 'Invalid shipper id' });
+    }
+
+    const commissionConfig = await prisma.commissionConfig.findUnique({
+      where: { shipperId },
+      include: { weightBrackets: true, rateCards: true },
+    });
+
+    const { errors, quote } = buildRateQuote(req.body, commissionConfig);
+    if (errors.length) {
+      return res.status(400).json({ message: errors[0], errors });
+    }
+
+    res.json({ shipperId, ...quote });
+  } catch (err) {
+    next(err);
+  }
+};
+
 const getOrders = async (req, res, next) => {
   try {
     const { role, id } = req.user;
@@ -312,7 +314,7 @@ const getOrders = async (req, res, next) => {
     } else if (role === 'RIDER') {
       where.assignedRiderId = id;
       where.bookingState = 'BOOKED';
-    } else if (['CEO', 'MANAGER'].includes(role)) {
+    } else if (STAFF_ROLES.includes(role)) {
       where.OR = [
         { isIntegrated: false },
         { isIntegrated: true, bookingState: 'BOOKED' },
@@ -380,10 +382,8 @@ const getOrders = async (req, res, next) => {
 // shipperId, q/search).
 const exportOrdersReportXlsx = async (req, res, next) => {
   try {
-    const role = req.user && req.user.role;
-
-    // Only CEO and Manager are allowed to export this report
-    if (!['CEO', 'MANAGER'].includes(role)) {
+    // Only staff holding the export permission
+    if (!(await hasPermission(req.user, 'reports.export'))) {
       return res
         .status(403)
         .json({ message: 'You are not allowed to export orders report' });
@@ -547,6 +547,9 @@ const getOrderById = async (req, res, next) => {
       include: {
         shipper: { select: { id: true, name: true, email: true, companyName: true } },
         assignedRider: { select: { id: true, name: true, phone: true } },
+        proofOfDelivery: {
+          select: { id: true, receiverName: true, receiverRelation: true, capturedAt: true },
+        },
       },
     });
 
@@ -561,7 +564,42 @@ const getOrderById = async (req, res, next) => {
       return res.status(403).json({ message: 'Forbidden' });
     }
 
-    res.json(mapOrderToApi(order));
+    res.json(mapOrderToApi(order, { includeReturnSignature: true }));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Shipper: returns on their way back that have not been handed over yet
+ * GET /api/shipper/orders/returns
+ */
+const getShipperPendingReturns = async (req, res, next) => {
+  try {
+    const shipperId = Number(req.user.id);
+    if (!Number.isInteger(shipperId) || shipperId <= 0) {
+      return res.status(401).json({ message: 'Unauthorized' });
+    }
+
+    const orders = await prisma.order.findMany({
+      where: {
+        shipperId,
+        isDeleted: false,
+        status: 'RETURNED',
+        returnStatus: { in: PENDING_RETURN_STATUSES },
+      },
+      include: {
+        assignedRider: { select: { id: true, name: true, phone: true } },
+      },
+      orderBy: { updatedAt: 'desc' },
+    });
+
+    res.json({
+      total: orders.length,
+      atWarehouse: orders.filter((o) => o.returnStatus === 'RETURN_AT_WAREHOUSE').length,
+      inTransit: orders.filter((o) => o.returnStatus === 'RETURN_IN_TRANSIT').length,
+      orders: orders.map((o) => mapOrderToApi(o)),
+    });
   } catch (error) {
     next(error);
   }
@@ -580,10 +618,10 @@ const ceoEditOrder = async (req, res, next) => {
     const rawUserId = req.user && (req.user.id || req.user._id);
     const editedById = Number(rawUserId);
 
-    if (role !== 'CEO' && role !== 'MANAGER') {
+    if (!(await hasPermission(req.user, 'orders.edit'))) {
       return res
         .status(403)
-        .json({ message: 'Only CEO or Manager can edit orders' });
+        .json({ message: 'You are not allowed to edit orders' });
     }
     if (!Number.isInteger(editedById) || editedById <= 0) {
       return res.status(401).json({ message: 'Unauthorized' });
@@ -607,10 +645,7 @@ const ceoEditOrder = async (req, res, next) => {
       return res.status(404).json({ message: 'Order not found' });
     }
 
-    const statusUpper = String(existing.status || '').toUpperCase();
-    const isFinalStatus = ['DELIVERED', 'RETURNED', 'FAILED'].includes(
-      statusUpper,
-    );
+    const isFinalStatus = isClosedOrderStatus(existing.status);
 
     const tx = existing.financialTransaction;
     const settlementStatusUpper = tx?.settlementStatus
@@ -624,7 +659,7 @@ const ceoEditOrder = async (req, res, next) => {
     if (isFinalStatus || isSettled || isInvoiced) {
       return res.status(400).json({
         message:
-          'This order is locked (delivered/returned/settled/invoiced) and cannot be edited.',
+          'This order is locked (delivered/returned/cancelled/settled/invoiced) and cannot be edited.',
       });
     }
 
@@ -640,10 +675,37 @@ const ceoEditOrder = async (req, res, next) => {
       consigneeAddress: consigneeAddressRaw,
       destinationCity: destinationCityRaw,
       remarks: remarksRaw,
+      status: statusRaw,
     } = req.body || {};
 
     const updates = {};
 
+    if (typeof statusRaw !== 'undefined' && statusRaw !== null && statusRaw !== '') {
+      const nextStatus = String(statusRaw).trim().toUpperCase();
+      if (nextStatus !== existing.status) {
+        // Final statuses carry finance side effects and must go through
+        // PATCH /api/orders/:id/status instead of a plain edit.
+        if (FINAL_ORDER_STATUSES.includes(nextStatus)) {
+          return res.status(400).json({
+            message: `Use the status update endpoint to mark an order ${nextStatus}`,
+          });
+        }
+        if (nextStatus === 'CANCELLED') {
+          return res.status(400).json({
+            message: 'Use the cancel endpoint to cancel an order with a reason',
+          });
+        }
+        const conflict = getTransitionError(existing.status, nextStatus, role);
+        if (conflict) {
+          return res.status(409).json(conflict);
+        }
+        updates.status = nextStatus;
+        if (nextStatus === 'CREATED') {
+          updates.assignedRiderId = null;
+        }
+      }
+    }
+
     // Start from existing finance values and adjust based on inputs.
     let newPaymentType = existing.paymentType;
     let newCodAmount = existing.codAmount;
@@ -793,7 +855,20 @@ const ceoEditOrder = async (req, res, next) => {
     const updated = await prisma.$transaction(async (tx) => {
       const updatedOrder = await tx.order.update({
         where: { id: orderId },
-        data: updates,
+        data: {
+          ...updates,
+          ...(updates.status
+            ? {
+                statusEvents: {
+                  create: {
+                    status: updates.status,
+                    note: `Status changed by ${role}: ${reason}`,
+                    createdById: editedById,
+                  },
+                },
+              }
+            : {}),
+        },
         include: {
           shipper: {
             select: {
@@ -827,6 +902,10 @@ const ceoEditOrder = async (req, res, next) => {
       return updatedOrder;
     });
 
+    if (updates.status) {
+      notifyOrderStatusChange(updated, { previousStatus: existing.status, note: reason });
+    }
+
     res.json(mapOrderToApi(updated));
   } catch (error) {
     next(error);
@@ -971,6 +1050,72 @@ const softDeleteShipperOrder = async (req, res, next) => {
   }
 };
 
+/**
+ * Cancel an order before it reaches the LLL warehouse
+ * PATCH /api/orders/:id/cancel
+ * Body: { reasonCode, note? }
+ * Shippers may cancel their own orders; CEO/Manager may cancel any order.
+ */
+const cancelShipperOrder = async (req, res, next) => {
+  try {
+    const orderId = Number(req.params.id);
+    if (!Number.isInteger(orderId) || orderId <= 0) {
+      return res.status(400).json({ message: 'Invalid order id' });
+    }
+
+    const userId = Number(req.user.id);
+    if (!Number.isInteger(userId) || userId <= 0) {
+      return res.status(401).json({ message: 'Unauthorized' });
+    }
+
+    const reasonCode = normalizeCancelReason(req.body && req.body.reasonCode);
+    if (!reasonCode) {
+      return res.status(400).json({
+        message: 'A valid cancellation reasonCode is required',
+        reasonCodes: Object.keys(CANCEL_REASON_CODES),
+      });
+    }
+
+    const note = req.body && req.body.note ? String(req.body.note).trim() : '';
+    if (reasonCode === 'OTHER' && !note) {
+      return res.status(400).json({ message: 'Please describe the reason for cancellation' });
+    }
+
+    const existing = await prisma.order.findFirst({
+      where: { id: orderId, isDeleted: false },
+    });
+
+    if (!existing) {
+      return res.status(404).json({ message: 'Order not found' });
+    }
+
+    if (req.user.role === 'SHIPPER' && existing.shipperId !== userId) {
+      return res.status(403).json({ message: 'Not authorized to cancel this order' });
+    }
+
+    if (existing.isIntegrated && existing.bookingState !== 'BOOKED') {
+      return res.status(400).json({
+        message: 'Unbooked integrated orders should be rejected instead of cancelled',
+      });
+    }
+
+    const { conflict, order } = await cancelOrder(existing, {
+      reasonCode,
+      note,
+      cancelledById: userId,
+      role: req.user.role,
+    });
+
+    if (conflict) {
+      return res.status(409).json(conflict);
+    }
+
+    res.json(mapOrderToApi(order));
+  } catch (error) {
+    next(error);
+  }
+};
+
 const assignRider = async (req, res, next) => {
   try {
     const rawId = req.params.id;
@@ -990,9 +1135,29 @@ const assignRider = async (req, res, next) => {
       return res.status(404).json({ message: 'Order not found' });
     }
 
+    if (isClosedOrderStatus(existing.status)) {
+      return res.status(409).json({
+        message: `Cannot change rider. Order is already ${existing.status}`,
+        code: 'INVALID_STATUS_TRANSITION',
+        currentStatus: existing.status,
+      });
+    }
+
     const previousRiderId = existing.assignedRiderId;
-    const nextStatus =
-      riderIdNum && existing.status === 'CREATED' ? 'ASSIGNED' : existing.status;
+    let nextStatus = existing.status;
+    if (riderIdNum && existing.status === 'CREATED') {
+      nextStatus = 'ASSIGNED';
+    } else if (!riderIdNum && existing.status === 'ASSIGNED') {
+      // An ASSIGNED order without a rider would never be picked up.
+      nextStatus = 'CREATED';
+    }
+
+    if (nextStatus !== existing.status) {
+      const conflict = getTransitionError(existing.status, nextStatus, req.user.role);
+      if (conflict) {
+        return res.status(409).json(conflict);
+      }
+    }
 
     const updated = await prisma.order.update({
       where: { id: orderId },
@@ -1097,6 +1262,25 @@ const createFinancialTransaction = async (order) => {
     companyCommission = Math.min(companyCommission, codCollected);
     const shipperShare = codCollected - companyCommission;
 
+    // A FAILED parcel can come back and be delivered later. Its earlier row is
+    // recomputed, unless the rider or shipper was already paid against it.
+    const current = await prisma.financialTransaction.findUnique({
+      where: { orderId: order.id },
+      select: { id: true, settlementStatus: true, shipperPayoutStatus: true },
+    });
+    if (
+      current &&
+      (['PAID', 'SETTLED'].includes(String(current.settlementStatus || '').toUpperCase()) ||
+        current.shipperPayoutStatus === 'PAID')
+    ) {
+      console.warn('Financial transaction already settled; not overwriting', {
+        orderId: order.id,
+        transactionId: current.id,
+        status: finalStatus,
+      });
+      return;
+    }
+
     await prisma.financialTransaction.upsert({
       where: { orderId: order.id },
       update: {
@@ -1202,12 +1386,37 @@ const updateStatus = async (req, res, next) => {
       }
     }
 
+    const conflict = getTransitionError(existing.status, status, req.user.role);
+    if (conflict) {
+      return res.status(409).json(conflict);
+    }
+
+    // Optionally force riders to capture POD (receiver, signature, photo)
+    // before a delivery can be confirmed.
+    if (
+      status === 'DELIVERED' &&
+      req.user.role === 'RIDER' &&
+      String(process.env.REQUIRE_PROOF_OF_DELIVERY || '').toLowerCase() === 'true'
+    ) {
+      const pod = await prisma.proofOfDelivery.findUnique({ where: { orderId } });
+      if (!pod) {
+        return res.status(400).json({
+          message: 'Capture proof of delivery before marking the order delivered',
+          code: 'PROOF_OF_DELIVERY_REQUIRED',
+        });
+      }
+    }
+
     const previousStatus = existing.status;
 
     const data = {
       status,
     };
 
+    if (status === 'OUT_FOR_DELIVERY') {
+      data.outForDeliveryAt = new Date();
+    }
+
     let amountToSet = existing.amountCollected;
     if (status === 'DELIVERED') {
       const parsed = Number(amountCollected);
@@ -1218,19 +1427,20 @@ const updateStatus = async (req, res, next) => {
       try {
         const commissionConfig = await prisma.commissionConfig.findUnique({
           where: { shipperId: existing.shipperId },
-          include: { weightBrackets: true },
+          include: { weightBrackets: true, rateCards: true },
         });
 
         if (commissionConfig) {
           const numericWeight = Number(existing.weightKg || 0);
           if (Number.isFinite(numericWeight) && numericWeight > 0) {
-            const { serviceCharges, rule } = computeServiceChargeKgBased(
-              numericWeight,
-              commissionConfig,
-            );
+            const { serviceCharges, rule, zone, weightUsed, weightBasis } =
+              computeOrderServiceCharge(existing, commissionConfig);
 
             if (rule && Number.isFinite(serviceCharges) && serviceCharges >= 0) {
               data.serviceCharges = serviceCharges;
+              data.deliveryZone = zone;
+              data.serviceChargesWeightUsed = weightUsed;
+              data.serviceChargesWeightBasis = weightBasis;
             }
           }
         }
@@ -1245,47 +1455,59 @@ const updateStatus = async (req, res, next) => {
       data.failedReason = reason;
     }
 
-    // Apply flat return service charge configured per shipper when order is RETURNED.
-    // This overrides any existing weight-based service charges for returned orders.
+    // A RETURNED order starts the return-to-origin flow. Nothing is billed
+    // yet: the shipper's flat returnCharge is applied only when the parcel is
+    // handed back (see scannerController.returnHandoverScan).
+    const statusEventsToCreate = [
+      {
+        status,
+        note: reason || `Status updated to ${status}`,
+        createdById: Number(req.user.id) || null,
+      },
+    ];
     if (status === 'RETURNED') {
-      try {
-        const cfg = await prisma.commissionConfig.findUnique({
-          where: { shipperId: existing.shipperId },
-        });
-        if (cfg && typeof cfg.returnCharge === 'number') {
-          const rc = Number(cfg.returnCharge || 0);
-          if (!Number.isNaN(rc) && rc >= 0) {
-            data.serviceCharges = rc;
-          }
-        }
-      } catch (cfgErr) {
-        console.error(
-          'Error applying returnCharge for shipper',
-          existing.shipperId,
-          cfgErr,
-        );
-      }
+      data.returnStatus = 'RETURN_IN_TRANSIT';
+      data.serviceCharges = 0;
+      statusEventsToCreate.push({
+        status: 'RETURN_IN_TRANSIT',
+        note: 'Return in transit to LahoreLink warehouse',
+        createdById: Number(req.user.id) || null,
+      });
     }
 
-    const updated = await prisma.order.update({
-      where: { id: orderId },
-      data: {
-        ...data,
-        statusEvents: {
-          create: {
-            status,
-            note: reason || `Status updated to ${status}`,
-            createdById: Number(req.user.id) || null,
-          },
+    // Conditional on the status the transition was checked against, so two
+    // concurrent updates cannot both apply (and both run the finance below)
+    const updated = await prisma.$transaction(async (tx) => {
+      const locked = await tx.order.updateMany({
+        where: { id: orderId, status: previousStatus },
+        data,
+      });
+      if (locked.count !== 1) return null;
+
+      await tx.orderEvent.createMany({
+        data: statusEventsToCreate.map((event) => ({ ...event, orderId })),
+      });
+
+      return tx.order.findUnique({
+        where: { id: orderId },
+        include: {
+          shipper: true,
+          assignedRider: true,
         },
-      },
-      include: {
-        shipper: true,
-        assignedRider: true,
-      },
+      });
     });
 
-    if (['DELIVERED', 'RETURNED', 'FAILED'].includes(status) && previousStatus !== status) {
+    if (!updated) {
+      return res.status(409).json({
+        message: 'Order status changed meanwhile; reload and try again',
+        code: 'STATUS_CHANGED',
+        requestedStatus: status,
+      });
+    }
+
+    // Moving between final statuses (FAILED -> RETURNED) keeps the finance
+    // recorded when the order first became final
+    if (isFinalOrderStatus(status) && !isFinalOrderStatus(previousStatus)) {
       await createFinancialTransaction(updated);
 
       if (updated.assignedRiderId && status === 'DELIVERED') {
@@ -1293,6 +1515,10 @@ const updateStatus = async (req, res, next) => {
       }
     }
 
+    if (previousStatus !== status) {
+      notifyOrderStatusChange(updated, { previousStatus, note: reason });
+    }
+
     res.json(mapOrderToApi(updated));
   } catch (error) {
     next(error);
@@ -1890,11 +2116,16 @@ const assignByScan = async (req, res, next) => {
       return res.status(404).json({ message: 'Order not found' });
     }
 
-    const finalStates = ['DELIVERED', 'RETURNED', 'FAILED'];
-    if (finalStates.includes(order.status)) {
-      return res.status(400).json({
-        message: `Cannot assign order. Order is already ${order.status}`,
-      });
+    // Re-scanning an order that is already out for delivery just hands it to
+    // another rider; every other move must be allowed by the transition table.
+    if (order.status !== 'OUT_FOR_DELIVERY') {
+      const conflict = getTransitionError(order.status, 'OUT_FOR_DELIVERY', assignedByRole);
+      if (conflict) {
+        return res.status(409).json({
+          ...conflict,
+          message: `Cannot assign order. ${conflict.message}`,
+        });
+      }
     }
 
     const rider = await prisma.user.findUnique({ where: { id: riderIdNum } });
@@ -1928,6 +2159,10 @@ const assignByScan = async (req, res, next) => {
       },
     });
 
+    if (order.status !== 'OUT_FOR_DELIVERY') {
+      notifyOrderStatusChange(updated, { previousStatus: order.status });
+    }
+
     res.json({
       message: `Order assigned to ${rider.name} and marked Out for Delivery`,
       order: mapOrderToApi(updated),
@@ -2106,9 +2341,12 @@ const getOrderDetailsByBookingId = async (req, res, next) => {
 
 module.exports = {
   createOrder,
+  getQuote,
   getOrders,
   getManagerOverview,
   getOrderById,
+  getShipperPendingReturns,
+  cancelShipperOrder,
   assignRider,
   updateStatus,
   createFinancialTransaction,
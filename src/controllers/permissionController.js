@@ -0,0 +1,169 @@
+const prisma = require('../prismaClient');
+const {
+  PERMISSIONS,
+  PERMISSION_KEYS,
+  STAFF_ROLES,
+  DEFAULT_ROLE_PERMISSIONS,
+  isEditableRole,
+  getRolePermissions,
+  setRolePermissions,
+  getUserPermissions,
+} = require('../utils/permissions');
+
+const catalog = () =>
+  PERMISSION_KEYS.map((key) => ({
+    key,
+    group: key.split('.')[0],
+    description: PERMISSIONS[key],
+  }));
+
+// Returns the list, or null when it is not an array of known permissions
+const parsePermissionList = (value) => {
+  if (!Array.isArray(value)) return null;
+  const list = value.map((p) => String(p).trim());
+  return list.every((p) => PERMISSIONS[p]) ? Array.from(new Set(list)) : null;
+};
+
+const parseUserId = (value) => {
+  const id = Number(value);
+  return Number.isInteger(id) && id > 0 ? id : null;
+};
+
+const loadUserPermissionSettings = async (user) => {
+  const [rolePermissions, overrides, effective] = await Promise.all([
+    getRolePermissions(),
+    prisma.userPermissionOverride.findMany({
+      where: { userId: user.id },
+      orderBy: { permission: 'asc' },
+    }),
+    getUserPermissions(user),
+  ]);
+
+  return {
+    user: { id: user.id, name: user.name, email: user.email, role: user.role },
+    rolePermissions: user.role === 'CEO' ? PERMISSION_KEYS : rolePermissions[user.role] || [],
+    grants: overrides.filter((o) => o.granted).map((o) => o.permission),
+    revokes: overrides.filter((o) => !o.granted).map((o) => o.permission),
+    effective: PERMISSION_KEYS.filter((key) => effective.has(key)),
+  };
+};
+
+// GET /api/permissions/me
+exports.getMyPermissions = async (req, res, next) => {
+  try {
+    const permissions = await getUserPermissions(req.user);
+    res.json({
+      role: req.user.role,
+      permissions: PERMISSION_KEYS.filter((key) => permissions.has(key)),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// GET /api/permissions - catalog plus the current mapping for each role
+exports.getPermissionSettings = async (req, res, next) => {
+  try {
+    const rolePermissions = await getRolePermissions();
+    res.json({
+      permissions: catalog(),
+      roles: STAFF_ROLES.map((role) => ({
+        role,
+        editable: isEditableRole(role),
+        permissions: role === 'CEO' ? PERMISSION_KEYS : rolePermissions[role] || [],
+        defaults: role === 'CEO' ? PERMISSION_KEYS : DEFAULT_ROLE_PERMISSIONS[role] || [],
+      })),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// PUT /api/permissions/roles/:role { permissions: [...] }
+exports.updateRolePermissions = async (req, res, next) => {
+  try {
+    const role = String(req.params.role || '').toUpperCase();
+    if (!isEditableRole(role)) {
+      return res.status(400).json({
+        message: role === 'CEO'
+          ? 'The CEO always has every permission'
+          : `Permissions can only be set for ${STAFF_ROLES.filter(isEditableRole).join(', ')}`,
+      });
+    }
+
+    const permissions = parsePermissionList(req.body && req.body.permissions);
+    if (!permissions) {
+      return res.status(400).json({ message: 'permissions must be an array of known permission keys' });
+    }
+
+    const saved = await setRolePermissions(role, permissions);
+    res.json({ role, permissions: saved });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// GET /api/permissions/users/:id
+exports.getUserPermissionSettings = async (req, res, next) => {
+  try {
+    const userId = parseUserId(req.params.id);
+    if (!userId) {
+      return res.status(400).json({ message: 'Invalid user id' });
+    }
+
+    const user = await prisma.user.findUnique({ where: { id: userId } });
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    res.json(await loadUserPermissionSettings(user));
+  } catch (error) {
+    next(error);
+  }
+};
+
+// PUT /api/permissions/users/:id { grant: [...], revoke: [...] }
+// Replaces the user's overrides; send empty lists to go back to the role's set.
+exports.updateUserOverrides = async (req, res, next) => {
+  try {
+    const userId = parseUserId(req.params.id);
+    if (!userId) {
+      return res.status(400).json({ message: 'Invalid user id' });
+    }
+
+    const grant = parsePermissionList((req.body && req.body.grant) || []);
+    const revoke = parsePermissionList((req.body && req.body.revoke) || []);
+    if (!grant || !revoke) {
+      return res.status(400).json({ message: 'grant and revoke must be arrays of known permission keys' });
+    }
+    if (grant.some((p) => revoke.includes(p))) {
+      return res.status(400).json({ message: 'A permission cannot be both granted and revoked' });
+    }
+
+    const user = await prisma.user.findUnique({ where: { id: userId } });
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    if (!isEditableRole(user.role)) {
+      return res.status(400).json({
+        message: user.role === 'CEO'
+          ? 'The CEO always has every permission'
+          : 'Permissions only apply to staff accounts',
+      });
+    }
+
+    await prisma.$transaction([
+      prisma.userPermissionOverride.deleteMany({ where: { userId } }),
+      prisma.userPermissionOverride.createMany({
+        data: [
+          ...grant.map((permission) => ({ userId, permission, granted: true, createdById: req.user.id })),
+          ...revoke.map((permission) => ({ userId, permission, granted: false, createdById: req.user.id })),
+        ],
+      }),
+    ]);
+
+    res.json(await loadUserPermissionSettings(user));
+  } catch (error) {
+    next(error);
+  }
+};
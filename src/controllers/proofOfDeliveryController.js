@@ -0,0 +1,291 @@
+const fs = require('fs');
+const path = require('path');
+const prisma = require('../prismaClient');
+const { STAFF_ROLES } = require('../utils/permissions');
+
+// Proof-of-delivery images live outside /uploads so they are never served by
+// express.static; they are only streamed through the authorized endpoint.
+const POD_DIR = path.join(__dirname, '../../storage/pod');
+
+// Accepted upload types and the extension each is stored under. The extension
+// never comes from the client's filename, so a file is always served as the
+// image type it was accepted as.
+const POD_MIME_EXTENSIONS = {
+  'image/jpeg': '.jpg',
+  'image/jpg': '.jpg',
+  'image/png': '.png',
+  'image/webp': '.webp',
+};
+
+const POD_EXTENSION_TYPES = {
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png',
+  '.webp': 'image/webp',
+};
+
+// Statuses in which a rider can capture POD (just before or after marking the
+// order delivered).
+const POD_CAPTURE_STATUSES = [
+  'OUT_FOR_DELIVERY',
+  'FIRST_ATTEMPT',
+  'SECOND_ATTEMPT',
+  'THIRD_ATTEMPT',
+  'DELIVERED',
+];
+
+const removeFile = (relativePath) => {
+  if (!relativePath) return;
+  const filePath = path.join(POD_DIR, path.basename(relativePath));
+  fs.unlink(filePath, (err) => {
+    if (err && err.code !== 'ENOENT') {
+      console.error('[POD] Failed to remove file', filePath, err.message);
+    }
+  });
+};
+
+const uploadedFile = (req, field) =>
+  req.files && Array.isArray(req.files[field]) ? req.files[field][0] : null;
+
+const discardUploads = (req) => {
+  ['signature', 'photo'].forEach((field) => {
+    const file = uploadedFile(req, field);
+    if (file) removeFile(file.filename);
+  });
+};
+
+// Staff see every POD; shippers only their own orders; riders only the
+// orders assigned to them.
+const canViewPod = (user, order) => {
+  if (!user || !order) return false;
+  if (STAFF_ROLES.includes(user.role)) return true;
+  if (user.role === 'SHIPPER') return order.shipperId === Number(user.id);
+  if (user.role === 'RIDER') return order.assignedRiderId === Number(user.id);
+  return false;
+};
+
+const mapPod = (orderId, pod) => ({
+  id: pod.id,
+  orderId,
+  receiverName: pod.receiverName,
+  receiverRelation: pod.receiverRelation,
+  signatureUrl: pod.signaturePath ? `/api/orders/${orderId}/proof-of-delivery/signature` : null,
+  photoUrl: pod.photoPath ? `/api/orders/${orderId}/proof-of-delivery/photo` : null,
+  capturedBy: pod.capturedBy ? { id: pod.capturedBy.id, name: pod.capturedBy.name } : null,
+  capturedAt: pod.capturedAt,
+  updatedAt: pod.updatedAt,
+});
+
+/**
+ * Capture proof of delivery
+ * POST /api/orders/:id/proof-of-delivery
+ * multipart/form-data: receiverName, receiverRelation, signature (image), photo (image)
+ * Assigned rider, or staff with orders.update_status. Once captured, only
+ * staff can re-capture; the earlier files are kept and the change is logged.
+ */
+exports.captureProofOfDelivery = async (req, res, next) => {
+  try {
+    const orderId = Number(req.params.id);
+    if (!Number.isInteger(orderId) || orderId <= 0) {
+      discardUploads(req);
+      return res.status(400).json({ message: 'Invalid order id' });
+    }
+
+    const order = await prisma.order.findUnique({
+      where: { id: orderId },
+      include: { proofOfDelivery: true },
+    });
+
+    if (!order || order.isDeleted) {
+      discardUploads(req);
+      return res.status(404).json({ message: 'Order not found' });
+    }
+
+    if (req.user.role === 'RIDER' && order.assignedRiderId !== Number(req.user.id)) {
+      discardUploads(req);
+      return res.status(403).json({
+        message: 'You can only capture proof of delivery for orders assigned to you',
+      });
+    }
+
+    if (!POD_CAPTURE_STATUSES.includes(order.status)) {
+      discardUploads(req);
+      return res.status(409).json({
+        message: `Cannot capture proof of delivery for an order in ${order.status} status`,
+      });
+    }
+
+    const existing = order.proofOfDelivery;
+    if (existing && req.user.role === 'RIDER') {
+      discardUploads(req);
+      return res.status(409).json({
+        message: 'Proof of delivery was already captured; ask the office to re-capture it',
+      });
+    }
+
+    const receiverName = String((req.body && req.body.receiverName) || '').trim();
+    const receiverRelation = String((req.body && req.body.receiverRelation) || '').trim();
+    const signature = uploadedFile(req, 'signature');
+    const photo = uploadedFile(req, 'photo');
+
+    const errors = [];
+    if (!receiverName && !existing) errors.push('Receiver name is required');
+    if (!receiverRelation && !existing) errors.push('Receiver relation is required');
+    if (receiverRelation.length > 50) errors.push('Receiver relation is too long');
+    if (!signature && !existing?.signaturePath) errors.push('Signature image is required');
+    if (!photo && !existing?.photoPath) errors.push('Doorstep photo is required');
+
+    if (errors.length) {
+      discardUploads(req);
+      return res.status(400).json({ message: errors[0], errors });
+    }
+
+    const data = {
+      ...(receiverName ? { receiverName } : {}),
+      ...(receiverRelation ? { receiverRelation } : {}),
+      ...(signature ? { signaturePath: signature.filename } : {}),
+      ...(photo ? { photoPath: photo.filename } : {}),
+      capturedById: Number(req.user.id) || null,
+      capturedAt: new Date(),
+    };
+
+    const pod = await prisma.proofOfDelivery.upsert({
+      where: { orderId },
+      update: data,
+      create: { orderId, ...data },
+      include: { capturedBy: { select: { id: true, name: true } } },
+    });
+
+    // Replaced images stay on disk; the log keeps their names as evidence
+    if (existing) {
+      const snapshot = (p) => ({
+        receiverName: p.receiverName,
+        receiverRelation: p.receiverRelation,
+        signaturePath: p.signaturePath,
+        photoPath: p.photoPath,
+        capturedById: p.capturedById,
+        capturedAt: p.capturedAt,
+      });
+      await prisma.orderEditLog.create({
+        data: {
+          orderId,
+          editedById: Number(req.user.id),
+          reason: 'Proof of delivery re-captured',
+          before: JSON.parse(JSON.stringify(snapshot(existing))),
+          after: JSON.parse(JSON.stringify(snapshot(pod))),
+          ip: req.ip || null,
+          userAgent: req.get('user-agent') || null,
+        },
+      });
+    }
+
+    await prisma.orderEvent.create({
+      data: {
+        orderId,
+        status: order.status,
+        note: `Proof of delivery captured (received by ${pod.receiverName}, ${pod.receiverRelation})`,
+        createdById: Number(req.user.id) || null,
+      },
+    });
+
+    res.status(existing ? 200 : 201).json(mapPod(orderId, pod));
+  } catch (error) {
+    discardUploads(req);
+    next(error);
+  }
+};
+
+/**
+ * View proof of delivery metadata
+ * GET /api/orders/:id/proof-of-delivery
+ */
+exports.getProofOfDelivery = async (req, res, next) => {
+  try {
+    const orderId = Number(req.params.id);
+    if (!Number.isInteger(orderId) || orderId <= 0) {
+      return res.status(400).json({ message: 'Invalid order id' });
+    }
+
+    const order = await prisma.order.findUnique({
+      where: { id: orderId },
+      select: {
+        id: true,
+        shipperId: true,
+        assignedRiderId: true,
+        proofOfDelivery: {
+          include: { capturedBy: { select: { id: true, name: true } } },
+        },
+      },
+    });
+
+    if (!order) {
+      return res.status(404).json({ message: 'Order not found' });
+    }
+    if (!canViewPod(req.user, order)) {
+      return res.status(403).json({ message: 'Forbidden' });
+    }
+    if (!order.proofOfDelivery) {
+      return res.status(404).json({ message: 'No proof of delivery captured for this order' });
+    }
+
+    res.json(mapPod(orderId, order.proofOfDelivery));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Stream a proof of delivery image
+ * GET /api/orders/:id/proof-of-delivery/:kind (kind = signature | photo)
+ */
+exports.getProofOfDeliveryFile = async (req, res, next) => {
+  try {
+    const orderId = Number(req.params.id);
+    const { kind } = req.params;
+    if (!Number.isInteger(orderId) || orderId <= 0) {
+      return res.status(400).json({ message: 'Invalid order id' });
+    }
+    if (!['signature', 'photo'].includes(kind)) {
+      return res.status(400).json({ message: 'Unknown proof of delivery file' });
+    }
+
+    const order = await prisma.order.findUnique({
+      where: { id: orderId },
+      select: { id: true, shipperId: true, assignedRiderId: true, proofOfDelivery: true },
+    });
+
+    if (!order) {
+      return res.status(404).json({ message: 'Order not found' });
+    }
+    if (!canViewPod(req.user, order)) {
+      return res.status(403).json({ message: 'Forbidden' });
+    }
+
+    const pod = order.proofOfDelivery;
+    const storedName = pod && (kind === 'signature' ? pod.signaturePath : pod.photoPath);
+    if (!storedName) {
+      return res.status(404).json({ message: 'File not found' });
+    }
+
+    const filePath = path.join(POD_DIR, path.basename(storedName));
+    if (!fs.existsSync(filePath)) {
+      return res.status(404).json({ message: 'File not found' });
+    }
+
+    res.setHeader('Cache-Control', 'private, max-age=300');
+    res.setHeader('X-Content-Type-Options', 'nosniff');
+    const contentType = POD_EXTENSION_TYPES[path.extname(filePath).toLowerCase()];
+    if (!contentType) {
+      // Stored before extensions came from the type allow-list; never render
+      // it inline
+      res.attachment(path.basename(filePath));
+      return res.sendFile(filePath, { headers: { 'Content-Type': 'application/octet-stream' } });
+    }
+    res.sendFile(filePath, { headers: { 'Content-Type': contentType } });
+  } catch (error) {
+    next(error);
+  }
+};
+
+exports.POD_DIR = POD_DIR;
+exports.POD_MIME_EXTENSIONS = POD_MIME_EXTENSIONS;
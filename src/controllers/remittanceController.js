@@ -0,0 +1,431 @@
+const ExcelJS = require('exceljs');
+const prisma = require('../prismaClient');
+
+const formatBatchNumber = (seq) => `REM${String(seq).padStart(6, '0')}`;
+
+const shipperSelect = {
+  id: true,
+  name: true,
+  email: true,
+  companyName: true,
+  bankName: true,
+  accountHolderName: true,
+  accountNumber: true,
+  iban: true,
+};
+
+// Amount owed to the shipper for one delivered order: collected COD minus our
+// service charges, the same receivable shown in the shipper ledger.
+const payoutAmountFor = (tx) =>
+  Number(tx.totalCodCollected || 0) - Number(tx.order?.serviceCharges || 0);
+
+const hasBankDetails = (shipper) =>
+  !!(shipper && (String(shipper.iban || '').trim() || String(shipper.accountNumber || '').trim()));
+
+const mapShipper = (shipper) => ({
+  id: shipper.id,
+  name: shipper.companyName || shipper.name,
+  email: shipper.email,
+  bankName: shipper.bankName || null,
+  accountHolderName: shipper.accountHolderName || null,
+  accountNumber: shipper.accountNumber || null,
+  iban: shipper.iban || null,
+  hasBankDetails: hasBankDetails(shipper),
+});
+
+// Group transactions per shipper with their net payout
+const groupByShipper = (transactions) => {
+  const byShipper = new Map();
+  transactions.forEach((tx) => {
+    let group = byShipper.get(tx.shipperId);
+    if (!group) {
+      group = { shipper: mapShipper(tx.shipper), transactions: [], amount: 0, codTotal: 0, serviceChargesTotal: 0 };
+      byShipper.set(tx.shipperId, group);
+    }
+    const amount = payoutAmountFor(tx);
+    group.amount += amount;
+    group.codTotal += Number(tx.totalCodCollected || 0);
+    group.serviceChargesTotal += Number(tx.order?.serviceCharges || 0);
+    group.transactions.push({
+      id: tx.id,
+      orderId: tx.orderId,
+      bookingId: tx.order?.bookingId,
+      deliveredAt: tx.order?.deliveredAt || null,
+      invoiceId: tx.order?.invoiceId || null,
+      codAmount: Number(tx.totalCodCollected || 0),
+      serviceCharges: Number(tx.order?.serviceCharges || 0),
+      amount,
+    });
+  });
+  return Array.from(byShipper.values());
+};
+
+// Invoiced orders are settled through their invoice payments, so only
+// uninvoiced ones are paid out here
+const unpaidDeliveredWhere = () => ({
+  shipperPayoutStatus: 'UNPAID',
+  order: { status: 'DELIVERED', isDeleted: false, invoiceId: null },
+});
+
+const transactionInclude = {
+  shipper: { select: shipperSelect },
+  order: {
+    select: {
+      id: true,
+      bookingId: true,
+      serviceCharges: true,
+      deliveredAt: true,
+      invoiceId: true,
+    },
+  },
+};
+
+/**
+ * Delivered shipper transactions not paid out yet, grouped by shipper
+ * GET /api/finance/remittances/eligible?shipperId=
+ * Orders on an invoice are settled by the invoice and are not eligible.
+ */
+exports.getEligibleTransactions = async (req, res, next) => {
+  try {
+    const where = unpaidDeliveredWhere();
+    if (req.query.shipperId) {
+      const shipperId = Number(req.query.shipperId);
+      if (!Number.isInteger(shipperId) || shipperId <= 0) {
+        return res.status(400).json({ message: 'Invalid shipper id' });
+      }
+      where.shipperId = shipperId;
+    }
+
+    const transactions = await prisma.financialTransaction.findMany({
+      where,
+      include: transactionInclude,
+      orderBy: { createdAt: 'asc' },
+    });
+
+    const shippers = groupByShipper(transactions);
+    res.json({
+      totalAmount: shippers.reduce((sum, s) => sum + s.amount, 0),
+      transactionCount: transactions.length,
+      shippers,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Create a remittance batch and mark its transactions PAID
+ * POST /api/finance/remittances
+ * Body: { transactionIds? | shipperIds?, bankReference, paidAt?, notes? }
+ *
+ * With shipperIds every eligible transaction of those shippers is included.
+ */
+exports.createRemittanceBatch = async (req, res, next) => {
+  try {
+    const body = req.body || {};
+    const toIds = (list) =>
+      Array.from(
+        new Set(
+          (Array.isArray(list) ? list : [])
+            .map((id) => Number(id))
+            .filter((id) => Number.isInteger(id) && id > 0),
+        ),
+      );
+
+    const transactionIds = toIds(body.transactionIds);
+    const shipperIds = toIds(body.shipperIds);
+    if (!transactionIds.length && !shipperIds.length) {
+      return res
+        .status(400)
+        .json({ message: 'Select transactions or shippers to include in the batch' });
+    }
+
+    const bankReference = String(body.bankReference || '').trim();
+    if (!bankReference) {
+      return res.status(400).json({ message: 'bankReference is required' });
+    }
+
+    let paidAt = new Date();
+    if (body.paidAt) {
+      paidAt = new Date(body.paidAt);
+      if (Number.isNaN(paidAt.getTime())) {
+        return res.status(400).json({ message: 'Invalid paidAt date' });
+      }
+    }
+
+    const where = unpaidDeliveredWhere();
+    if (transactionIds.length) {
+      where.id = { in: transactionIds };
+      if (shipperIds.length) where.shipperId = { in: shipperIds };
+    } else {
+      where.shipperId = { in: shipperIds };
+    }
+
+    const transactions = await prisma.financialTransaction.findMany({
+      where,
+      include: transactionInclude,
+    });
+
+    if (transactionIds.length) {
+      const foundIds = new Set(transactions.map((tx) => tx.id));
+      const unavailable = transactionIds.filter((id) => !foundIds.has(id));
+      if (unavailable.length) {
+        return res.status(409).json({
+          message: 'Some transactions are not delivered, are invoiced or were already paid out',
+          transactionIds: unavailable,
+        });
+      }
+    }
+
+    if (!transactions.length) {
+      return res.status(400).json({ message: 'No unpaid delivered transactions found' });
+    }
+
+    const groups = groupByShipper(transactions);
+
+    const missingBank = groups.filter((g) => !g.shipper.hasBankDetails);
+    if (missingBank.length) {
+      return res.status(400).json({
+        message: 'Some shippers have no IBAN or account number on file',
+        shippers: missingBank.map((g) => ({ id: g.shipper.id, name: g.shipper.name })),
+      });
+    }
+
+    const nonPositive = groups.filter((g) => g.amount <= 0);
+    if (nonPositive.length) {
+      return res.status(400).json({
+        message: 'Net payout must be greater than 0 for every shipper in the batch',
+        shippers: nonPositive.map((g) => ({ id: g.shipper.id, name: g.shipper.name, amount: g.amount })),
+      });
+    }
+
+    const createdById = Number(req.user.id);
+    const totalAmount = groups.reduce((sum, g) => sum + g.amount, 0);
+
+    const batch = await prisma.$transaction(async (tx) => {
+      const counter = await tx.counter.upsert({
+        where: { key: 'REMITTANCE' },
+        update: { seq: { increment: 1 } },
+        create: { key: 'REMITTANCE', seq: 1 },
+      });
+      const batchNumber = formatBatchNumber(counter.seq);
+
+      const created = await tx.remittanceBatch.create({
+        data: {
+          batchNumber,
+          bankReference,
+          paidAt,
+          totalAmount,
+          transactionCount: transactions.length,
+          shipperCount: groups.length,
+          notes: body.notes ? String(body.notes).trim() : null,
+          createdById,
+        },
+      });
+
+      // Guard against a concurrent batch picking the same transactions, or an
+      // invoice claiming their orders meanwhile
+      const updated = await tx.financialTransaction.updateMany({
+        where: { id: { in: transactions.map((t) => t.id) }, ...unpaidDeliveredWhere() },
+        data: {
+          shipperPayoutStatus: 'PAID',
+          shipperPaidAt: paidAt,
+          settlementBatchId: batchNumber,
+        },
+      });
+      if (updated.count !== transactions.length) {
+        throw Object.assign(new Error('Transactions changed while creating the batch'), {
+          statusCode: 409,
+        });
+      }
+
+      // The COD owed for each remitted order, so the PAYOUT below nets the
+      // shipper's balance to zero. Invoiced orders are owed via their invoice.
+      await tx.shipperLedgerEntry.createMany({
+        data: groups.flatMap((g) =>
+          g.transactions.map((t) => ({
+            shipperId: g.shipper.id,
+            orderId: t.orderId,
+            bookingId: t.bookingId || null,
+            entryDate: paidAt,
+            type: 'ORDER',
+            particular: `COD collected for ${t.bookingId || `order #${t.orderId}`}`,
+            codAmount: t.codAmount,
+            serviceCharges: t.serviceCharges,
+            receivable: t.amount,
+            amount: t.amount,
+            status: 'PAID',
+            remittanceBatchId: created.id,
+            createdBy: String(createdById),
+          })),
+        ),
+      });
+
+      await tx.shipperLedgerEntry.createMany({
+        data: groups.map((g) => ({
+          shipperId: g.shipper.id,
+          entryDate: paidAt,
+          type: 'PAYOUT',
+          particular: `COD remittance ${batchNumber}`,
+          codAmount: g.codTotal,
+          serviceCharges: g.serviceChargesTotal,
+          // Payouts reduce what we owe the shipper
+          amount: -g.amount,
+          status: 'PAID',
+          notes: `Bank ref ${bankReference} (${g.transactions.length} orders)`,
+          remittanceBatchId: created.id,
+          createdBy: String(createdById),
+        })),
+      });
+
+      return created;
+    });
+
+    res.status(201).json({
+      batch,
+      shippers: groups.map((g) => ({
+        shipper: g.shipper,
+        amount: g.amount,
+        transactionCount: g.transactions.length,
+      })),
+    });
+  } catch (error) {
+    if (error && error.statusCode === 409) {
+      return res.status(409).json({ message: error.message });
+    }
+    next(error);
+  }
+};
+
+/**
+ * List remittance batches
+ * GET /api/finance/remittances?from=&to=
+ */
+exports.listRemittanceBatches = async (req, res, next) => {
+  try {
+    const where = {};
+    const { from, to } = req.query;
+    if (from || to) {
+      where.paidAt = {};
+      if (from) {
+        const d = new Date(from);
+        if (!Number.isNaN(d.getTime())) where.paidAt.gte = d;
+      }
+      if (to) {
+        const t = new Date(to);
+        t.setHours(23, 59, 59, 999);
+        if (!Number.isNaN(t.getTime())) where.paidAt.lte = t;
+      }
+    }
+
+    const batches = await prisma.remittanceBatch.findMany({
+      where,
+      include: { createdBy: { select: { id: true, name: true } } },
+      orderBy: { paidAt: 'desc' },
+      take: 200,
+    });
+
+    res.json(batches);
+  } catch (error) {
+    next(error);
+  }
+};
+
+const loadBatch = async (req, res) => {
+  const batchId = Number(req.params.id);
+  if (!Number.isInteger(batchId) || batchId <= 0) {
+    res.status(400).json({ message: 'Invalid batch id' });
+    return null;
+  }
+
+  const batch = await prisma.remittanceBatch.findUnique({
+    where: { id: batchId },
+    include: {
+      createdBy: { select: { id: true, name: true } },
+      transactions: { include: transactionInclude, orderBy: { id: 'asc' } },
+    },
+  });
+
+  if (!batch) {
+    res.status(404).json({ message: 'Remittance batch not found' });
+    return null;
+  }
+  return batch;
+};
+
+/**
+ * Remittance batch details with per-shipper breakdown
+ * GET /api/finance/remittances/:id
+ */
+exports.getRemittanceBatch = async (req, res, next) => {
+  try {
+    const batch = await loadBatch(req, res);
+    if (!batch) return;
+
+    const { transactions, ...rest } = batch;
+    res.json({ ...rest, shippers: groupByShipper(transactions) });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Bank upload sheet: one payment line per shipper
+ * GET /api/finance/remittances/:id/bank-file.xlsx
+ */
+exports.exportBankUploadFile = async (req, res, next) => {
+  try {
+    const batch = await loadBatch(req, res);
+    if (!batch) return;
+
+    const groups = groupByShipper(batch.transactions);
+
+    const workbook = new ExcelJS.Workbook();
+    const sheet = workbook.addWorksheet('Bank Upload');
+    sheet.columns = [
+      { header: 'Sr', key: 'sr', width: 6 },
+      { header: 'Beneficiary Name', key: 'beneficiary', width: 30 },
+      { header: 'Bank Name', key: 'bankName', width: 22 },
+      { header: 'Account Number', key: 'accountNumber', width: 24 },
+      { header: 'IBAN', key: 'iban', width: 30 },
+      { header: 'Amount (PKR)', key: 'amount', width: 14 },
+      { header: 'Payment Reference', key: 'reference', width: 22 },
+      { header: 'Email', key: 'email', width: 28 },
+      { header: 'Orders', key: 'orders', width: 10 },
+    ];
+    sheet.getRow(1).font = { bold: true };
+    // Keep account numbers as text so Excel does not round long digits
+    sheet.getColumn('accountNumber').numFmt = '@';
+    sheet.getColumn('iban').numFmt = '@';
+
+    groups.forEach((g, index) => {
+      sheet.addRow({
+        sr: index + 1,
+        beneficiary: g.shipper.accountHolderName || g.shipper.name,
+        bankName: g.shipper.bankName || '',
+        accountNumber: g.shipper.accountNumber || '',
+        iban: g.shipper.iban || '',
+        amount: g.amount,
+        reference: batch.batchNumber,
+        email: g.shipper.email || '',
+        orders: g.transactions.length,
+      });
+    });
+
+    sheet.addRow({});
+    sheet.addRow({ beneficiary: 'Total', amount: batch.totalAmount }).font = { bold: true };
+
+    res.setHeader(
+      'Content-Type',
+      'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    );
+    res.setHeader(
+      'Content-Disposition',
+      `attachment; filename="remittance-${batch.batchNumber}.xlsx"`,
+    );
+    await workbook.xlsx.write(res);
+    res.end();
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,341 @@
+const ExcelJS = require('exceljs');
+const prisma = require('../prismaClient');
+const {
+  collectedCodFor,
+  getRiderCashBalances,
+  findDepositableOrders,
+  createCashDeposit,
+} = require('../utils/riderCash');
+
+const cashStatusFor = (outstanding) => {
+  if (outstanding > 0) return 'HOLDING';
+  if (outstanding < 0) return 'EXCESS';
+  return 'BALANCED';
+};
+
+const mapDeposit = (deposit) => ({
+  id: deposit.id,
+  riderId: deposit.riderId,
+  amount: deposit.amount,
+  depositedAt: deposit.depositedAt,
+  reference: deposit.reference,
+  notes: deposit.notes,
+  runsheetId: deposit.runsheetId,
+  receivedBy: deposit.receivedBy || null,
+  linkedCod: (deposit.items || []).reduce((sum, item) => sum + Number(item.codAmount || 0), 0),
+  orders: (deposit.items || []).map((item) => ({
+    orderId: item.orderId,
+    bookingId: item.order?.bookingId,
+    trackingId: item.order?.trackingId,
+    codAmount: item.codAmount,
+  })),
+  createdAt: deposit.createdAt,
+});
+
+const loadRider = async (req, res) => {
+  const riderId = Number(req.params.id);
+  if (!Number.isInteger(riderId) || riderId <= 0) {
+    res.status(400).json({ message: 'Invalid rider id' });
+    return null;
+  }
+  const rider = await prisma.user.findUnique({
+    where: { id: riderId },
+    select: { id: true, name: true, phone: true, role: true, status: true },
+  });
+  if (!rider || rider.role !== 'RIDER') {
+    res.status(404).json({ message: 'Rider not found' });
+    return null;
+  }
+  return rider;
+};
+
+const buildRiderCashSummary = async (rider) => {
+  const balances = await getRiderCashBalances([rider.id]);
+  const balance = balances.get(rider.id);
+
+  const undeposited = await prisma.order.findMany({
+    where: {
+      assignedRiderId: rider.id,
+      status: 'DELIVERED',
+      paymentType: 'COD',
+      isDeleted: false,
+      cashDepositItem: null,
+    },
+    select: {
+      id: true,
+      bookingId: true,
+      trackingId: true,
+      status: true,
+      paymentType: true,
+      codAmount: true,
+      amountCollected: true,
+      deliveredAt: true,
+    },
+    orderBy: { deliveredAt: 'asc' },
+  });
+
+  return {
+    rider: { id: rider.id, name: rider.name, phone: rider.phone },
+    ...balance,
+    cashStatus: cashStatusFor(balance.outstanding),
+    undepositedOrderList: undeposited.map((o) => ({
+      id: o.id,
+      bookingId: o.bookingId,
+      trackingId: o.trackingId,
+      codAmount: collectedCodFor(o),
+      deliveredAt: o.deliveredAt,
+    })),
+  };
+};
+
+/**
+ * Record cash handed in by a rider
+ * POST /api/riders/:id/cash-deposits
+ * Body: { amount, orderIds?, reference?, notes?, depositedAt? }
+ */
+exports.createCashDeposit = async (req, res, next) => {
+  try {
+    const rider = await loadRider(req, res);
+    if (!rider) return;
+
+    const amount = Number(req.body && req.body.amount);
+    if (!Number.isFinite(amount) || amount <= 0) {
+      return res.status(400).json({ message: 'amount must be greater than 0' });
+    }
+
+    let depositedAt = null;
+    if (req.body.depositedAt) {
+      depositedAt = new Date(req.body.depositedAt);
+      if (Number.isNaN(depositedAt.getTime())) {
+        return res.status(400).json({ message: 'Invalid depositedAt date' });
+      }
+    }
+
+    const orderIds = Array.from(
+      new Set(
+        (Array.isArray(req.body.orderIds) ? req.body.orderIds : [])
+          .map((id) => Number(id))
+          .filter((id) => Number.isInteger(id) && id > 0),
+      ),
+    );
+
+    const deposit = await prisma.$transaction(async (tx) => {
+      const { orders, errors } = await findDepositableOrders(rider.id, orderIds, tx);
+      if (errors.length) {
+        throw Object.assign(new Error('Some orders cannot be linked to this deposit'), {
+          statusCode: 409,
+          errors,
+        });
+      }
+
+      return createCashDeposit(tx, {
+        riderId: rider.id,
+        amount: Math.round(amount),
+        orders,
+        receivedById: Number(req.user.id),
+        reference: req.body.reference ? String(req.body.reference).trim() : null,
+        notes: req.body.notes ? String(req.body.notes).trim() : null,
+        depositedAt,
+      });
+    });
+
+    const balances = await getRiderCashBalances([rider.id]);
+    const balance = balances.get(rider.id);
+
+    res.status(201).json({
+      deposit: mapDeposit(deposit),
+      balance: { ...balance, cashStatus: cashStatusFor(balance.outstanding) },
+    });
+  } catch (error) {
+    if (error && error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message, errors: error.errors });
+    }
+    // A concurrent deposit linked one of the orders first
+    if (error && error.code === 'P2002') {
+      return res
+        .status(409)
+        .json({ message: 'Cash for some of these orders was deposited meanwhile; please retry' });
+    }
+    next(error);
+  }
+};
+
+/**
+ * Deposit history for a rider
+ * GET /api/riders/:id/cash-deposits?from=&to=
+ */
+exports.listCashDeposits = async (req, res, next) => {
+  try {
+    const rider = await loadRider(req, res);
+    if (!rider) return;
+
+    const where = { riderId: rider.id };
+    const { from, to } = req.query;
+    if (from || to) {
+      where.depositedAt = {};
+      if (from) {
+        const fromDate = new Date(from);
+        if (Number.isNaN(fromDate.getTime())) {
+          return res.status(400).json({ message: 'Invalid from date' });
+        }
+        fromDate.setHours(0, 0, 0, 0);
+        where.depositedAt.gte = fromDate;
+      }
+      if (to) {
+        const toDate = new Date(to);
+        if (Number.isNaN(toDate.getTime())) {
+          return res.status(400).json({ message: 'Invalid to date' });
+        }
+        toDate.setHours(23, 59, 59, 999);
+        where.depositedAt.lte = toDate;
+      }
+    }
+
+    const deposits = await prisma.riderCashDeposit.findMany({
+      where,
+      include: {
+        receivedBy: { select: { id: true, name: true } },
+        items: {
+          include: { order: { select: { id: true, bookingId: true, trackingId: true } } },
+        },
+      },
+      orderBy: { depositedAt: 'desc' },
+      take: 500,
+    });
+
+    res.json(deposits.map(mapDeposit));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Outstanding cash for one rider, with delivered COD orders not yet covered
+ * by a deposit
+ * GET /api/riders/:id/cash
+ */
+exports.getRiderCashBalance = async (req, res, next) => {
+  try {
+    const rider = await loadRider(req, res);
+    if (!rider) return;
+    res.json(await buildRiderCashSummary(rider));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Rider's own outstanding cash
+ * GET /api/riders/cash/me
+ */
+exports.getMyCashBalance = async (req, res, next) => {
+  try {
+    const rider = await prisma.user.findUnique({
+      where: { id: Number(req.user.id) },
+      select: { id: true, name: true, phone: true },
+    });
+    if (!rider) {
+      return res.status(404).json({ message: 'Rider not found' });
+    }
+    res.json(await buildRiderCashSummary(rider));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Shortage / excess report across riders
+ * GET /api/riders/cash/report?status=HOLDING|EXCESS|BALANCED&format=xlsx
+ *
+ * HOLDING riders still hold company cash (delivered COD > deposits); EXCESS
+ * riders deposited more than they collected.
+ */
+exports.getCashReport = async (req, res, next) => {
+  try {
+    const riders = await prisma.user.findMany({
+      where: { role: 'RIDER' },
+      select: { id: true, name: true, phone: true, status: true },
+      orderBy: { name: 'asc' },
+    });
+
+    const balances = await getRiderCashBalances(riders.map((r) => r.id));
+    const statusFilter = String(req.query.status || '').toUpperCase();
+
+    const rows = riders
+      .map((rider) => {
+        const balance = balances.get(rider.id);
+        return {
+          rider: { id: rider.id, name: rider.name, phone: rider.phone, status: rider.status },
+          codCollected: balance.codCollected,
+          deposited: balance.deposited,
+          outstanding: balance.outstanding,
+          cashStatus: cashStatusFor(balance.outstanding),
+          deliveredCodOrders: balance.deliveredCodOrders,
+          undepositedOrders: balance.undepositedOrders,
+          undepositedCod: balance.undepositedCod,
+          depositCount: balance.depositCount,
+          lastDepositAt: balance.lastDepositAt,
+        };
+      })
+      .filter((row) => !['HOLDING', 'EXCESS', 'BALANCED'].includes(statusFilter) || row.cashStatus === statusFilter)
+      .sort((a, b) => b.outstanding - a.outstanding);
+
+    const totals = rows.reduce(
+      (acc, row) => {
+        acc.codCollected += row.codCollected;
+        acc.deposited += row.deposited;
+        if (row.outstanding > 0) acc.holding += row.outstanding;
+        if (row.outstanding < 0) acc.excess += -row.outstanding;
+        return acc;
+      },
+      { codCollected: 0, deposited: 0, holding: 0, excess: 0 },
+    );
+
+    if (String(req.query.format || '').toLowerCase() === 'xlsx') {
+      const workbook = new ExcelJS.Workbook();
+      const sheet = workbook.addWorksheet('Rider Cash');
+      sheet.columns = [
+        { header: 'Rider', key: 'name', width: 24 },
+        { header: 'Phone', key: 'phone', width: 16 },
+        { header: 'COD Collected', key: 'codCollected', width: 16 },
+        { header: 'Deposited', key: 'deposited', width: 14 },
+        { header: 'Outstanding', key: 'outstanding', width: 14 },
+        { header: 'Status', key: 'cashStatus', width: 12 },
+        { header: 'Undeposited Orders', key: 'undepositedOrders', width: 18 },
+        { header: 'Last Deposit', key: 'lastDepositAt', width: 20 },
+      ];
+      sheet.getRow(1).font = { bold: true };
+      rows.forEach((row) =>
+        sheet.addRow({
+          name: row.rider.name,
+          phone: row.rider.phone || '',
+          codCollected: row.codCollected,
+          deposited: row.deposited,
+          outstanding: row.outstanding,
+          cashStatus: row.cashStatus,
+          undepositedOrders: row.undepositedOrders,
+          lastDepositAt: row.lastDepositAt
+            ? new Date(row.lastDepositAt).toISOString().split('T')[0]
+            : '',
+        }),
+      );
+      sheet.addRow({});
+      sheet.addRow({ name: 'Total', codCollected: totals.codCollected, deposited: totals.deposited }).font = { bold: true };
+
+      res.setHeader(
+        'Content-Type',
+        'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+      );
+      res.setHeader(
+        'Content-Disposition',
+        'attachment; filename="rider-cash-report.xlsx"',
+      );
+      await workbook.xlsx.write(res);
+      return res.end();
+    }
+
+    res.json({ totals, riders: rows });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -1,5 +1,6 @@
 const ExcelJS = require('exceljs');
 const prisma = require('../prismaClient');
+const { getRiderCashBalances } = require('../utils/riderCash');
 
 // Manager/CEO rider finance list (used by ManagerRiders & CEO Riders pages)
 // Migrated to Prisma to avoid Mongo users.find() timeouts.
@@ -17,6 +18,8 @@ exports.getRidersWithFinance = async (req, res, next) => {
       },
     });
 
+    const cashBalances = await getRiderCashBalances(riders.map((r) => r.id));
+
     const mapped = riders.map((rider) => {
       const profile = rider.riderProfile;
       const assignedOrders = rider.ordersRidden ? rider.ordersRidden.length : 0;
@@ -32,6 +35,7 @@ exports.getRidersWithFinance = async (req, res, next) => {
         codCollected: profile?.codCollected || 0,
         serviceCharges: profile?.serviceCharges || 0,
         serviceChargeStatus: profile?.serviceChargeStatus || 'unpaid',
+        outstandingCash: cashBalances.get(rider.id)?.outstanding || 0,
         assignedOrders,
       };
     });
@@ -0,0 +1,635 @@
+const ExcelJS = require('exceljs');
+const prisma = require('../prismaClient');
+const { getTransitionError } = require('../utils/orderStatusMachine');
+const { collectedCodFor, createCashDeposit } = require('../utils/riderCash');
+const { notifyOrderStatusChange } = require('../utils/orderStatusNotifier');
+
+const formatRunsheetNumber = (seq) => `RS${String(seq).padStart(6, '0')}`;
+
+const escapeHtml = (value) =>
+  String(value === null || value === undefined ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+// YYYY-MM-DD from an HTML date input, defaulting to today
+const parseRunDate = (raw) => {
+  if (!raw) {
+    const today = new Date();
+    return new Date(Date.UTC(today.getFullYear(), today.getMonth(), today.getDate()));
+  }
+  const value = String(raw).trim();
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(value)) return null;
+  const [y, m, d] = value.split('-').map((v) => parseInt(v, 10));
+  const dt = new Date(Date.UTC(y, m - 1, d));
+  return Number.isNaN(dt.getTime()) ? null : dt;
+};
+
+const expectedCodFor = (order) =>
+  order.paymentType === 'COD' ? Number(order.codAmount || 0) : 0;
+
+// Statuses in which the assigned rider is holding (or about to pick up) the
+// parcel. Warehouse parcels still carry their pickup rider and are free to
+// dispatch with anyone.
+const RIDER_HELD_STATUSES = ['ASSIGNED', 'OUT_FOR_DELIVERY', 'FIRST_ATTEMPT', 'SECOND_ATTEMPT', 'THIRD_ATTEMPT'];
+
+const runsheetInclude = {
+  rider: { select: { id: true, name: true, phone: true } },
+  createdBy: { select: { id: true, name: true } },
+  closedBy: { select: { id: true, name: true } },
+  items: {
+    include: {
+      order: {
+        select: {
+          id: true,
+          bookingId: true,
+          trackingId: true,
+          consigneeName: true,
+          consigneePhone: true,
+          consigneeAddress: true,
+          destinationCity: true,
+          paymentType: true,
+          codAmount: true,
+          amountCollected: true,
+          pieces: true,
+          weightKg: true,
+          status: true,
+          cashDepositItem: { select: { depositId: true } },
+          shipper: { select: { id: true, companyName: true, name: true } },
+        },
+      },
+    },
+    orderBy: { id: 'asc' },
+  },
+};
+
+const mapRunsheet = (runsheet) => ({
+  id: runsheet.id,
+  _id: runsheet.id,
+  runsheetNumber: runsheet.runsheetNumber,
+  runDate: runsheet.runDate,
+  status: runsheet.status,
+  rider: runsheet.rider || null,
+  expectedCod: runsheet.expectedCod,
+  notes: runsheet.notes,
+  orderCount: runsheet.items ? runsheet.items.length : runsheet._count?.items ?? 0,
+  reconciliation:
+    runsheet.status === 'CLOSED'
+      ? {
+          deliveredCount: runsheet.deliveredCount,
+          returnedCount: runsheet.returnedCount,
+          failedCount: runsheet.failedCount,
+          pendingCount: runsheet.pendingCount,
+          collectedCod: runsheet.collectedCod,
+          cashReceived: runsheet.cashReceived,
+          cashDifference: runsheet.cashDifference,
+          closeNotes: runsheet.closeNotes,
+          closedAt: runsheet.closedAt,
+          closedBy: runsheet.closedBy || null,
+        }
+      : null,
+  createdBy: runsheet.createdBy || null,
+  createdAt: runsheet.createdAt,
+  items: runsheet.items
+    ? runsheet.items.map((item) => ({
+        id: item.id,
+        orderId: item.orderId,
+        expectedCod: item.expectedCod,
+        outcomeStatus: item.outcomeStatus,
+        collectedAmount: item.collectedAmount,
+        order: item.order
+          ? {
+              ...item.order,
+              shipper: item.order.shipper
+                ? {
+                    id: item.order.shipper.id,
+                    name: item.order.shipper.companyName || item.order.shipper.name,
+                  }
+                : null,
+            }
+          : null,
+      }))
+    : undefined,
+});
+
+// Riders may only read their own runsheets.
+const loadRunsheetForUser = async (req, res) => {
+  const runsheetId = Number(req.params.id);
+  if (!Number.isInteger(runsheetId) || runsheetId <= 0) {
+    res.status(400).json({ message: 'Invalid runsheet id' });
+    return null;
+  }
+
+  const runsheet = await prisma.runsheet.findUnique({
+    where: { id: runsheetId },
+    include: runsheetInclude,
+  });
+
+  if (!runsheet) {
+    res.status(404).json({ message: 'Runsheet not found' });
+    return null;
+  }
+
+  if (req.user.role === 'RIDER' && runsheet.riderId !== Number(req.user.id)) {
+    res.status(403).json({ message: 'Forbidden' });
+    return null;
+  }
+
+  return runsheet;
+};
+
+/**
+ * Create a runsheet and dispatch its orders to the rider
+ * POST /api/runsheets
+ * Body: { riderId, runDate?, orderIds? | bookingIds?, notes?, reassign? }
+ *
+ * Orders another rider is holding are rejected unless reassign is true.
+ */
+exports.createRunsheet = async (req, res, next) => {
+  try {
+    const createdById = Number(req.user.id);
+    const riderId = Number(req.body && req.body.riderId);
+    if (!Number.isInteger(riderId) || riderId <= 0) {
+      return res.status(400).json({ message: 'riderId is required' });
+    }
+
+    const runDate = parseRunDate(req.body && req.body.runDate);
+    if (!runDate) {
+      return res.status(400).json({ message: 'runDate must be in YYYY-MM-DD format' });
+    }
+
+    const orderIds = (Array.isArray(req.body.orderIds) ? req.body.orderIds : [])
+      .map((id) => Number(id))
+      .filter((id) => Number.isInteger(id) && id > 0);
+    // Scanned labels carry "LLL|<bookingId>"
+    const bookingIds = (Array.isArray(req.body.bookingIds) ? req.body.bookingIds : [])
+      .map((raw) => String(raw || '').trim())
+      .map((raw) => (raw.startsWith('LLL|') ? raw.slice(4) : raw))
+      .filter(Boolean);
+
+    if (!orderIds.length && !bookingIds.length) {
+      return res.status(400).json({ message: 'Select at least one order for the runsheet' });
+    }
+
+    const reassign = req.body.reassign === true || req.body.reassign === 'true';
+
+    const rider = await prisma.user.findUnique({ where: { id: riderId } });
+    if (!rider || rider.role !== 'RIDER') {
+      return res.status(404).json({ message: 'Rider not found' });
+    }
+    if (rider.status !== 'ACTIVE') {
+      return res.status(400).json({ message: 'Rider is not active' });
+    }
+
+    const orders = await prisma.order.findMany({
+      where: {
+        isDeleted: false,
+        OR: [
+          ...(orderIds.length ? [{ id: { in: orderIds } }] : []),
+          ...(bookingIds.length ? [{ bookingId: { in: bookingIds } }] : []),
+        ],
+      },
+      include: {
+        runsheetItems: {
+          where: { runsheet: { status: 'OPEN' } },
+          select: { runsheet: { select: { runsheetNumber: true } } },
+        },
+      },
+    });
+
+    const foundIds = new Set(orders.map((o) => o.id));
+    const foundBookingIds = new Set(orders.map((o) => o.bookingId));
+    const errors = [
+      ...orderIds.filter((id) => !foundIds.has(id)).map((id) => ({ orderId: id, message: 'Order not found' })),
+      ...bookingIds
+        .filter((bid) => !foundBookingIds.has(bid))
+        .map((bid) => ({ bookingId: bid, message: 'Order not found' })),
+    ];
+
+    for (const order of orders) {
+      if (order.isIntegrated && order.bookingState !== 'BOOKED') {
+        errors.push({ orderId: order.id, bookingId: order.bookingId, message: 'Order is not booked' });
+        continue;
+      }
+      if (order.runsheetItems.length) {
+        errors.push({
+          orderId: order.id,
+          bookingId: order.bookingId,
+          message: `Order is already on open runsheet ${order.runsheetItems[0].runsheet.runsheetNumber}`,
+        });
+        continue;
+      }
+      if (
+        !reassign &&
+        order.assignedRiderId &&
+        order.assignedRiderId !== riderId &&
+        RIDER_HELD_STATUSES.includes(order.status)
+      ) {
+        errors.push({
+          orderId: order.id,
+          bookingId: order.bookingId,
+          assignedRiderId: order.assignedRiderId,
+          message: `Order is ${order.status} with another rider; set reassign to move it`,
+        });
+        continue;
+      }
+      if (order.status === 'OUT_FOR_DELIVERY' && order.assignedRiderId === riderId) {
+        continue;
+      }
+      const conflict =
+        order.status !== 'OUT_FOR_DELIVERY' &&
+        getTransitionError(order.status, 'OUT_FOR_DELIVERY', req.user.role);
+      if (conflict) {
+        errors.push({ orderId: order.id, bookingId: order.bookingId, message: conflict.message });
+      }
+    }
+
+    if (errors.length) {
+      return res.status(409).json({
+        message: 'Some orders cannot be added to this runsheet',
+        errors,
+      });
+    }
+
+    const expectedCod = orders.reduce((sum, o) => sum + expectedCodFor(o), 0);
+
+    const runsheet = await prisma.$transaction(async (tx) => {
+      // Claim the orders as checked above: same status and rider, and on no
+      // open runsheet, so a concurrent runsheet or dispatch is never silently overridden
+      const now = new Date();
+      const claimed = await tx.order.updateMany({
+        where: {
+          OR: orders.map((o) => ({ id: o.id, status: o.status, assignedRiderId: o.assignedRiderId })),
+          runsheetItems: { none: { runsheet: { status: 'OPEN' } } },
+        },
+        data: {
+          assignedRiderId: riderId,
+          status: 'OUT_FOR_DELIVERY',
+          outForDeliveryAt: now,
+        },
+      });
+      if (claimed.count !== orders.length) {
+        throw Object.assign(
+          new Error('Some orders changed while creating the runsheet; reload and try again'),
+          { statusCode: 409 },
+        );
+      }
+
+      const counter = await tx.counter.upsert({
+        where: { key: 'RUNSHEET' },
+        update: { seq: { increment: 1 } },
+        create: { key: 'RUNSHEET', seq: 1 },
+      });
+      const runsheetNumber = formatRunsheetNumber(counter.seq);
+
+      const created = await tx.runsheet.create({
+        data: {
+          runsheetNumber,
+          riderId,
+          runDate,
+          expectedCod,
+          notes: req.body.notes ? String(req.body.notes).trim() : null,
+          createdById,
+          items: {
+            create: orders.map((o) => ({ orderId: o.id, expectedCod: expectedCodFor(o) })),
+          },
+        },
+      });
+
+      await tx.orderEvent.createMany({
+        data: orders.map((o) => ({
+          orderId: o.id,
+          status: 'OUT_FOR_DELIVERY',
+          note: `Dispatched with ${rider.name} on runsheet ${runsheetNumber}`,
+          createdById,
+        })),
+      });
+
+      return tx.runsheet.findUnique({
+        where: { id: created.id },
+        include: runsheetInclude,
+      });
+    });
+
+    const dispatchedAt = new Date();
+    orders
+      .filter((o) => o.status !== 'OUT_FOR_DELIVERY')
+      .forEach((o) =>
+        notifyOrderStatusChange(
+          { ...o, status: 'OUT_FOR_DELIVERY', assignedRiderId: riderId, updatedAt: dispatchedAt },
+          { previousStatus: o.status, note: `Dispatched on runsheet ${runsheet.runsheetNumber}` },
+        ),
+      );
+
+    res.status(201).json(mapRunsheet(runsheet));
+  } catch (error) {
+    if (error && error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    next(error);
+  }
+};
+
+/**
+ * List runsheets
+ * GET /api/runsheets?riderId=&date=YYYY-MM-DD&status=OPEN|CLOSED
+ * Riders only see their own.
+ */
+exports.listRunsheets = async (req, res, next) => {
+  try {
+    const { riderId, date, status } = req.query;
+    const where = {};
+
+    if (req.user.role === 'RIDER') {
+      where.riderId = Number(req.user.id);
+    } else if (riderId) {
+      const riderIdNum = Number(riderId);
+      if (!Number.isInteger(riderIdNum) || riderIdNum <= 0) {
+        return res.status(400).json({ message: 'Invalid rider id' });
+      }
+      where.riderId = riderIdNum;
+    }
+
+    if (date) {
+      const runDate = parseRunDate(date);
+      if (!runDate) {
+        return res.status(400).json({ message: 'date must be in YYYY-MM-DD format' });
+      }
+      where.runDate = runDate;
+    }
+
+    const statusUpper = String(status || '').toUpperCase();
+    if (['OPEN', 'CLOSED'].includes(statusUpper)) {
+      where.status = statusUpper;
+    }
+
+    const runsheets = await prisma.runsheet.findMany({
+      where,
+      include: {
+        rider: { select: { id: true, name: true, phone: true } },
+        createdBy: { select: { id: true, name: true } },
+        closedBy: { select: { id: true, name: true } },
+        _count: { select: { items: true } },
+      },
+      orderBy: [{ runDate: 'desc' }, { id: 'desc' }],
+      take: 200,
+    });
+
+    res.json(runsheets.map(mapRunsheet));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Runsheet details
+ * GET /api/runsheets/:id
+ */
+exports.getRunsheet = async (req, res, next) => {
+  try {
+    const runsheet = await loadRunsheetForUser(req, res);
+    if (!runsheet) return;
+    res.json(mapRunsheet(runsheet));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Printable manifest
+ * GET /api/runsheets/:id/manifest           -> HTML (print from the browser)
+ * GET /api/runsheets/:id/manifest?format=xlsx -> Excel
+ */
+exports.getRunsheetManifest = async (req, res, next) => {
+  try {
+    const runsheet = await loadRunsheetForUser(req, res);
+    if (!runsheet) return;
+
+    const runDate = new Date(runsheet.runDate).toISOString().split('T')[0];
+    const rows = runsheet.items.map((item, index) => ({
+      sr: index + 1,
+      bookingId: item.order.bookingId,
+      trackingId: item.order.trackingId,
+      shipper: item.order.shipper?.companyName || item.order.shipper?.name || '',
+      consignee: item.order.consigneeName,
+      phone: item.order.consigneePhone,
+      address: item.order.consigneeAddress,
+      city: item.order.destinationCity,
+      pieces: item.order.pieces,
+      cod: item.expectedCod,
+    }));
+
+    if (String(req.query.format || '').toLowerCase() === 'xlsx') {
+      const workbook = new ExcelJS.Workbook();
+      const sheet = workbook.addWorksheet('Runsheet');
+      sheet.addRow([`Runsheet ${runsheet.runsheetNumber}`]);
+      sheet.addRow([`Rider: ${runsheet.rider?.name || ''}`, `Date: ${runDate}`, `Expected COD: ${runsheet.expectedCod}`]);
+      sheet.addRow([]);
+      const headerRow = sheet.addRow([
+        'Sr', 'Booking ID', 'Tracking ID', 'Shipper', 'Consignee', 'Phone',
+        'Address', 'City', 'Pieces', 'COD (PKR)', 'Outcome', 'Signature',
+      ]);
+      headerRow.font = { bold: true };
+      rows.forEach((r) => {
+        sheet.addRow([r.sr, r.bookingId, r.trackingId, r.shipper, r.consignee, r.phone, r.address, r.city, r.pieces, r.cod, '', '']);
+      });
+      sheet.addRow([]);
+      sheet.addRow(['', '', '', '', '', '', '', '', 'Total', runsheet.expectedCod]).font = { bold: true };
+      sheet.getRow(1).font = { bold: true, size: 14 };
+      [6, 12, 10, 20, 22, 16, 40, 14, 8, 12, 14, 16].forEach((width, i) => {
+        sheet.getColumn(i + 1).width = width;
+      });
+
+      res.setHeader(
+        'Content-Type',
+        'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+      );
+      res.setHeader(
+        'Content-Disposition',
+        `attachment; filename="runsheet-${runsheet.runsheetNumber}.xlsx"`,
+      );
+      await workbook.xlsx.write(res);
+      return res.end();
+    }
+
+    const bodyRows = rows
+      .map(
+        (r) => `
+        <tr>
+          <td>${r.sr}</td>
+          <td>${escapeHtml(r.bookingId)}<br/><small>${escapeHtml(r.trackingId)}</small></td>
+          <td>${escapeHtml(r.shipper)}</td>
+          <td>${escapeHtml(r.consignee)}<br/><small>${escapeHtml(r.phone)}</small></td>
+          <td>${escapeHtml(r.address)}, ${escapeHtml(r.city)}</td>
+          <td class="num">${r.pieces}</td>
+          <td class="num">${Number(r.cod).toLocaleString()}</td>
+          <td></td>
+          <td></td>
+        </tr>`,
+      )
+      .join('');
+
+    const html = `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8" />
+  <title>Runsheet ${escapeHtml(runsheet.runsheetNumber)}</title>
+  <style>
+    body { font-family: Arial, sans-serif; font-size: 12px; margin: 24px; }
+    h1 { font-size: 18px; margin: 0 0 4px; }
+    .meta { display: flex; gap: 24px; margin-bottom: 12px; }
+    table { width: 100%; border-collapse: collapse; }
+    th, td { border: 1px solid #333; padding: 4px 6px; vertical-align: top; }
+    th { background: #f0f0f0; text-align: left; }
+    td.num { text-align: right; }
+    tfoot td { font-weight: bold; }
+    .signatures { display: flex; justify-content: space-between; margin-top: 40px; }
+    .signatures div { border-top: 1px solid #333; width: 220px; text-align: center; padding-top: 4px; }
+    @media print { body { margin: 8mm; } }
+  </style>
+</head>
+<body onload="window.print()">
+  <h1>LahoreLink Logistics - Runsheet ${escapeHtml(runsheet.runsheetNumber)}</h1>
+  <div class="meta">
+    <div><strong>Rider:</strong> ${escapeHtml(runsheet.rider?.name)} ${escapeHtml(runsheet.rider?.phone || '')}</div>
+    <div><strong>Date:</strong> ${runDate}</div>
+    <div><strong>Orders:</strong> ${rows.length}</div>
+    <div><strong>Expected COD:</strong> PKR ${Number(runsheet.expectedCod).toLocaleString()}</div>
+  </div>
+  <table>
+    <thead>
+      <tr>
+        <th>#</th><th>Booking / Tracking</th><th>Shipper</th><th>Consignee</th>
+        <th>Address</th><th>Pcs</th><th>COD (PKR)</th><th>Outcome</th><th>Receiver signature</th>
+      </tr>
+    </thead>
+    <tbody>${bodyRows}</tbody>
+    <tfoot>
+      <tr><td colspan="6">Total</td><td class="num">${Number(runsheet.expectedCod).toLocaleString()}</td><td colspan="2"></td></tr>
+    </tfoot>
+  </table>
+  <div class="signatures">
+    <div>Rider signature</div>
+    <div>Dispatched by</div>
+    <div>Cash received by</div>
+  </div>
+</body>
+</html>`;
+
+    res.setHeader('Content-Type', 'text/html; charset=utf-8');
+    res.send(html);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * End-of-day close: reconcile order outcomes against cash handed in
+ * POST /api/runsheets/:id/close
+ * Body: { cashReceived, notes? }
+ */
+exports.closeRunsheet = async (req, res, next) => {
+  try {
+    const runsheet = await loadRunsheetForUser(req, res);
+    if (!runsheet) return;
+
+    if (runsheet.status === 'CLOSED') {
+      return res.status(409).json({ message: 'Runsheet is already closed' });
+    }
+
+    const cashReceived = Number(req.body && req.body.cashReceived);
+    if (!Number.isFinite(cashReceived) || cashReceived < 0) {
+      return res.status(400).json({ message: 'cashReceived must be a non-negative number' });
+    }
+
+    let deliveredCount = 0;
+    let returnedCount = 0;
+    let failedCount = 0;
+    let collectedCod = 0;
+    const pending = [];
+
+    const itemUpdates = runsheet.items.map((item) => {
+      const { order } = item;
+      let collectedAmount = null;
+
+      if (order.status === 'DELIVERED') {
+        deliveredCount += 1;
+        if (order.paymentType === 'COD') {
+          collectedAmount = collectedCodFor(order);
+          collectedCod += collectedAmount;
+        }
+      } else if (order.status === 'RETURNED') {
+        returnedCount += 1;
+      } else if (order.status === 'FAILED') {
+        failedCount += 1;
+      } else {
+        pending.push({ orderId: order.id, bookingId: order.bookingId, status: order.status });
+      }
+
+      return { id: item.id, outcomeStatus: order.status, collectedAmount };
+    });
+
+    const cashDifference = Math.round(cashReceived) - collectedCod;
+    const closedById = Number(req.user.id) || null;
+
+    // Cash handed in at close goes to the rider cash ledger, covering the
+    // delivered COD orders of this runsheet not deposited yet.
+    const depositOrders = runsheet.items
+      .map((item) => item.order)
+      .filter((order) => collectedCodFor(order) > 0 && !order.cashDepositItem);
+
+    const closed = await prisma.$transaction(async (tx) => {
+      if (cashReceived > 0) {
+        await createCashDeposit(tx, {
+          riderId: runsheet.riderId,
+          amount: Math.round(cashReceived),
+          orders: depositOrders,
+          receivedById: closedById,
+          reference: runsheet.runsheetNumber,
+          notes: req.body.notes ? String(req.body.notes).trim() : null,
+          runsheetId: runsheet.id,
+        });
+      }
+
+      for (const update of itemUpdates) {
+        await tx.runsheetItem.update({
+          where: { id: update.id },
+          data: { outcomeStatus: update.outcomeStatus, collectedAmount: update.collectedAmount },
+        });
+      }
+
+      return tx.runsheet.update({
+        where: { id: runsheet.id },
+        data: {
+          status: 'CLOSED',
+          deliveredCount,
+          returnedCount,
+          failedCount,
+          pendingCount: pending.length,
+          collectedCod,
+          cashReceived: Math.round(cashReceived),
+          cashDifference,
+          closeNotes: req.body.notes ? String(req.body.notes).trim() : null,
+          closedAt: new Date(),
+          closedById,
+        },
+        include: runsheetInclude,
+      });
+    });
+
+    res.json({
+      ...mapRunsheet(closed),
+      pendingOrders: pending,
+      cashStatus: cashDifference === 0 ? 'BALANCED' : cashDifference < 0 ? 'SHORT' : 'EXCESS',
+    });
+  } catch (error) {
+    // The runsheet was closed, or one of its orders deposited, meanwhile
+    if (error && error.code === 'P2002') {
+      return res
+        .status(409)
+        .json({ message: 'Runsheet cash was recorded meanwhile; reload and try again' });
+    }
+    next(error);
+  }
+};
@@ -1,5 +1,28 @@
 const prisma = require("../prismaClient");
-const { calculateServiceCharges, validateWeight } = require("../utils/serviceChargeCalculator");
+const {
+  calculateServiceCharges,
+  validateWeight,
+  validateDimensions,
+} = require("../utils/serviceChargeCalculator");
+const {
+  getTransitionError,
+  getReturnTransitionError,
+} = require("../utils/orderStatusMachine");
+const { notifyOrderStatusChange } = require("../utils/orderStatusNotifier");
+
+// Accepts either a plain booking ID or the label QR payload "LLL|<bookingId>".
+const extractBookingId = (raw) => {
+  const value = String(raw || "").trim();
+  if (value.includes("|")) {
+    const parts = value.split("|");
+    if (parts.length === 2 && parts[0] === "LLL") {
+      return parts[1];
+    }
+  }
+  return value;
+};
+
+const MAX_SIGNATURE_LENGTH = 90 * 1024;
 
 /**
  * Get order details for warehouse scan confirmation
@@ -57,12 +80,15 @@ exports.getOrderForScan = async (req, res, next) => {
     }
 
     // Check if order is in a state that allows warehouse scanning
-    const invalidStates = ["DELIVERED", "CANCELLED", "RETURNED"];
-    if (invalidStates.includes(order.status)) {
-      return res.status(400).json({
+    const conflict =
+      order.status !== "AT_LLL_WAREHOUSE" &&
+      getTransitionError(order.status, "AT_LLL_WAREHOUSE", req.user && req.user.role);
+    if (conflict) {
+      return res.status(409).json({
         success: false,
         message: `Cannot scan order in ${order.status} status`,
-        code: "INVALID_STATUS",
+        code: conflict.code,
+        allowedStatuses: conflict.allowedStatuses,
       });
     }
 
@@ -83,6 +109,11 @@ exports.getOrderForScan = async (req, res, next) => {
           weightOriginalKg: order.weightOriginalKg,
           weightSource: order.weightSource,
           weightVerifiedAt: order.weightVerifiedAt,
+          lengthCm: order.lengthCm,
+          widthCm: order.widthCm,
+          heightCm: order.heightCm,
+          volumetricWeightKg: order.volumetricWeightKg,
+          serviceChargesWeightBasis: order.serviceChargesWeightBasis,
           serviceCharges: order.serviceCharges,
           codAmount: order.codAmount,
           shipper: order.shipper,
@@ -101,7 +132,9 @@ exports.getOrderForScan = async (req, res, next) => {
 };
 
 /**
- * Enhanced warehouse scan with weight verification
+ * Enhanced warehouse scan with weight verification. Optional lengthCm,
+ * widthCm and heightCm record the parcel size; bulky parcels are then billed
+ * on volumetric weight.
  * POST /api/orders/:bookingId/warehouse-scan
  * Only accessible by CEO and MANAGER roles
  */
@@ -160,13 +193,16 @@ exports.warehouseScan = async (req, res, next) => {
       });
     }
 
-    // Validate order status
-    const invalidStates = ["DELIVERED", "CANCELLED", "RETURNED"];
-    if (invalidStates.includes(order.status)) {
-      return res.status(400).json({
+    // Validate order status against the shared transition table
+    const conflict =
+      order.status !== "AT_LLL_WAREHOUSE" &&
+      getTransitionError(order.status, "AT_LLL_WAREHOUSE", req.user && req.user.role);
+    if (conflict) {
+      return res.status(409).json({
         success: false,
         message: `Cannot scan order in ${order.status} status`,
-        code: "INVALID_STATUS",
+        code: conflict.code,
+        allowedStatuses: conflict.allowedStatuses,
       });
     }
 
@@ -191,6 +227,19 @@ exports.warehouseScan = async (req, res, next) => {
       }
     }
 
+    const dimensionCheck = validateDimensions(req.body);
+    if (!dimensionCheck.isValid) {
+      return res.status(400).json({
+        success: false,
+        message: dimensionCheck.error,
+        code: "INVALID_DIMENSIONS",
+      });
+    }
+    const dimensions = dimensionCheck.dimensions;
+    const isDimensionsChanged =
+      !!dimensions &&
+      ["lengthCm", "widthCm", "heightCm"].some((key) => dimensions[key] !== order[key]);
+
     // Determine if weight is being updated
     const currentWeight = Number(order.weightKg || 0);
     const newWeight =
@@ -205,14 +254,26 @@ exports.warehouseScan = async (req, res, next) => {
     // Build update payload
     const updateData = {};
 
-    if (isWeightChanged) {
+    const isRecalculated = isWeightChanged || isDimensionsChanged;
+
+    if (isRecalculated) {
       // Preserve original weight if not set
       if (order.weightOriginalKg == null && currentWeight !== newWeight) {
         updateData.weightOriginalKg = currentWeight;
       }
 
-      // Calculate new service charges using Prisma-based calculator
-      const { serviceCharges, snapshot } = await calculateServiceCharges(order, newWeight);
+      if (dimensions) {
+        updateData.lengthCm = dimensions.lengthCm;
+        updateData.widthCm = dimensions.widthCm;
+        updateData.heightCm = dimensions.heightCm;
+      }
+
+      // Calculate new service charges using Prisma-based calculator; billed on
+      // the greater of actual and volumetric weight
+      const { serviceCharges, snapshot } = await calculateServiceCharges(
+        { ...order, ...dimensions },
+        newWeight,
+      );
 
       updateData.weightKg = newWeight;
       updateData.weightVerifiedById = userId;
@@ -222,9 +283,12 @@ exports.warehouseScan = async (req, res, next) => {
 
       if (snapshot) {
         updateData.serviceChargesWeightUsed = snapshot.weightUsed;
+        updateData.serviceChargesWeightBasis = snapshot.weightBasis;
+        updateData.volumetricWeightKg = snapshot.volumetricWeightKg;
         updateData.serviceChargesBracketMin = snapshot.bracketMin;
         updateData.serviceChargesBracketMax = snapshot.bracketMax;
         updateData.serviceChargesRate = snapshot.rate;
+        updateData.deliveryZone = snapshot.zone;
         updateData.serviceChargesCalculatedAt = snapshot.calculatedAt || new Date();
       }
 
@@ -279,6 +343,8 @@ exports.warehouseScan = async (req, res, next) => {
           createdById: userId,
         },
       });
+
+      notifyOrderStatusChange(updatedOrder, { previousStatus: order.status, note });
     }
 
     res.json({
@@ -294,7 +360,9 @@ exports.warehouseScan = async (req, res, next) => {
           weightChanged: isWeightChanged,
           oldWeight: isWeightChanged ? oldWeightForResponse : null,
           newWeight: isWeightChanged ? newWeight : null,
-          serviceChargesRecalculated: isWeightChanged,
+          dimensionsChanged: isDimensionsChanged,
+          serviceChargesRecalculated: isRecalculated,
+          weightBasis: updatedOrder.serviceChargesWeightBasis,
         },
       },
     });
@@ -326,3 +394,211 @@ exports.scanOrder = async (req, res, next) => {
     next(error);
   }
 };
+
+const returnOrderInclude = {
+  shipper: {
+    select: { id: true, name: true, email: true, companyName: true, phone: true },
+  },
+};
+
+// Move a returned order to its next return step, conditional on the
+// returnStatus the transition was checked against so two concurrent scans
+// cannot both apply it. Returns the updated order, or null when it changed.
+const applyReturnStep = (order, data, event) =>
+  prisma.$transaction(async (tx) => {
+    const locked = await tx.order.updateMany({
+      where: { id: order.id, status: "RETURNED", returnStatus: order.returnStatus },
+      data,
+    });
+    if (locked.count !== 1) return null;
+
+    await tx.orderEvent.create({ data: { orderId: order.id, ...event } });
+
+    return tx.order.findUnique({
+      where: { id: order.id },
+      include: returnOrderInclude,
+    });
+  });
+
+const returnChangedResponse = (res) =>
+  res.status(409).json({
+    success: false,
+    message: "Return was updated meanwhile; scan again",
+    code: "RETURN_STATUS_CHANGED",
+  });
+
+/**
+ * Return-to-origin: returned parcel scanned back into the warehouse
+ * POST /api/orders/:bookingId/return-scan
+ * Only accessible by CEO and MANAGER roles
+ */
+exports.returnWarehouseScan = async (req, res, next) => {
+  try {
+    const userId = Number(req.user && (req.user.id || req.user._id));
+    if (!Number.isInteger(userId) || userId <= 0) {
+      return res.status(401).json({ success: false, message: "Unauthorized" });
+    }
+
+    const bookingId = extractBookingId(req.params.bookingId);
+    if (!bookingId) {
+      return res.status(400).json({ success: false, message: "Booking ID is required" });
+    }
+
+    const order = await prisma.order.findFirst({
+      where: { bookingId, isDeleted: false },
+    });
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: "Order not found",
+        code: "ORDER_NOT_FOUND",
+      });
+    }
+
+    const conflict =
+      order.status === "RETURNED"
+        ? getReturnTransitionError(order.returnStatus, "RETURN_AT_WAREHOUSE")
+        : getReturnTransitionError(null, "RETURN_AT_WAREHOUSE");
+    if (conflict) {
+      return res.status(409).json({ success: false, ...conflict });
+    }
+
+    const updatedOrder = await applyReturnStep(
+      order,
+      {
+        returnStatus: "RETURN_AT_WAREHOUSE",
+        returnAtWarehouseAt: new Date(),
+      },
+      {
+        status: "RETURN_AT_WAREHOUSE",
+        note: "Return scanned into warehouse, awaiting handover to shipper",
+        createdById: userId,
+      },
+    );
+    if (!updatedOrder) return returnChangedResponse(res);
+
+    notifyOrderStatusChange(updatedOrder, {
+      previousStatus: order.status,
+      note: "Return received at LahoreLink warehouse",
+    });
+
+    const { returnSignature, ...orderData } = updatedOrder;
+
+    res.json({
+      success: true,
+      message: "Return received at warehouse",
+      data: { order: { ...orderData, _id: updatedOrder.id } },
+    });
+  } catch (error) {
+    console.error("Error in return warehouse scan:", error);
+    next(error);
+  }
+};
+
+/**
+ * Return-to-origin: parcel handed back to the shipper against a signature.
+ * Applies the shipper's flat returnCharge, which makes the order billable.
+ * POST /api/orders/:bookingId/return-handover
+ * Body: { receiverName, signature? } (signature is an image data URL)
+ * Only accessible by CEO and MANAGER roles
+ */
+exports.returnHandoverScan = async (req, res, next) => {
+  try {
+    const userId = Number(req.user && (req.user.id || req.user._id));
+    if (!Number.isInteger(userId) || userId <= 0) {
+      return res.status(401).json({ success: false, message: "Unauthorized" });
+    }
+
+    const bookingId = extractBookingId(req.params.bookingId);
+    if (!bookingId) {
+      return res.status(400).json({ success: false, message: "Booking ID is required" });
+    }
+
+    const receiverName = String((req.body && req.body.receiverName) || "").trim();
+    if (!receiverName) {
+      return res.status(400).json({
+        success: false,
+        message: "Receiver name is required for return handover",
+      });
+    }
+
+    const signatureRaw = req.body && req.body.signature;
+    let signature = null;
+    if (signatureRaw) {
+      signature = String(signatureRaw);
+      if (!/^data:image\/(png|jpeg|jpg|webp);base64,/i.test(signature)) {
+        return res.status(400).json({
+          success: false,
+          message: "Signature must be a PNG, JPEG or WEBP image data URL",
+        });
+      }
+      if (signature.length > MAX_SIGNATURE_LENGTH) {
+        return res.status(400).json({ success: false, message: "Signature image is too large" });
+      }
+    }
+
+    const order = await prisma.order.findFirst({
+      where: { bookingId, isDeleted: false },
+    });
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: "Order not found",
+        code: "ORDER_NOT_FOUND",
+      });
+    }
+
+    const conflict =
+      order.status === "RETURNED"
+        ? getReturnTransitionError(order.returnStatus, "RETURNED_TO_SHIPPER")
+        : getReturnTransitionError(null, "RETURNED_TO_SHIPPER");
+    if (conflict) {
+      return res.status(409).json({ success: false, ...conflict });
+    }
+
+    const commissionConfig = await prisma.commissionConfig.findUnique({
+      where: { shipperId: order.shipperId },
+    });
+    const returnCharge = Number(commissionConfig?.returnCharge || 0);
+
+    const updatedOrder = await applyReturnStep(
+      order,
+      {
+        returnStatus: "RETURNED_TO_SHIPPER",
+        returnedToShipperAt: new Date(),
+        returnHandedOverById: userId,
+        returnReceiverName: receiverName,
+        returnSignature: signature,
+        serviceCharges: Number.isFinite(returnCharge) && returnCharge >= 0 ? returnCharge : 0,
+        serviceChargesCalculatedAt: new Date(),
+      },
+      {
+        status: "RETURNED_TO_SHIPPER",
+        note: `Returned to shipper, received by ${receiverName}`,
+        createdById: userId,
+      },
+    );
+    if (!updatedOrder) return returnChangedResponse(res);
+
+    notifyOrderStatusChange(updatedOrder, {
+      previousStatus: order.status,
+      note: `Returned to shipper, received by ${receiverName}`,
+    });
+
+    const { returnSignature, ...orderData } = updatedOrder;
+
+    res.json({
+      success: true,
+      message: "Return handed over to shipper",
+      data: {
+        order: { ...orderData, _id: updatedOrder.id, hasReturnSignature: !!returnSignature },
+        returnCharge: orderData.serviceCharges,
+      },
+    });
+  } catch (error) {
+    console.error("Error in return handover scan:", error);
+    next(error);
+  }
+};
@@ -0,0 +1,168 @@
+const prisma = require('../prismaClient');
+const { recordSecurityEvent } = require('../utils/securityEvents');
+
+const EVENT_TYPES = [
+  'LOGIN_SUCCESS',
+  'LOGIN_FAILED',
+  'LOGIN_BLOCKED',
+  'ACCOUNT_LOCKED',
+  'ACCOUNT_UNLOCKED',
+  'TWO_FACTOR_FAILED',
+  'RATE_LIMITED',
+  'PASSWORD_RESET_REQUESTED',
+  'RESET_CODE_FAILED',
+  'RESET_CODE_LOCKED',
+  'PASSWORD_RESET',
+];
+
+const parseDate = (value, endOfDay) => {
+  if (!value) return null;
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) return null;
+  if (endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(String(value))) {
+    date.setHours(23, 59, 59, 999);
+  }
+  return date;
+};
+
+// GET /api/security-events?type=&userId=&email=&ipAddress=&from=&to=
+exports.listSecurityEvents = async (req, res, next) => {
+  try {
+    const { type, userId, email, ipAddress, from, to, page = 1, limit = 50 } = req.query;
+
+    const where = {};
+    if (type) {
+      const types = String(type)
+        .split(',')
+        .map((t) => t.trim().toUpperCase())
+        .filter(Boolean);
+      if (!types.length || types.some((t) => !EVENT_TYPES.includes(t))) {
+        return res.status(400).json({ message: 'Invalid event type' });
+      }
+      where.type = { in: types };
+    }
+    if (typeof userId !== 'undefined' && userId !== '') {
+      const id = Number(userId);
+      if (!Number.isInteger(id) || id <= 0) {
+        return res.status(400).json({ message: 'Invalid userId' });
+      }
+      where.userId = id;
+    }
+    if (email && String(email).trim()) {
+      where.email = { contains: String(email).trim().toLowerCase() };
+    }
+    if (ipAddress && String(ipAddress).trim()) {
+      where.ipAddress = String(ipAddress).trim();
+    }
+
+    const fromDate = parseDate(from, false);
+    const toDate = parseDate(to, true);
+    if ((from && !fromDate) || (to && !toDate)) {
+      return res.status(400).json({ message: 'Invalid date range' });
+    }
+    if (fromDate || toDate) {
+      where.createdAt = {
+        ...(fromDate ? { gte: fromDate } : {}),
+        ...(toDate ? { lte: toDate } : {}),
+      };
+    }
+
+    const pageNum = Math.max(1, Number(page) || 1);
+    const limitNum = Math.min(200, Math.max(1, Number(limit) || 50));
+
+    const [total, events] = await Promise.all([
+      prisma.securityEvent.count({ where }),
+      prisma.securityEvent.findMany({
+        where,
+        include: { user: { select: { id: true, name: true, role: true } } },
+        orderBy: { createdAt: 'desc' },
+        skip: (pageNum - 1) * limitNum,
+        take: limitNum,
+      }),
+    ]);
+
+    res.json({
+      events,
+      page: pageNum,
+      limit: limitNum,
+      total,
+      totalPages: Math.ceil(total / limitNum) || 0,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// GET /api/security-events/summary?hours=24
+// Counts per event type, the noisiest IPs and the accounts locked right now.
+exports.getSecurityEventSummary = async (req, res, next) => {
+  try {
+    const hours = Math.min(24 * 30, Math.max(1, Number(req.query.hours) || 24));
+    const since = new Date(Date.now() - hours * 60 * 60 * 1000);
+    const failureTypes = ['LOGIN_FAILED', 'TWO_FACTOR_FAILED', 'RESET_CODE_FAILED', 'RATE_LIMITED'];
+
+    const [byType, topIps, lockedUsers] = await Promise.all([
+      prisma.securityEvent.groupBy({
+        by: ['type'],
+        where: { createdAt: { gte: since } },
+        _count: { _all: true },
+      }),
+      prisma.securityEvent.groupBy({
+        by: ['ipAddress'],
+        where: { createdAt: { gte: since }, type: { in: failureTypes }, ipAddress: { not: null } },
+        _count: { _all: true },
+        orderBy: { _count: { ipAddress: 'desc' } },
+        take: 10,
+      }),
+      prisma.user.findMany({
+        where: { lockedUntil: { gt: new Date() } },
+        select: { id: true, name: true, email: true, role: true, failedLoginCount: true, lockedUntil: true },
+        orderBy: { lockedUntil: 'desc' },
+      }),
+    ]);
+
+    res.json({
+      since,
+      counts: EVENT_TYPES.reduce((acc, t) => {
+        const row = byType.find((r) => r.type === t);
+        return { ...acc, [t]: row ? row._count._all : 0 };
+      }, {}),
+      topFailingIps: topIps.map((row) => ({ ipAddress: row.ipAddress, count: row._count._all })),
+      lockedUsers,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// POST /api/security-events/users/:id/unlock - lift a brute-force lockout early
+exports.unlockUser = async (req, res, next) => {
+  try {
+    const userId = Number(req.params.id);
+    if (!Number.isInteger(userId) || userId <= 0) {
+      return res.status(400).json({ message: 'Invalid user id' });
+    }
+
+    const user = await prisma.user.findUnique({
+      where: { id: userId },
+      select: { id: true, email: true },
+    });
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    await prisma.user.update({
+      where: { id: userId },
+      data: { failedLoginCount: 0, lockedUntil: null },
+    });
+    await recordSecurityEvent(req, 'ACCOUNT_UNLOCKED', {
+      userId,
+      email: user.email,
+      metadata: { unlockedById: req.user.id },
+    });
+
+    res.json({ message: 'Account unlocked' });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -1,5 +1,63 @@
 const prisma = require('../prismaClient');
 const { normalizeCommissionRule } = require('../utils/serviceChargeCalculator');
+const { billableReturnWhere, isPendingReturn } = require('../utils/orderStatusMachine');
+
+// An order counts as paid once the invoice it was billed on is settled
+const orderLedgerStatus = (order) =>
+  order.invoice && order.invoice.status === 'PAID' ? 'PAID' : 'UNPAID';
+
+const LEDGER_PAGE_SIZE = 1000;
+
+// Running-balance statement from ShipperLedgerEntry rows (invoices, credit
+// notes, payments, remitted orders and their payouts). Positive amounts are
+// owed to the shipper.
+const buildLedgerStatement = async (shipperId, entryDate) => {
+  const where = { shipperId };
+  if (entryDate) where.entryDate = entryDate;
+
+  const opening =
+    entryDate && entryDate.gte
+      ? await prisma.shipperLedgerEntry.aggregate({
+          where: { shipperId, entryDate: { lt: entryDate.gte } },
+          _sum: { amount: true },
+        })
+      : null;
+
+  // Read in pages so a long history is never cut short
+  const entries = [];
+  for (;;) {
+    const page = await prisma.shipperLedgerEntry.findMany({
+      where,
+      orderBy: [{ entryDate: 'asc' }, { id: 'asc' }],
+      skip: entries.length,
+      take: LEDGER_PAGE_SIZE,
+    });
+    entries.push(...page);
+    if (page.length < LEDGER_PAGE_SIZE) break;
+  }
+
+  const openingBalance = Number((opening && opening._sum.amount) || 0);
+  let balance = openingBalance;
+  const rows = entries.map((e) => {
+    balance += Number(e.amount || 0);
+    return {
+      _id: e.id,
+      id: e.id,
+      date: e.entryDate,
+      type: e.type,
+      particular: e.particular,
+      invoiceId: e.invoiceId,
+      codAmount: e.codAmount,
+      serviceCharges: e.serviceCharges,
+      amount: Number(e.amount || 0),
+      balance,
+      status: e.status,
+      notes: e.notes,
+    };
+  });
+
+  return { openingBalance, entries: rows, closingBalance: balance };
+};
 
 const formatPolicy = (cfg) => {
   if (!cfg) return null;
@@ -52,6 +110,7 @@ exports.getMyFinanceSummary = async (req, res, next) => {
           shipperId,
           isDeleted: false,
           status: { in: ['DELIVERED', 'RETURNED'] },
+          ...billableReturnWhere(),
           // Only consider uninvoiced (unsettled) orders for current balance
           invoiceId: null,
         },
@@ -149,6 +208,8 @@ exports.getMyFinanceLedger = async (req, res, next) => {
       // statuses are excluded here so that shippers only see Delivered/Returned
       // parcels in their journal and invoices.
       status: { in: ['DELIVERED', 'RETURNED'] },
+      // Returns only reach the ledger once handed back to the shipper.
+      ...billableReturnWhere(),
     };
 
     if (from || to) {
@@ -187,6 +248,7 @@ exports.getMyFinanceLedger = async (req, res, next) => {
       prisma.order.count({ where }),
       prisma.order.findMany({
         where,
+        include: { invoice: { select: { status: true } } },
         orderBy: { createdAt: 'desc' },
         skip: exportAll ? 0 : (pageNum - 1) * limitNum,
         take: exportAll ? limitNum : limitNum,
@@ -198,12 +260,11 @@ exports.getMyFinanceLedger = async (req, res, next) => {
     // DELIVERED and RETURNED here.
     const statusFiltered = orders.filter((o) => {
       const st = String(o.status || '').toUpperCase();
-      return st === 'DELIVERED' || st === 'RETURNED';
+      return (st === 'DELIVERED' || st === 'RETURNED') && !isPendingReturn(o);
     });
 
     const filteredOrders = statusFiltered.filter((o) => {
-      const isInvoiced = o.invoiceId !== null && o.invoiceId !== undefined;
-      const ledgerStatus = isInvoiced ? 'PAID' : 'UNPAID';
+      const ledgerStatus = orderLedgerStatus(o);
 
       if (!normalizedStatus || normalizedStatus === 'UNPAID') {
         return ledgerStatus === 'UNPAID';
@@ -237,8 +298,7 @@ exports.getMyFinanceLedger = async (req, res, next) => {
       const serviceCharges = Number(o.serviceCharges || 0);
       const receivable = codAmount - serviceCharges;
 
-      const isInvoiced = o.invoiceId !== null && o.invoiceId !== undefined;
-      const ledgerStatus = isInvoiced ? 'PAID' : 'UNPAID';
+      const ledgerStatus = orderLedgerStatus(o);
 
       return {
         _id: o.id,
@@ -314,8 +374,14 @@ exports.getMyFinanceLedger = async (req, res, next) => {
     const totalFiltered = rows.length;
     const totalPages = exportAll ? 1 : Math.ceil(totalFiltered / limitNum) || 0;
 
+    const statement = await buildLedgerStatement(
+      shipperId,
+      where.createdAt,
+    );
+
     res.json({
       rows,
+      statement,
       page: pageNum,
       limit: limitNum,
       total: totalFiltered,
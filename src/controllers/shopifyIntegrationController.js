@@ -3,7 +3,8 @@ const generateBookingId = require('../config/bookingId');
 const generateTrackingId = require('../config/trackingId');
 const mappers = require('../utils/providerMappers');
 const prisma = require('../prismaClient');
-const { computeServiceChargeKgBased } = require('../utils/serviceChargeCalculator');
+const { computeOrderServiceCharge } = require('../utils/serviceChargeCalculator');
+const { syncShopifyFulfillment } = require('../utils/shopifyFulfillment');
 
 const sendError = (res, status, message) => res.status(status).json({ message });
 
@@ -62,6 +63,15 @@ exports.connectStore = async (req, res, next) => {
 
     shopDomain = normalizeShopDomain(shopDomain);
 
+    // Webhooks are matched to a shipper by shop domain alone
+    const claimed = await prisma.shipperIntegration.findFirst({
+      where: { provider: 'SHOPIFY', shopDomain, shipperId: { not: shipperId } },
+      select: { id: true },
+    });
+    if (claimed) {
+      return sendError(res, 409, 'This store is already connected to another account');
+    }
+
     if (Array.isArray(scopes)) {
       scopes = scopes.map((s) => String(s || '').trim()).filter(Boolean);
     } else if (typeof scopes === 'string' && scopes.trim()) {
@@ -109,6 +119,9 @@ exports.connectStore = async (req, res, next) => {
       integration,
     });
   } catch (err) {
+    if (err && err.code === 'P2002') {
+      return sendError(res, 409, 'This store is already connected to another account');
+    }
     console.error('[ShopifyIntegration] connectStore error', err);
     next(err);
   }
@@ -121,9 +134,13 @@ exports.listShipperIntegratedOrders = async (req, res, next) => {
     if (!Number.isInteger(shipperId) || shipperId <= 0)
       return sendError(res, 401, 'Unauthorized');
 
-    const { cityFilter } = req.query || {};
+    const { cityFilter, provider } = req.query || {};
+
+    // WooCommerce webhook orders share the IntegratedOrder table
+    const providerName =
+      String(provider || '').toUpperCase() === 'WOOCOMMERCE' ? 'WOOCOMMERCE' : 'SHOPIFY';
 
-    const baseWhere = { shipperId, provider: 'SHOPIFY' };
+    const baseWhere = { shipperId, provider: providerName };
     let where = baseWhere;
 
     const normalizedCityFilter =
@@ -223,7 +240,7 @@ exports.bookIntegratedOrder = async (req, res, next) => {
 
     const commissionConfig = await prisma.commissionConfig.findUnique({
       where: { shipperId },
-      include: { weightBrackets: true },
+      include: { weightBrackets: true, rateCards: true },
     });
 
     if (!commissionConfig) {
@@ -235,8 +252,12 @@ exports.bookIntegratedOrder = async (req, res, next) => {
     }
 
     const numericWeight = Number(mapped.weightKg);
-    const { serviceCharges, rule } = computeServiceChargeKgBased(
-      numericWeight,
+    const destinationCity = normalizeWhitespace(
+      mapped.destinationCity || integrated.city || '',
+    );
+    const serviceType = mapped.serviceType || 'SAME_DAY';
+    const { serviceCharges, rule, zone, weightUsed, weightBasis } = computeOrderServiceCharge(
+      { weightKg: numericWeight, destinationCity, serviceType },
       commissionConfig,
     );
 
@@ -278,10 +299,8 @@ exports.bookIntegratedOrder = async (req, res, next) => {
         consigneeAddress: normalizeWhitespace(
           mapped.consigneeAddress || integrated.address || '',
         ),
-        destinationCity: normalizeWhitespace(
-          mapped.destinationCity || integrated.city || '',
-        ),
-        serviceType: mapped.serviceType || 'SAME_DAY',
+        destinationCity,
+        serviceType,
         paymentType,
         codAmount,
         productDescription: normalizeWhitespace(
@@ -291,6 +310,9 @@ exports.bookIntegratedOrder = async (req, res, next) => {
         fragile: !!mapped.fragile,
         weightKg: numericWeight,
         serviceCharges,
+        serviceChargesWeightUsed: weightUsed,
+        serviceChargesWeightBasis: weightBasis,
+        deliveryZone: zone,
         totalAmount: codAmount + serviceCharges,
         remarks: normalizeWhitespace(
           mapped.remarks || 'Imported via Shopify',
@@ -316,6 +338,10 @@ exports.bookIntegratedOrder = async (req, res, next) => {
       },
     });
 
+    // Push our tracking number to the store in the background; the outcome
+    // is stored on the order (shopifyFulfillmentId / shopifySyncError).
+    syncShopifyFulfillment(order);
+
     return res.status(201).json({
       message: 'Order booked with LahoreLink Logistics',
       order,
@@ -442,3 +468,54 @@ exports.getConnectedStore = async (req, res, next) => {
     next(err);
   }
 };
+
+// Retry pushing the fulfillment of a booked order to Shopify
+// POST /api/integrations/shopify/orders/:integratedOrderId/sync-fulfillment
+exports.syncIntegratedOrderFulfillment = async (req, res, next) => {
+  try {
+    const shipperIdRaw = req.user && (req.user._id || req.user.id);
+    const shipperId = Number(shipperIdRaw);
+    if (!Number.isInteger(shipperId) || shipperId <= 0)
+      return sendError(res, 401, 'Unauthorized');
+
+    const integratedOrderId = Number(req.params.integratedOrderId);
+    if (!Number.isInteger(integratedOrderId) || integratedOrderId <= 0) {
+      return sendError(res, 400, 'Invalid integratedOrderId');
+    }
+
+    const integrated = await prisma.integratedOrder.findFirst({
+      where: { id: integratedOrderId, shipperId, provider: 'SHOPIFY' },
+    });
+
+    if (!integrated) {
+      return sendError(res, 404, 'Integrated order not found');
+    }
+
+    if (integrated.lllBookingStatus !== 'BOOKED' || !integrated.lllOrderId) {
+      return sendError(res, 400, 'Integrated order is not booked with LLL');
+    }
+
+    const order = await prisma.order.findUnique({
+      where: { id: integrated.lllOrderId },
+    });
+
+    if (!order || order.shipperId !== shipperId) {
+      return sendError(res, 404, 'Order not found');
+    }
+
+    const sync = await syncShopifyFulfillment(order);
+    if (!sync) {
+      return sendError(res, 400, 'This order cannot be synced to Shopify');
+    }
+
+    return res.status(sync.shopifySyncError ? 502 : 200).json({
+      message: sync.shopifySyncError
+        ? 'Shopify fulfillment sync failed'
+        : 'Shopify fulfillment is up to date',
+      sync,
+    });
+  } catch (err) {
+    console.error('[ShopifyIntegration] syncIntegratedOrderFulfillment error', err);
+    next(err);
+  }
+};
@@ -1,5 +1,6 @@
 const crypto = require('crypto');
 const prisma = require('../prismaClient');
+const { syncLinkedOrder } = require('../utils/shopifyOrderSync');
 
 const normalizeShopDomain = (value) => {
   if (!value) return '';
@@ -128,10 +129,13 @@ exports.handleShopifyWebhook = async (req, res) => {
       ? req.body
       : Buffer.from(req.body || '');
 
+    // Replays (webhookLogController) carry the original body and HMAC, so
+    // they are verified like a live delivery.
     if (!verifyShopifyHmac(rawBody, hmacHeader)) {
       console.warn('[ShopifyWebhook] Invalid HMAC', { topic, shopDomain });
       return res.status(401).send('Invalid HMAC');
     }
+    res.locals.webhookVerified = true;
 
     const rawString = rawBody.toString('utf8') || '{}';
 
@@ -196,7 +200,7 @@ exports.handleShopifyWebhook = async (req, res) => {
     const updatedAt =
       payload.updated_at || payload.processed_at || payload.created_at || null;
 
-    if (existing) {
+    if (existing && !req.webhookReplay) {
       const sameWebhookId =
         webhookId && existing.lastWebhookId && existing.lastWebhookId === webhookId;
 
@@ -275,9 +279,13 @@ exports.handleShopifyWebhook = async (req, res) => {
       topic,
     });
 
+    // Orders already booked with LLL follow the store's cancellations and edits
+    await syncLinkedOrder(integratedOrder, topic, payload);
+
     return res.status(200).send('OK');
   } catch (err) {
     console.error('[ShopifyWebhook] Error handling webhook', err);
+    res.locals.webhookError = err.message;
     return res.status(500).send('Internal error');
   }
 };
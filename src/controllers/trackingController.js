@@ -0,0 +1,149 @@
+const prisma = require('../prismaClient');
+
+// Customer-facing descriptions for each status. Internal notes on OrderEvent
+// rows (rider names, scan details, manager remarks) are never exposed.
+const PUBLIC_STATUS_LABELS = {
+  CREATED: 'Order booked',
+  ASSIGNED: 'Pickup scheduled',
+  AT_LLL_WAREHOUSE: 'Arrived at LahoreLink warehouse',
+  OUT_FOR_DELIVERY: 'Out for delivery',
+  FIRST_ATTEMPT: 'Delivery attempted',
+  SECOND_ATTEMPT: 'Second delivery attempt',
+  THIRD_ATTEMPT: 'Third delivery attempt',
+  DELIVERED: 'Delivered',
+  RETURNED: 'Return to shipper initiated',
+  FAILED: 'Delivery unsuccessful',
+  RETURN_IN_TRANSIT: 'Return in transit',
+  RETURN_AT_WAREHOUSE: 'Return at LahoreLink warehouse',
+  RETURNED_TO_SHIPPER: 'Returned to shipper',
+  CANCELLED: 'Order cancelled',
+};
+
+const TRACKING_ID_PATTERN = /^[A-Za-z0-9-]{4,32}$/;
+
+const humanizeStatus = (status) =>
+  String(status || '')
+    .toLowerCase()
+    .split('_')
+    .filter(Boolean)
+    .map((part) => part.charAt(0).toUpperCase() + part.slice(1))
+    .join(' ');
+
+const publicStatusLabel = (status) =>
+  PUBLIC_STATUS_LABELS[status] || humanizeStatus(status);
+
+const maskPhone = (phone) => {
+  const digits = String(phone || '').replace(/\D/g, '');
+  if (digits.length < 6) return null;
+  return `${digits.slice(0, 2)}${'*'.repeat(digits.length - 4)}${digits.slice(-2)}`;
+};
+
+const maskName = (name) => {
+  const parts = String(name || '').trim().split(/\s+/).filter(Boolean);
+  if (!parts.length) return null;
+  return parts.map((part) => `${part.charAt(0)}${'*'.repeat(Math.max(part.length - 1, 2))}`).join(' ');
+};
+
+// Only the first few characters of the street address are shown so the
+// customer can recognise their parcel without revealing the full location.
+const maskAddress = (address) => {
+  const value = String(address || '').trim();
+  if (!value) return null;
+  const visible = value.slice(0, Math.min(6, Math.ceil(value.length / 4)));
+  return `${visible}***`;
+};
+
+/**
+ * Public shipment tracking
+ * GET /api/track/:trackingId
+ * No authentication; rate limited at the router level.
+ */
+exports.trackShipment = async (req, res, next) => {
+  try {
+    const trackingId = String(req.params.trackingId || '').trim();
+
+    if (!TRACKING_ID_PATTERN.test(trackingId)) {
+      return res.status(400).json({ message: 'Invalid tracking ID' });
+    }
+
+    const order = await prisma.order.findFirst({
+      where: { trackingId, isDeleted: false },
+      select: {
+        trackingId: true,
+        status: true,
+        returnStatus: true,
+        consigneeName: true,
+        consigneePhone: true,
+        consigneeAddress: true,
+        destinationCity: true,
+        serviceType: true,
+        pieces: true,
+        createdAt: true,
+        deliveredAt: true,
+        updatedAt: true,
+        shipper: { select: { companyName: true } },
+        statusEvents: {
+          select: { status: true, createdAt: true },
+          orderBy: { createdAt: 'asc' },
+        },
+      },
+    });
+
+    if (!order) {
+      return res.status(404).json({ message: 'Shipment not found' });
+    }
+
+    // Collapse consecutive duplicates (e.g. a rider being re-assigned) so the
+    // customer sees one entry per milestone.
+    const timeline = [];
+    for (const event of order.statusEvents || []) {
+      const last = timeline[timeline.length - 1];
+      if (last && last.status === event.status) continue;
+      timeline.push({
+        status: event.status,
+        label: publicStatusLabel(event.status),
+        timestamp: event.createdAt,
+      });
+    }
+
+    // Older orders may pre-date status events; always anchor the timeline with
+    // the booking and end it with the current status.
+    if (!timeline.length || timeline[0].status !== 'CREATED') {
+      timeline.unshift({
+        status: 'CREATED',
+        label: publicStatusLabel('CREATED'),
+        timestamp: order.createdAt,
+      });
+    }
+    // Returned orders report their return-to-origin progress instead.
+    const currentStatus = order.returnStatus || order.status;
+    if (timeline[timeline.length - 1].status !== currentStatus) {
+      timeline.push({
+        status: currentStatus,
+        label: publicStatusLabel(currentStatus),
+        timestamp: order.status === 'DELIVERED' && order.deliveredAt ? order.deliveredAt : order.updatedAt,
+      });
+    }
+
+    return res.json({
+      trackingId: order.trackingId,
+      status: order.status,
+      returnStatus: order.returnStatus || null,
+      statusLabel: publicStatusLabel(currentStatus),
+      shipperName: order.shipper?.companyName || null,
+      serviceType: order.serviceType,
+      pieces: order.pieces,
+      destinationCity: order.destinationCity,
+      consignee: {
+        name: maskName(order.consigneeName),
+        phone: maskPhone(order.consigneePhone),
+        address: maskAddress(order.consigneeAddress),
+      },
+      bookedAt: order.createdAt,
+      deliveredAt: order.deliveredAt,
+      timeline,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
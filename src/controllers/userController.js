@@ -1,5 +1,8 @@
 const bcrypt = require('bcryptjs');
 const prisma = require('../prismaClient');
+const { revokeUserSessions } = require('../utils/sessions');
+const { STAFF_ROLES } = require('../utils/permissions');
+const { recordSecurityEvent } = require('../utils/securityEvents');
 
 exports.getUsers = async (req, res, next) => {
   try {
@@ -46,6 +49,9 @@ exports.createUser = async (req, res, next) => {
     if (role === 'CEO') {
       return res.status(400).json({ message: 'Creating additional CEO accounts is not allowed' });
     }
+    if (!['SHIPPER', 'RIDER', ...STAFF_ROLES].includes(role)) {
+      return res.status(400).json({ message: 'Invalid role' });
+    }
 
     // Generate password if not provided (for RIDER role)
     let finalPassword = password;
@@ -74,8 +80,8 @@ exports.createUser = async (req, res, next) => {
       emergencyContact: role === 'SHIPPER' ? emergencyContact : undefined,
       pickupAddress: role === 'SHIPPER' ? (pickupAddress || address) : undefined,
       bankAccountDetails: role === 'SHIPPER' ? bankAccountDetails : undefined,
-      // Generic CNIC for MANAGER
-      cnic: role === 'MANAGER' && cnic ? cnic : undefined,
+      // Generic CNIC for staff accounts
+      cnic: STAFF_ROLES.includes(role) && cnic ? cnic : undefined,
       commissionStatus: role === 'SHIPPER' ? 'PENDING' : undefined,
       isCommissionApproved: role === 'SHIPPER' ? false : undefined,
     };
@@ -151,6 +157,11 @@ exports.updateUserStatus = async (req, res, next) => {
       data: { status },
     });
 
+    // Deactivated users are signed out everywhere straight away
+    if (status === 'INACTIVE') {
+      await revokeUserSessions(userId, 'USER_INACTIVE');
+    }
+
     const { passwordHash, ...safeUser } = updated;
     res.json(safeUser);
   } catch (error) {
@@ -464,10 +475,10 @@ exports.resetPassword = async (req, res, next) => {
       return res.status(404).json({ message: 'User not found' });
     }
 
-    // Validate user is a RIDER or MANAGER (CEO can reset these accounts)
-    if (!['RIDER', 'MANAGER'].includes(user.role)) {
+    // Riders and staff other than the CEO can have their password reset
+    if (user.role === 'CEO' || !['RIDER', ...STAFF_ROLES].includes(user.role)) {
       return res.status(400).json({ 
-        message: 'Password reset is currently only available for RIDER or MANAGER accounts' 
+        message: 'Password reset is currently only available for rider and staff accounts' 
       });
     }
 
@@ -483,10 +494,18 @@ exports.resetPassword = async (req, res, next) => {
     // Hash the new password
     const passwordHash = await bcrypt.hash(newPassword, 10);
 
-    // Update user password
+    // Update user password; a staff reset also lifts a brute-force lockout
     await prisma.user.update({
       where: { id: userId },
-      data: { passwordHash },
+      data: { passwordHash, failedLoginCount: 0, lockedUntil: null },
+    });
+
+    // Whoever knew the old password should not stay signed in
+    await revokeUserSessions(userId, 'PASSWORD_RESET');
+    await recordSecurityEvent(req, 'PASSWORD_RESET', {
+      userId,
+      email: user.email,
+      metadata: { resetById: Number(req.user && req.user.id) || null },
     });
 
     // Return success message with temporary password (one-time display)
@@ -0,0 +1,195 @@
+const prisma = require('../prismaClient');
+const { isReplayable, replayWebhookLog } = require('../utils/webhookLog');
+const { handleShopifyWebhook } = require('./shopifyWebhookController');
+const { handleWooCommerceWebhook } = require('./woocommerceWebhookController');
+
+const WEBHOOK_HANDLERS = {
+  SHOPIFY: handleShopifyWebhook,
+  WOOCOMMERCE: handleWooCommerceWebhook,
+};
+
+// The list leaves out payloads; fetch a single log to see one.
+const listSelect = {
+  id: true,
+  provider: true,
+  topic: true,
+  shopDomain: true,
+  webhookId: true,
+  statusCode: true,
+  errorMessage: true,
+  signatureVerified: true,
+  replayOfId: true,
+  createdAt: true,
+};
+
+const parseDate = (value, endOfDay) => {
+  if (!value) return null;
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) return null;
+  if (endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(String(value))) {
+    date.setHours(23, 59, 59, 999);
+  }
+  return date;
+};
+
+// GET /api/webhook-logs?provider=&topic=&shopDomain=&webhookId=&orderId=&statusCode=&failed=true&from=&to=
+exports.listWebhookLogs = async (req, res, next) => {
+  try {
+    const {
+      provider,
+      topic,
+      shopDomain,
+      webhookId,
+      orderId,
+      statusCode,
+      failed,
+      from,
+      to,
+      page = 1,
+      limit = 50,
+    } = req.query;
+
+    const where = {};
+    const providerUpper = String(provider || '').toUpperCase();
+    if (providerUpper) {
+      if (!WEBHOOK_HANDLERS[providerUpper]) {
+        return res.status(400).json({ message: 'Invalid provider' });
+      }
+      where.provider = providerUpper;
+    }
+    if (topic && String(topic).trim()) {
+      where.topic = String(topic).trim();
+    }
+    if (shopDomain && String(shopDomain).trim()) {
+      where.shopDomain = { contains: String(shopDomain).trim().toLowerCase() };
+    }
+    if (webhookId && String(webhookId).trim()) {
+      where.webhookId = String(webhookId).trim();
+    }
+    if (typeof statusCode !== 'undefined' && statusCode !== '') {
+      const code = Number(statusCode);
+      if (!Number.isInteger(code)) {
+        return res.status(400).json({ message: 'Invalid statusCode' });
+      }
+      where.statusCode = code;
+    } else if (String(failed) === 'true') {
+      where.statusCode = { gte: 400 };
+    }
+
+    // Store order id or order number, as shown in the merchant's admin
+    if (orderId && String(orderId).trim()) {
+      const ref = String(orderId).trim().replace(/^#/, '');
+      const refNum = Number(ref);
+      const matches = [{ payload: { path: '$.number', equals: ref } }];
+      if (Number.isSafeInteger(refNum)) {
+        matches.push(
+          { payload: { path: '$.id', equals: refNum } },
+          { payload: { path: '$.order_number', equals: refNum } },
+        );
+      }
+      where.OR = matches;
+    }
+
+    const fromDate = parseDate(from, false);
+    const toDate = parseDate(to, true);
+    if ((from && !fromDate) || (to && !toDate)) {
+      return res.status(400).json({ message: 'Invalid date range' });
+    }
+    if (fromDate || toDate) {
+      where.createdAt = {
+        ...(fromDate ? { gte: fromDate } : {}),
+        ...(toDate ? { lte: toDate } : {}),
+      };
+    }
+
+    const pageNum = Math.max(1, Number(page) || 1);
+    const limitNum = Math.min(200, Math.max(1, Number(limit) || 50));
+
+    const [total, logs] = await Promise.all([
+      prisma.webhookLog.count({ where }),
+      prisma.webhookLog.findMany({
+        where,
+        select: listSelect,
+        orderBy: { createdAt: 'desc' },
+        skip: (pageNum - 1) * limitNum,
+        take: limitNum,
+      }),
+    ]);
+
+    res.json({
+      logs,
+      page: pageNum,
+      limit: limitNum,
+      total,
+      totalPages: Math.ceil(total / limitNum) || 0,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// GET /api/webhook-logs/:id
+exports.getWebhookLog = async (req, res, next) => {
+  try {
+    const logId = Number(req.params.id);
+    if (!Number.isInteger(logId) || logId <= 0) {
+      return res.status(400).json({ message: 'Invalid webhook log id' });
+    }
+
+    const log = await prisma.webhookLog.findUnique({
+      where: { id: logId },
+      include: {
+        replays: { select: listSelect, orderBy: { createdAt: 'desc' } },
+      },
+    });
+    if (!log) {
+      return res.status(404).json({ message: 'Webhook log not found' });
+    }
+
+    // The stored raw bytes are only for replays; the payload shows the same
+    const { rawBody, ...detail } = log;
+    res.json(detail);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// POST /api/webhook-logs/:id/replay
+exports.replayWebhook = async (req, res, next) => {
+  try {
+    const logId = Number(req.params.id);
+    if (!Number.isInteger(logId) || logId <= 0) {
+      return res.status(400).json({ message: 'Invalid webhook log id' });
+    }
+
+    const log = await prisma.webhookLog.findUnique({ where: { id: logId } });
+    if (!log) {
+      return res.status(404).json({ message: 'Webhook log not found' });
+    }
+
+    const handler = WEBHOOK_HANDLERS[log.provider];
+    if (!handler) {
+      return res.status(400).json({ message: `Webhooks from ${log.provider} cannot be replayed` });
+    }
+    if (!log.payload || typeof log.payload !== 'object') {
+      return res.status(400).json({ message: 'Webhook log has no JSON payload to replay' });
+    }
+    // A delivery that failed its signature check may be forged
+    if (!isReplayable(log)) {
+      return res.status(400).json({
+        message: 'Only webhooks that passed signature verification when received can be replayed',
+      });
+    }
+
+    const result = await replayWebhookLog(log, handler);
+
+    res.json({
+      message: 'Webhook replayed',
+      statusCode: result.statusCode,
+      response: result.body,
+      log: result.log,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,264 @@
+const crypto = require('crypto');
+const prisma = require('../prismaClient');
+
+// WooCommerce identifies the store by its site URL (X-WC-Webhook-Source),
+// e.g. "https://shop.example.com/". WordPress may live in a sub-directory, so
+// the path is kept: "shop.example.com/store".
+const normalizeStoreDomain = (value) => {
+  if (!value) return '';
+  let v = String(value).trim().toLowerCase();
+  v = v.replace(/^https?:\/\//, '');
+  v = v.split(/[?#]/)[0];
+  return v.replace(/\/+$/, '');
+};
+
+const getFallbackSecret = () => (process.env.WOOCOMMERCE_WEBHOOK_SECRET || '').trim();
+
+const verifyWooSignature = (rawBody, signatureHeader, secret) => {
+  if (!secret || !signatureHeader || !rawBody) return false;
+
+  const digest = crypto.createHmac('sha256', secret).update(rawBody).digest('base64');
+
+  try {
+    const received = Buffer.from(String(signatureHeader), 'utf8');
+    const expected = Buffer.from(digest, 'utf8');
+    if (received.length !== expected.length) return false;
+    return crypto.timingSafeEqual(received, expected);
+  } catch (e) {
+    return false;
+  }
+};
+
+const joinName = (addr) =>
+  [addr.first_name, addr.last_name].filter(Boolean).join(' ').trim();
+
+const mapWooToIntegratedOrder = (payload) => {
+  const shipping = payload.shipping || {};
+  const billing = payload.billing || {};
+  const useShipping = !!(shipping.address_1 || shipping.city);
+  const addr = useShipping ? shipping : billing;
+
+  const city = addr.city || addr.state || '';
+  const address = [addr.address_1, addr.address_2, city, addr.country]
+    .filter(Boolean)
+    .join(', ');
+
+  const lineItems = Array.isArray(payload.line_items) ? payload.line_items : [];
+  const itemsSummary = lineItems
+    .map((i) => `${Number(i.quantity || 1)}x ${i.name || 'Item'}`)
+    .join(', ');
+
+  const createdAt = payload.date_created_gmt
+    ? new Date(`${payload.date_created_gmt}Z`)
+    : payload.date_created
+      ? new Date(payload.date_created)
+      : new Date();
+
+  return {
+    customerName: joinName(shipping) || joinName(billing),
+    phone: shipping.phone || billing.phone || '',
+    address,
+    city,
+    itemsSummary,
+    totalPrice: Math.round(Number(payload.total || 0)),
+    currency: payload.currency || '',
+    financialStatus: payload.date_paid || payload.date_paid_gmt ? 'paid' : 'pending',
+    fulfillmentStatus: payload.status || '',
+    createdAtProvider: Number.isNaN(createdAt.getTime()) ? new Date() : createdAt,
+  };
+};
+
+// Woo has no separate cancelled topic: cancellation arrives as order.updated
+// with status "cancelled", or as order.deleted when the order is trashed.
+const isCancellation = (topic, payload) =>
+  topic === 'order.deleted' || String(payload.status || '').toLowerCase() === 'cancelled';
+
+exports.handleWooCommerceWebhook = async (req, res) => {
+  try {
+    const topic = String(req.header('X-WC-Webhook-Topic') || '').toLowerCase();
+    const storeDomain = normalizeStoreDomain(req.header('X-WC-Webhook-Source') || '');
+    const signature = req.header('X-WC-Webhook-Signature') || '';
+    const deliveryId = req.header('X-WC-Webhook-Delivery-ID') || '';
+
+    // WooCommerce pings the URL with "webhook_id=<id>" (no topic) when the
+    // webhook is saved; it only needs a 200.
+    if (!topic) {
+      return res.status(200).send('OK');
+    }
+
+    const rawBody = Buffer.isBuffer(req.body)
+      ? req.body
+      : Buffer.from(req.body || '');
+
+    const integration = storeDomain
+      ? await prisma.shipperIntegration.findFirst({
+          where: {
+            provider: 'WOOCOMMERCE',
+            shopDomain: storeDomain,
+            status: 'active',
+          },
+        })
+      : null;
+
+    if (!integration) {
+      console.log('[WooWebhook] No active ShipperIntegration for store', {
+        storeDomain,
+        topic,
+      });
+      return res.status(200).send('No integration for store');
+    }
+
+    const secret = integration.webhookSecret || getFallbackSecret();
+    if (!verifyWooSignature(rawBody, signature, secret)) {
+      console.warn('[WooWebhook] Invalid signature', { topic, storeDomain });
+      return res.status(401).send('Invalid signature');
+    }
+    res.locals.webhookVerified = true;
+
+    if (!topic.startsWith('order.')) {
+      return res.status(200).send('Ignored');
+    }
+
+    const rawString = rawBody.toString('utf8') || '{}';
+
+    let payload;
+    try {
+      payload = JSON.parse(rawString);
+    } catch (e) {
+      console.error('[WooWebhook] Failed to parse JSON body', e);
+      return res.status(400).send('Invalid JSON');
+    }
+
+    const orderId = payload && payload.id ? String(payload.id) : '';
+    if (!orderId) {
+      console.warn('[WooWebhook] Missing order id in payload', { topic, storeDomain });
+      return res.status(200).send('Ignored');
+    }
+
+    const payloadHash = crypto.createHash('sha256').update(rawString).digest('hex');
+    const shipperId = integration.shipperId;
+    const receivedAt = new Date();
+
+    const whereUnique = {
+      shipperId_provider_shopDomain_providerOrderId: {
+        shipperId,
+        provider: 'WOOCOMMERCE',
+        shopDomain: storeDomain,
+        providerOrderId: orderId,
+      },
+    };
+
+    const existing = await prisma.integratedOrder.findUnique({
+      where: whereUnique,
+    });
+
+    const modifiedAt = payload.date_modified_gmt || payload.date_modified || null;
+
+    if (existing && !req.webhookReplay) {
+      const sameDeliveryId =
+        deliveryId && existing.lastWebhookId && existing.lastWebhookId === deliveryId;
+
+      const sameModifiedAt =
+        modifiedAt &&
+        existing.rawPayload &&
+        (existing.rawPayload.date_modified_gmt || existing.rawPayload.date_modified) === modifiedAt;
+
+      const samePayloadHash =
+        existing.lastPayloadHash && existing.lastPayloadHash === payloadHash;
+
+      if (sameDeliveryId || (sameModifiedAt && samePayloadHash)) {
+        console.log('[WooWebhook] Replay detected, skipping upsert', {
+          topic,
+          storeDomain,
+          orderId,
+          deliveryId,
+        });
+
+        await prisma.integratedOrder.update({
+          where: whereUnique,
+          data: {
+            webhookDeliveryCount: { increment: 1 },
+            lastWebhookId: deliveryId || existing.lastWebhookId || null,
+            lastWebhookAt: receivedAt,
+            lastPayloadHash: payloadHash,
+          },
+        });
+
+        return res.status(200).send('OK');
+      }
+    }
+
+    const webhookFields = {
+      lastWebhookId: deliveryId || (existing && existing.lastWebhookId) || null,
+      lastWebhookAt: receivedAt,
+      lastPayloadHash: payloadHash,
+    };
+
+    // order.deleted only carries the id; keep the stored order and flag it.
+    if (topic === 'order.deleted') {
+      if (!existing) {
+        return res.status(200).send('Ignored');
+      }
+      await prisma.integratedOrder.update({
+        where: whereUnique,
+        data: {
+          ...webhookFields,
+          tags: ['cancelled'],
+          webhookDeliveryCount: { increment: 1 },
+        },
+      });
+      console.log('[WooWebhook] Integrated order deleted in store', {
+        id: existing.id,
+        storeDomain,
+      });
+      return res.status(200).send('OK');
+    }
+
+    const update = {
+      shipperId,
+      provider: 'WOOCOMMERCE',
+      shopDomain: storeDomain,
+      providerOrderNumber: String(payload.number || payload.id || ''),
+      rawPayload: payload,
+      ...mapWooToIntegratedOrder(payload),
+      ...webhookFields,
+    };
+
+    if (isCancellation(topic, payload)) {
+      update.tags = ['cancelled'];
+    }
+
+    const integratedOrder = await prisma.integratedOrder.upsert({
+      where: whereUnique,
+      update: {
+        ...update,
+        webhookDeliveryCount: { increment: 1 },
+      },
+      create: {
+        shipperId,
+        provider: 'WOOCOMMERCE',
+        shopDomain: storeDomain,
+        providerOrderId: orderId,
+        importedAt: receivedAt,
+        lllBookingStatus: 'NOT_BOOKED',
+        webhookDeliveryCount: 1,
+        ...update,
+      },
+    });
+
+    console.log('[WooWebhook] Upserted integrated order', {
+      id: integratedOrder.id,
+      shipper: String(shipperId),
+      storeDomain,
+      topic,
+    });
+
+    return res.status(200).send('OK');
+  } catch (err) {
+    console.error('[WooWebhook] Error handling webhook', err);
+    res.locals.webhookError = err.message;
+    return res.status(500).send('Internal error');
+  }
+};
+
+exports.normalizeStoreDomain = normalizeStoreDomain;
@@ -1,6 +1,11 @@
 const jwt = require('jsonwebtoken');
+const prisma = require('../prismaClient');
+const { getJwtSecret } = require('../utils/sessions');
 
-const auth = (req, res, next) => {
+// Verifies the access token and then its session, so logging out, revoking a
+// device or deactivating the user takes effect immediately rather than when
+// the token expires. Role and name come from the database, not the token.
+const auth = async (req, res, next) => {
   try {
     // Try to get token from Authorization header first, then from cookie
     let token;
@@ -16,12 +21,45 @@ const auth = (req, res, next) => {
       return res.status(401).json({ message: 'Unauthorized access. Token missing.' });
     }
     
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    console.log('DEBUG AUTH decoded JWT:', decoded);
-    req.user = decoded;
+    const decoded = jwt.verify(token, getJwtSecret());
+
+    const sessionId = Number(decoded.sid);
+    if (!Number.isInteger(sessionId) || sessionId <= 0) {
+      return res.status(401).json({ message: 'Session expired. Please log in again.' });
+    }
+
+    const session = await prisma.userSession.findUnique({
+      where: { id: sessionId },
+      include: {
+        user: { select: { id: true, role: true, name: true, email: true, status: true } },
+      },
+    });
+
+    if (
+      !session ||
+      session.revokedAt ||
+      session.expiresAt <= new Date() ||
+      session.userId !== Number(decoded.id)
+    ) {
+      return res.status(401).json({ message: 'Session expired. Please log in again.' });
+    }
+    if (!session.user || session.user.status !== 'ACTIVE') {
+      return res.status(401).json({ message: 'Account is inactive. Contact administrator.' });
+    }
+
+    req.user = {
+      id: session.user.id,
+      role: session.user.role,
+      name: session.user.name,
+      email: session.user.email,
+      sid: session.id,
+    };
     next();
   } catch (error) {
-    console.error('Auth error:', error);
+    if (!(error instanceof jwt.JsonWebTokenError)) {
+      return next(error);
+    }
+    console.error('Auth error:', error.message);
     // Clear invalid token cookie if present
     if (req.cookies && req.cookies.token) {
       res.clearCookie('token');
@@ -30,4 +68,4 @@ const auth = (req, res, next) => {
   }
 };
 
-module.exports = auth;
\ No newline at end of file
+module.exports = auth;
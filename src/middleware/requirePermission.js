@@ -0,0 +1,35 @@
+const { getUserPermissions } = require('../utils/permissions');
+
+/**
+ * Allow the request when the user holds `permission`.
+ *
+ * `allowRoles` lets self-service roles (e.g. SHIPPER) through on shared routes
+ * where the controller already limits them to their own data.
+ */
+const requirePermission = (permission, { allowRoles = [] } = {}) => {
+  return async (req, res, next) => {
+    try {
+      if (!req.user) {
+        return res.status(401).json({ message: 'Unauthorized' });
+      }
+      if (allowRoles.includes(req.user.role)) {
+        return next();
+      }
+
+      const permissions = await getUserPermissions(req.user);
+      if (!permissions.has(permission)) {
+        return res.status(403).json({
+          message: 'Forbidden. You do not have permission to access this resource.',
+          requiredPermission: permission,
+        });
+      }
+
+      req.permissions = permissions;
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+};
+
+module.exports = requirePermission;
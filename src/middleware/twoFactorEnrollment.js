@@ -0,0 +1,22 @@
+const auth = require('./auth');
+const { readChallenge, CHALLENGE_SETUP } = require('../utils/twoFactor');
+
+// 2FA enrollment is reachable two ways: by a signed-in user, or mid-login by
+// a user whose role requires 2FA and who has only a setup challenge token.
+const twoFactorEnrollment = (req, res, next) => {
+  const challengeToken = req.body && req.body.challengeToken;
+  if (!challengeToken) {
+    return auth(req, res, next);
+  }
+
+  const userId = readChallenge(challengeToken, CHALLENGE_SETUP);
+  if (!userId) {
+    return res.status(401).json({ message: 'Setup challenge is invalid or has expired. Please log in again.' });
+  }
+
+  req.user = { id: userId };
+  req.twoFactorSetupChallenge = true;
+  next();
+};
+
+module.exports = twoFactorEnrollment;
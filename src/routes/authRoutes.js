@@ -2,16 +2,49 @@ const express = require('express');
 const router = express.Router();
 const authController = require('../controllers/authController');
 const auth = require('../middleware/auth');
+const requireRole = require('../middleware/requireRole');
+const twoFactorEnrollment = require('../middleware/twoFactorEnrollment');
+const { authRateLimiter } = require('../utils/securityEvents');
+
+// Per-IP limits on the endpoints that take guesses. Per-account lockout and
+// reset code attempt limits live in the controller.
+const loginLimiter = authRateLimiter({
+  name: 'login',
+  windowMs: 15 * 60 * 1000,
+  max: Number(process.env.LOGIN_RATE_LIMIT_PER_15_MIN || 20),
+  message: 'Too many login attempts from this address, please try again later',
+});
+
+const passwordResetLimiter = authRateLimiter({
+  name: 'forgot-password',
+  windowMs: 60 * 60 * 1000,
+  max: Number(process.env.PASSWORD_RESET_RATE_LIMIT_PER_HOUR || 5),
+  message: 'Too many password reset requests, please try again later',
+});
+
+const resetCodeLimiter = authRateLimiter({
+  name: 'verify-reset-code',
+  windowMs: 15 * 60 * 1000,
+  max: Number(process.env.RESET_CODE_RATE_LIMIT_PER_15_MIN || 10),
+  message: 'Too many verification attempts, please try again later',
+});
+
+const twoFactorLimiter = authRateLimiter({
+  name: '2fa-verify',
+  windowMs: 15 * 60 * 1000,
+  max: Number(process.env.LOGIN_RATE_LIMIT_PER_15_MIN || 20),
+  message: 'Too many authentication attempts, please try again later',
+});
 
 // Standard email/password auth
-router.post('/login', authController.login);
+router.post('/login', loginLimiter, authController.login);
 router.post('/signup', authController.signup);
 
 router.get('/me', auth, authController.me);
 
 // Password reset flow
-router.post('/forgot-password', authController.forgotPassword);
-router.post('/verify-reset-code', authController.verifyResetCode);
+router.post('/forgot-password', passwordResetLimiter, authController.forgotPassword);
+router.post('/verify-reset-code', resetCodeLimiter, authController.verifyResetCode);
 router.post('/reset-password', authController.resetPassword);
 
 // Google OAuth (redirect flow - legacy)
@@ -21,6 +54,22 @@ router.get('/google/callback', authController.googleAuthCallback);
 // Google OAuth (token-based flow)
 router.post('/google', authController.googleAuth);
 
+// Session refresh and device management
+router.post('/refresh', authController.refresh);
+router.get('/sessions', auth, authController.listSessions);
+router.delete('/sessions/:id', auth, authController.deleteSession);
+router.post('/logout-all', auth, authController.logoutAll);
+
+// Two-factor authentication
+router.post('/2fa/verify', twoFactorLimiter, authController.twoFactorVerifyLogin);
+router.post('/2fa/setup', twoFactorEnrollment, authController.twoFactorSetup);
+router.post('/2fa/enable', twoFactorEnrollment, authController.twoFactorEnable);
+router.get('/2fa/status', auth, authController.twoFactorStatus);
+router.post('/2fa/disable', auth, authController.twoFactorDisable);
+router.post('/2fa/backup-codes', auth, authController.twoFactorRegenerateBackupCodes);
+router.get('/2fa/policy', auth, requireRole('CEO'), authController.getTwoFactorPolicy);
+router.put('/2fa/policy', auth, requireRole('CEO'), authController.updateTwoFactorPolicy);
+
 // Logout
 router.post('/logout', authController.logout);
 
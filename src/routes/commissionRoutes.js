@@ -2,16 +2,21 @@ const express = require('express');
 const router = express.Router();
 const commissionController = require('../controllers/commissionController');
 const auth = require('../middleware/auth');
-const requireRole = require('../middleware/requireRole');
+const requirePermission = require('../middleware/requirePermission');
 
-// CEO and Manager
-router.use(auth, requireRole('CEO', 'MANAGER'));
+router.use(auth);
 
-router.get('/', commissionController.getConfigs);
-router.post('/', commissionController.upsertConfig);
-router.get('/rider', commissionController.getRiderConfigs);
-router.post('/rider', commissionController.upsertRiderConfig);
-router.get('/:shipperId', commissionController.getConfigByShipper);
-router.put('/:shipperId', commissionController.putConfigByShipper);
+const canView = requirePermission('commission.view');
+const canWrite = requirePermission('commission.write');
+
+router.get('/', canView, commissionController.getConfigs);
+router.post('/', canWrite, commissionController.upsertConfig);
+router.get('/rider', canView, commissionController.getRiderConfigs);
+router.post('/rider', canWrite, commissionController.upsertRiderConfig);
+router.get('/zones', canView, commissionController.getZones);
+router.get('/:shipperId', canView, commissionController.getConfigByShipper);
+router.put('/:shipperId', canWrite, commissionController.putConfigByShipper);
+router.get('/:shipperId/rate-cards', canView, commissionController.getRateCards);
+router.put('/:shipperId/rate-cards', canWrite, commissionController.putRateCards);
 
 module.exports = router;
@@ -3,7 +3,7 @@ const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
 const auth = require('../middleware/auth');
-const requireRole = require('../middleware/requireRole');
+const requirePermission = require('../middleware/requirePermission');
 const {
   getCompanyProfile,
   updateCompanyProfile,
@@ -62,14 +62,14 @@ router.get('/logo/:filename', getCompanyLogoFile);
 // Protected routes - require authentication
 router.use(auth);
 
-// Get company profile (CEO and Manager can read)
-router.get('/', requireRole('CEO', 'Manager'), getCompanyProfile);
+// Get company profile (CEO and Manager by default)
+router.get('/', requirePermission('company_profile.view'), getCompanyProfile);
 
-// Update company profile (CEO only)
-router.put('/', requireRole('CEO'), updateCompanyProfile);
+// Update company profile (CEO by default)
+router.put('/', requirePermission('company_profile.edit'), updateCompanyProfile);
 
-// Upload company logo (CEO only)
-router.post('/logo', requireRole('CEO'), upload.single('logo'), uploadCompanyLogo);
+// Upload company logo (CEO by default)
+router.post('/logo', requirePermission('company_profile.edit'), upload.single('logo'), uploadCompanyLogo);
 
 // Error handler for multer errors
 router.use((error, req, res, next) => {
@@ -1,24 +1,35 @@
 const express = require('express');
 const router = express.Router();
 const financeController = require('../controllers/financeController');
+const remittanceController = require('../controllers/remittanceController');
 const auth = require('../middleware/auth');
 const requireRole = require('../middleware/requireRole');
+const requirePermission = require('../middleware/requirePermission');
 
 // Rider self-summary (accessible to RIDER)
 router.get('/summary/rider/me', auth, requireRole('RIDER'), financeController.getMyRiderSummary);
 router.get('/summary/shipper/me', auth, requireRole('SHIPPER'), financeController.getMyShipperSummary);
 
-// Manager/CEO only
-router.use(auth, requireRole('CEO', 'MANAGER'));
+// Staff, by permission
+router.use(auth);
 
-router.get('/summary/shipper', financeController.getShipperSummary);
-router.get('/summary/rider', financeController.getRiderSummary);
-router.get('/company/summary', financeController.getCompanyFinanceSummary);
-router.get('/company/ledger', financeController.getCompanyLedger);
-router.get('/company/ledger/export.xlsx', financeController.exportCompanyLedgerToExcel);
-router.post('/company/close-month', financeController.closeCurrentFinanceMonth);
-router.patch('/transactions/:id/settle', financeController.settleTransaction);
-// Allow authenticated; controller enforces role-based access to specific transaction
-router.get('/transactions/order/:orderId', auth, financeController.getTransactionByOrder);
+const canView = requirePermission('finance.view');
+const canRemit = requirePermission('finance.remittances');
+
+router.get('/summary/shipper', canView, financeController.getShipperSummary);
+router.get('/summary/rider', canView, financeController.getRiderSummary);
+router.get('/company/summary', canView, financeController.getCompanyFinanceSummary);
+router.get('/company/ledger', canView, financeController.getCompanyLedger);
+router.get('/company/ledger/export.xlsx', canView, financeController.exportCompanyLedgerToExcel);
+router.post('/company/close-month', requirePermission('finance.close_period'), financeController.closeCurrentFinanceMonth);
+router.patch('/transactions/:id/settle', requirePermission('finance.settle'), financeController.settleTransaction);
+
+// Shipper COD remittance payouts
+router.get('/remittances/eligible', canRemit, remittanceController.getEligibleTransactions);
+router.get('/remittances', canRemit, remittanceController.listRemittanceBatches);
+router.post('/remittances', canRemit, remittanceController.createRemittanceBatch);
+router.get('/remittances/:id', canRemit, remittanceController.getRemittanceBatch);
+router.get('/remittances/:id/bank-file.xlsx', canRemit, remittanceController.exportBankUploadFile);
+router.get('/transactions/order/:orderId', canView, financeController.getTransactionByOrder);
 
 module.exports = router;
@@ -9,6 +9,7 @@ const shopifyIntegrationController = require('../controllers/shopifyIntegrationC
 
 // External systems (API key based)
 router.post('/:provider/orders', integrationAuth, integrationController.createFromProvider);
+router.post('/:provider/quote', integrationAuth, integrationController.quoteForProvider);
 
 // Shipper-managed config (JWT)
 router.get(
@@ -33,6 +34,38 @@ router.post(
   integrationController.regenerateKey,
 );
 
+// Outbound status webhook log (JWT)
+router.get(
+  '/shipper/me/webhook-deliveries',
+  auth,
+  requireRole('SHIPPER'),
+  requireCommissionApproved,
+  integrationController.listMyWebhookDeliveries,
+);
+router.post(
+  '/shipper/me/webhook-deliveries/:id/resend',
+  auth,
+  requireRole('SHIPPER'),
+  requireCommissionApproved,
+  integrationController.resendMyWebhookDelivery,
+);
+
+// WooCommerce: connect store (site URL + webhook secret)
+router.post(
+  '/woocommerce/connect',
+  auth,
+  requireRole('SHIPPER'),
+  requireCommissionApproved,
+  integrationController.connectWooCommerceStore,
+);
+router.get(
+  '/woocommerce/store',
+  auth,
+  requireRole('SHIPPER'),
+  requireCommissionApproved,
+  integrationController.getWooCommerceStore,
+);
+
 // Shopify: connect store (shopDomain, access token, scopes)
 router.post(
   '/shopify/connect',
@@ -67,6 +100,14 @@ router.post(
   shopifyIntegrationController.bookIntegratedOrder,
 );
 
+router.post(
+  '/shopify/orders/:integratedOrderId/sync-fulfillment',
+  auth,
+  requireRole('SHIPPER'),
+  requireCommissionApproved,
+  shopifyIntegrationController.syncIntegratedOrderFulfillment,
+);
+
 router.post(
   '/shopify/orders/:integratedOrderId/unbook',
   auth,
@@ -2,30 +2,57 @@ const express = require("express");
 const router = express.Router();
 const invoiceController = require("../controllers/invoiceController");
 const auth = require("../middleware/auth");
-const requireRole = require("../middleware/requireRole");
+const requirePermission = require("../middleware/requirePermission");
 
-// All routes require authentication and CEO/MANAGER role
-router.use(auth, requireRole("CEO", "MANAGER"));
+// All routes require authentication plus the invoice permission noted per route
+router.use(auth);
+
+const canView = requirePermission("invoices.view");
+const canWrite = requirePermission("invoices.write");
 
 // GET /api/invoice/shippers - Get all shippers for dropdown
-router.get("/shippers", invoiceController.getShippers);
+router.get("/shippers", canWrite, invoiceController.getShippers);
 
 // GET /api/invoice/orders - Get orders for invoice creation (with filters)
-router.get("/orders", invoiceController.getOrdersForInvoice);
+router.get("/orders", canWrite, invoiceController.getOrdersForInvoice);
 
 // GET /api/invoice/next-number - Get next invoice number for preview
-router.get("/next-number", invoiceController.getNextInvoiceNumber);
+router.get("/next-number", canWrite, invoiceController.getNextInvoiceNumber);
+
+// GET /api/invoice/aging - Unsettled invoice balances per shipper by age
+router.get("/aging", canView, invoiceController.getInvoiceAging);
 
 // POST /api/invoice - Create new invoice
-router.post("/", invoiceController.createInvoice);
+router.post("/", canWrite, invoiceController.createInvoice);
 
 // GET /api/invoice - Get invoice list
-router.get("/", invoiceController.getInvoices);
+router.get("/", canView, invoiceController.getInvoices);
 
 // GET /api/invoice/:id - Get specific invoice
-router.get("/:id", invoiceController.getInvoice);
+router.get("/:id", canView, invoiceController.getInvoice);
+
+// PATCH /api/invoice/:id - Edit a draft invoice (charges, orders)
+router.patch("/:id", canWrite, invoiceController.updateInvoice);
+
+// POST /api/invoice/:id/finalize - Allocate the number and lock a draft
+router.post("/:id/finalize", canWrite, invoiceController.finalizeInvoice);
+
+// POST /api/invoice/:id/void - Void an invoice and release its orders
+router.post("/:id/void", requirePermission("invoices.void"), invoiceController.voidInvoice);
+
+// POST /api/invoice/:id/payments - Record a full or partial payment
+router.post("/:id/payments", requirePermission("invoices.payments"), invoiceController.recordInvoicePayment);
+
+// POST /api/invoice/:id/credit-notes - Issue a credit note on a finalized invoice
+router.post("/:id/credit-notes", requirePermission("invoices.void"), invoiceController.createCreditNote);
 
 // GET /api/invoice/:id/export.xlsx - Export invoice to Excel
-router.get("/:id/export.xlsx", invoiceController.exportInvoiceToExcel);
+router.get("/:id/export.xlsx", canView, invoiceController.exportInvoiceToExcel);
+
+// GET /api/invoice/:id/export.pdf - Export invoice to PDF
+router.get("/:id/export.pdf", canView, invoiceController.exportInvoiceToPdf);
+
+// POST /api/invoice/:id/email - Email the invoice PDF to the shipper
+router.post("/:id/email", canWrite, invoiceController.emailInvoice);
 
 module.exports = router;
@@ -1,14 +1,59 @@
 const express = require("express");
+const multer = require("multer");
+const fs = require("fs");
+const crypto = require("crypto");
 const router = express.Router();
 const orderController = require("../controllers/orderController");
+const bulkOrderController = require("../controllers/bulkOrderController");
+const proofOfDeliveryController = require("../controllers/proofOfDeliveryController");
 const financeController = require("../controllers/financeController");
 const auth = require("../middleware/auth");
 const requireRole = require("../middleware/requireRole");
+const requirePermission = require("../middleware/requirePermission");
 const requireCommissionApproved = require("../middleware/requireCommissionApproved");
 const requireRiderCommissionConfigured = require("../middleware/requireRiderCommissionConfigured");
 
 router.use(auth);
 
+// Bulk order uploads are parsed in memory; files never touch the disk.
+const bulkUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 5 * 1024 * 1024 },
+  fileFilter: (req, file, cb) => {
+    if (/\.(xlsx|csv)$/i.test(file.originalname || "")) {
+      cb(null, true);
+    } else {
+      cb(new Error("Invalid file type. Only .xlsx and .csv files are allowed."), false);
+    }
+  },
+});
+
+// Proof-of-delivery images are stored privately with random names
+const podUpload = multer({
+  storage: multer.diskStorage({
+    destination: (req, file, cb) => {
+      const dir = proofOfDeliveryController.POD_DIR;
+      if (!fs.existsSync(dir)) {
+        fs.mkdirSync(dir, { recursive: true });
+      }
+      cb(null, dir);
+    },
+    filename: (req, file, cb) => {
+      // Extension from the accepted type, never from the client's filename
+      const extension = proofOfDeliveryController.POD_MIME_EXTENSIONS[file.mimetype];
+      cb(null, `pod-${req.params.id}-${file.fieldname}-${crypto.randomBytes(12).toString("hex")}${extension}`);
+    },
+  }),
+  limits: { fileSize: 5 * 1024 * 1024 },
+  fileFilter: (req, file, cb) => {
+    if (proofOfDeliveryController.POD_MIME_EXTENSIONS[file.mimetype]) {
+      cb(null, true);
+    } else {
+      cb(new Error("Invalid file type. Only JPEG, PNG and WebP images are allowed."), false);
+    }
+  },
+});
+
 // Create: Shipper only
 router.post(
   "/",
@@ -17,6 +62,29 @@ router.post(
   orderController.createOrder,
 );
 
+// Rate quote without booking: Shipper (own rates), staff (any shipper)
+router.post(
+  "/quote",
+  requirePermission("orders.view_all", { allowRoles: ["SHIPPER"] }),
+  requireCommissionApproved,
+  orderController.getQuote,
+);
+
+// Bulk create from XLSX/CSV: Shipper only
+router.get(
+  "/bulk-upload/template",
+  requireRole("SHIPPER"),
+  requireCommissionApproved,
+  bulkOrderController.downloadBulkTemplate,
+);
+router.post(
+  "/bulk-upload",
+  requireRole("SHIPPER"),
+  requireCommissionApproved,
+  bulkUpload.single("file"),
+  bulkOrderController.bulkUploadOrders,
+);
+
 // Read: All roles (filtered by controller)
 // Shipper portal is gated by requireCommissionApproved, riders by requireRiderCommissionConfigured
 router.get(
@@ -35,10 +103,10 @@ router.get(
 router.get("/details/:bookingId", orderController.getOrderDetailsByBookingId);
 router.get("/:id", orderController.getOrderById);
 
-// CEO/Manager-only order edit with audit logging
+// Staff order edit with audit logging
 router.patch(
   "/:id",
-  requireRole("CEO", "MANAGER"),
+  requirePermission("orders.edit"),
   orderController.ceoEditOrder,
 );
 
@@ -52,25 +120,57 @@ router.post(
   orderController.printLabelsHtml,
 );
 
-// Assign: CEO or Manager
+// Cancel before pickup: Shipper (own orders) or staff
+router.patch(
+  "/:id/cancel",
+  requirePermission("orders.cancel", { allowRoles: ["SHIPPER"] }),
+  requireCommissionApproved,
+  orderController.cancelShipperOrder,
+);
+
+// Assign rider
 router.patch(
   "/:id/assign",
-  requireRole("CEO", "MANAGER"),
+  requirePermission("orders.assign"),
   orderController.assignRider,
 );
 
-// Status: Rider, Manager, or CEO
+// Status: Rider (own assignments) or staff
 router.patch(
   "/:id/status",
-  requireRole("RIDER", "MANAGER", "CEO"),
+  requirePermission("orders.update_status", { allowRoles: ["RIDER"] }),
   requireRiderCommissionConfigured,
   orderController.updateStatus,
 );
 
-// Rider settlement (CEO/Manager only)
+// Proof of delivery: captured by the assigned rider (or office; only the
+// office may re-capture), viewable by staff and the owning shipper (checked
+// in the controller)
+router.post(
+  "/:id/proof-of-delivery",
+  requirePermission("orders.update_status", { allowRoles: ["RIDER"] }),
+  requireRiderCommissionConfigured,
+  podUpload.fields([
+    { name: "signature", maxCount: 1 },
+    { name: "photo", maxCount: 1 },
+  ]),
+  proofOfDeliveryController.captureProofOfDelivery,
+);
+router.get(
+  "/:id/proof-of-delivery",
+  requireCommissionApproved,
+  proofOfDeliveryController.getProofOfDelivery,
+);
+router.get(
+  "/:id/proof-of-delivery/:kind",
+  requireCommissionApproved,
+  proofOfDeliveryController.getProofOfDeliveryFile,
+);
+
+// Rider settlement
 router.patch(
   "/:id/rider-settlement",
-  requireRole("CEO", "MANAGER"),
+  requirePermission("finance.settle"),
   financeController.setRiderSettlementByOrder,
 );
 
@@ -84,10 +184,10 @@ router.patch(
 
 // Pending integrated orders:
 // - SHIPPER sees their own pending integrated orders (gated by commission config)
-// - CEO / MANAGER see all pending integrated orders across shippers
+// - staff see all pending integrated orders across shippers
 router.get(
   "/integrated/pending",
-  requireRole("SHIPPER", "CEO", "MANAGER"),
+  requirePermission("orders.view_all", { allowRoles: ["SHIPPER"] }),
   requireCommissionApproved,
   orderController.getPendingIntegratedOrdersForShipper,
 );
@@ -101,30 +201,60 @@ router.patch(
 );
 
 // CEO Assign Order by QR Scan
-router.post("/assign-by-scan", requireRole("CEO", "MANAGER"), orderController.assignByScan);
+router.post("/assign-by-scan", requirePermission("orders.assign"), orderController.assignByScan);
 
 // Get Order Details by Booking ID (Read-only for Riders)
 // This route must be before /:id to avoid conflicts
 router.get("/details/:bookingId", orderController.getOrderDetailsByBookingId);
 
-// Scanner: CEO or Manager - Scan QR to mark order as arrived at LLL warehouse
+// Scanner: Scan QR to mark order as arrived at LLL warehouse
 const scannerController = require("../controllers/scannerController");
 router.post(
   "/scan",
-  requireRole("CEO", "MANAGER"),
+  requirePermission("warehouse.scan"),
   scannerController.scanOrder,
 );
 
 // Enhanced warehouse scan with weight verification
 router.get(
   "/:bookingId/scan-preview",
-  requireRole("CEO", "MANAGER"),
+  requirePermission("warehouse.scan"),
   scannerController.getOrderForScan,
 );
 router.post(
   "/:bookingId/warehouse-scan",
-  requireRole("CEO", "MANAGER"),
+  requirePermission("warehouse.scan"),
   scannerController.warehouseScan,
 );
 
+// Return-to-origin: receive a returned parcel and hand it back to the shipper
+router.post(
+  "/:bookingId/return-scan",
+  requirePermission("warehouse.scan"),
+  scannerController.returnWarehouseScan,
+);
+router.post(
+  "/:bookingId/return-handover",
+  requirePermission("warehouse.scan"),
+  scannerController.returnHandoverScan,
+);
+
+// Error handler for multer errors
+router.use((error, req, res, next) => {
+  if (error instanceof multer.MulterError) {
+    if (error.code === "LIMIT_FILE_SIZE") {
+      return res.status(400).json({
+        message: "File too large. Maximum size allowed is 5MB.",
+      });
+    }
+    return res.status(400).json({ message: error.message });
+  }
+
+  if (error && error.message && error.message.includes("Invalid file type")) {
+    return res.status(400).json({ message: error.message });
+  }
+
+  next(error);
+});
+
 module.exports = router;
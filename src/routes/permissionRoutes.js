@@ -0,0 +1,18 @@
+const express = require('express');
+const router = express.Router();
+const permissionController = require('../controllers/permissionController');
+const auth = require('../middleware/auth');
+const requireRole = require('../middleware/requireRole');
+
+router.use(auth);
+
+// Any signed-in user: what the UI should let them do
+router.get('/me', permissionController.getMyPermissions);
+
+// CEO only: manage role mappings and per-user overrides
+router.get('/', requireRole('CEO'), permissionController.getPermissionSettings);
+router.put('/roles/:role', requireRole('CEO'), permissionController.updateRolePermissions);
+router.get('/users/:id', requireRole('CEO'), permissionController.getUserPermissionSettings);
+router.put('/users/:id', requireRole('CEO'), permissionController.updateUserOverrides);
+
+module.exports = router;
@@ -1,14 +1,14 @@
 const express = require("express");
 const router = express.Router();
 const auth = require("../middleware/auth");
-const requireRole = require("../middleware/requireRole");
+const requirePermission = require("../middleware/requirePermission");
 const orderController = require("../controllers/orderController");
 
 router.use(auth);
 
 router.get(
   "/orders.xlsx",
-  requireRole("CEO", "MANAGER"),
+  requirePermission("reports.export"),
   orderController.exportOrdersReportXlsx,
 );
 
@@ -2,8 +2,10 @@ const express = require('express');
 const router = express.Router();
 const riderController = require('../controllers/riderController');
 const riderFinanceController = require('../controllers/riderFinanceController');
+const riderCashController = require('../controllers/riderCashController');
 const auth = require('../middleware/auth');
 const requireRole = require('../middleware/requireRole');
+const requirePermission = require('../middleware/requirePermission');
 const requireRiderCommissionConfigured = require('../middleware/requireRiderCommissionConfigured');
 
 router.use(auth);
@@ -16,14 +18,23 @@ router.get(
   riderFinanceController.getMyFinance,
 );
 
+// Rider's own outstanding COD cash
+router.get('/cash/me', requireRole('RIDER'), riderCashController.getMyCashBalance);
+
 // DISABLED: Rider self-assign via QR scanner (CEO-controlled assignment only)
 // router.post('/scan-assign', requireRole('RIDER'), riderController.scanAssign);
 
-// Manager/CEO rider finance tools
-router.get('/finance', requireRole('CEO', 'MANAGER'), riderController.getRidersWithFinance);
-router.get('/:id/settlements', requireRole('CEO', 'MANAGER'), riderFinanceController.getRiderSettlementsAdmin);
-router.patch('/:id/service-charges-status', requireRole('CEO', 'MANAGER'), riderController.updateServiceChargeStatus);
-router.get('/:id/daily-report', requireRole('CEO', 'MANAGER'), riderController.getDailyReport);
+// Staff rider finance tools
+router.get('/finance', requirePermission('riders.finance'), riderController.getRidersWithFinance);
+router.get('/:id/settlements', requirePermission('riders.finance'), riderFinanceController.getRiderSettlementsAdmin);
+router.patch('/:id/service-charges-status', requirePermission('riders.cash'), riderController.updateServiceChargeStatus);
+router.get('/:id/daily-report', requirePermission('riders.finance'), riderController.getDailyReport);
+
+// COD cash handover ledger
+router.get('/cash/report', requirePermission('riders.finance'), riderCashController.getCashReport);
+router.get('/:id/cash', requirePermission('riders.finance'), riderCashController.getRiderCashBalance);
+router.get('/:id/cash-deposits', requirePermission('riders.finance'), riderCashController.listCashDeposits);
+router.post('/:id/cash-deposits', requirePermission('riders.cash'), riderCashController.createCashDeposit);
 
 module.exports = router;
 
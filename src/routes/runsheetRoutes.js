@@ -0,0 +1,19 @@
+const express = require('express');
+const router = express.Router();
+const runsheetController = require('../controllers/runsheetController');
+const auth = require('../middleware/auth');
+const requirePermission = require('../middleware/requirePermission');
+
+router.use(auth);
+
+// Riders only ever see their own runsheets (enforced in the controller)
+const canView = requirePermission('runsheets.manage', { allowRoles: ['RIDER'] });
+const canManage = requirePermission('runsheets.manage');
+
+router.get('/', canView, runsheetController.listRunsheets);
+router.post('/', canManage, runsheetController.createRunsheet);
+router.get('/:id', canView, runsheetController.getRunsheet);
+router.get('/:id/manifest', canView, runsheetController.getRunsheetManifest);
+router.post('/:id/close', canManage, runsheetController.closeRunsheet);
+
+module.exports = router;
@@ -0,0 +1,13 @@
+const express = require('express');
+const router = express.Router();
+const securityEventController = require('../controllers/securityEventController');
+const auth = require('../middleware/auth');
+const requireRole = require('../middleware/requireRole');
+
+router.use(auth, requireRole('CEO'));
+
+router.get('/', securityEventController.listSecurityEvents);
+router.get('/summary', securityEventController.getSecurityEventSummary);
+router.post('/users/:id/unlock', securityEventController.unlockUser);
+
+module.exports = router;
@@ -7,6 +7,14 @@ const orderController = require("../controllers/orderController");
 
 router.use(auth);
 
+// Returns awaiting handover back to the shipper
+router.get(
+  "/returns",
+  requireRole("SHIPPER"),
+  requireCommissionApproved,
+  orderController.getShipperPendingReturns,
+);
+
 router.delete(
   "/:id",
   requireRole("SHIPPER"),
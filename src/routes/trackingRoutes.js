@@ -0,0 +1,17 @@
+const express = require('express');
+const rateLimit = require('express-rate-limit');
+const router = express.Router();
+const { trackShipment } = require('../controllers/trackingController');
+
+// Public endpoint: keep the limit tight so tracking IDs cannot be enumerated.
+const trackingLimiter = rateLimit({
+  windowMs: 60 * 1000,
+  max: Number(process.env.TRACKING_RATE_LIMIT_PER_MINUTE || 30),
+  standardHeaders: true,
+  legacyHeaders: false,
+  message: { message: 'Too many tracking requests, please try again shortly' },
+});
+
+router.get('/:trackingId', trackingLimiter, trackShipment);
+
+module.exports = router;
@@ -0,0 +1,13 @@
+const express = require('express');
+const router = express.Router();
+const webhookLogController = require('../controllers/webhookLogController');
+const auth = require('../middleware/auth');
+const requireRole = require('../middleware/requireRole');
+
+router.use(auth, requireRole('CEO'));
+
+router.get('/', webhookLogController.listWebhookLogs);
+router.get('/:id', webhookLogController.getWebhookLog);
+router.post('/:id/replay', webhookLogController.replayWebhook);
+
+module.exports = router;
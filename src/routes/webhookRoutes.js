@@ -2,6 +2,8 @@ const express = require('express');
 const rateLimit = require('express-rate-limit');
 const router = express.Router();
 const { handleShopifyWebhook } = require('../controllers/shopifyWebhookController');
+const { handleWooCommerceWebhook } = require('../controllers/woocommerceWebhookController');
+const { recordWebhook } = require('../utils/webhookLog');
 
 const shopifyWebhookLimiter = rateLimit({
   windowMs: 60 * 1000,
@@ -12,11 +14,30 @@ const shopifyWebhookLimiter = rateLimit({
 
 // Shopify webhooks require the raw request body for HMAC verification, so we
 // use express.raw() here instead of the global JSON body parser.
+// recordWebhook sits behind the limiter so rejected floods are not stored.
 router.post(
   '/shopify',
   shopifyWebhookLimiter,
+  recordWebhook('SHOPIFY'),
   express.raw({ type: 'application/json' }),
   handleShopifyWebhook,
 );
 
+const wooWebhookLimiter = rateLimit({
+  windowMs: 60 * 1000,
+  max: Number(process.env.WOOCOMMERCE_WEBHOOK_RATE_LIMIT_PER_MINUTE || 120),
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+// WooCommerce signs the raw body too. Any content type is accepted because
+// the ping sent when a webhook is saved is form-encoded.
+router.post(
+  '/woocommerce',
+  wooWebhookLimiter,
+  recordWebhook('WOOCOMMERCE'),
+  express.raw({ type: '*/*' }),
+  handleWooCommerceWebhook,
+);
+
 module.exports = router;
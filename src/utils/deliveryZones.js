@@ -0,0 +1,114 @@
+// Pricing zones for destination cities. LAHORE is intra-city delivery, PUNJAB
+// the rest of the province and OTHER everything else (other provinces, AJK,
+// Gilgit-Baltistan). Unknown cities fall into OTHER.
+const DELIVERY_ZONES = ['LAHORE', 'PUNJAB', 'OTHER'];
+
+// Spellings and areas that shippers type for Lahore itself
+const LAHORE_CITIES = [
+  'lahore',
+  'lhr',
+  'lahore cantt',
+  'lahore cantonment',
+  'dha lahore',
+  'bahria town lahore',
+  'johar town',
+  'model town',
+  'gulberg',
+  'raiwind',
+];
+
+const PUNJAB_CITIES = [
+  'attock',
+  'bahawalnagar',
+  'bahawalpur',
+  'bhakkar',
+  'burewala',
+  'chakwal',
+  'chichawatni',
+  'chiniot',
+  'daska',
+  'dera ghazi khan',
+  'dg khan',
+  'd g khan',
+  'faisalabad',
+  'fsd',
+  'gojra',
+  'gujranwala',
+  'gujrat',
+  'hafizabad',
+  'harappa',
+  'jhang',
+  'jhelum',
+  'kamoke',
+  'kasur',
+  'khanewal',
+  'khanpur',
+  'kharian',
+  'khushab',
+  'layyah',
+  'lodhran',
+  'mandi bahauddin',
+  'mianwali',
+  'multan',
+  'muridke',
+  'murree',
+  'muzaffargarh',
+  'nankana sahib',
+  'narowal',
+  'okara',
+  'pakpattan',
+  'pattoki',
+  'rahim yar khan',
+  'ryk',
+  'r y khan',
+  'rajanpur',
+  'rawalpindi',
+  'pindi',
+  'sadiqabad',
+  'sahiwal',
+  'sambrial',
+  'sargodha',
+  'sheikhupura',
+  'sialkot',
+  'taxila',
+  'toba tek singh',
+  'vehari',
+  'wah cantt',
+  'wazirabad',
+];
+
+const normalizeCityName = (value) =>
+  String(value || '')
+    .split(',')[0]
+    .toLowerCase()
+    .replace(/[^a-z\s]/g, ' ')
+    .replace(/\b(city|district)\b/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+const LAHORE_SET = new Set(LAHORE_CITIES);
+const PUNJAB_SET = new Set(PUNJAB_CITIES);
+
+/**
+ * Zone of a destination city as typed on the order, e.g. "Lahore",
+ * "Faisalabad, Punjab" or "Karachi". Only the part before the first comma is
+ * considered; trailing words are dropped until a known city matches, so
+ * "Lahore Punjab" is still Lahore.
+ */
+const getDeliveryZone = (city) => {
+  const words = normalizeCityName(city).split(' ').filter(Boolean);
+  for (let n = words.length; n > 0; n -= 1) {
+    const name = words.slice(0, n).join(' ');
+    if (LAHORE_SET.has(name)) return 'LAHORE';
+    if (PUNJAB_SET.has(name)) return 'PUNJAB';
+  }
+  return 'OTHER';
+};
+
+module.exports = {
+  DELIVERY_ZONES,
+  LAHORE_CITIES,
+  PUNJAB_CITIES,
+  normalizeCityName,
+  getDeliveryZone,
+};
@@ -0,0 +1,294 @@
+const fs = require('fs');
+const path = require('path');
+const PDFDocument = require('pdfkit');
+
+const LOGO_DIR = path.join(__dirname, '../../uploads/company');
+
+const PAGE_MARGIN = 40;
+const FOOTER_HEIGHT = 36;
+const ROW_HEIGHT = 18;
+
+const TABLE_COLUMNS = [
+  { key: 'cn', label: 'CN/Booking ID', width: 82 },
+  { key: 'date', label: 'Date', width: 58 },
+  { key: 'consignee', label: 'Consignee', width: 92 },
+  { key: 'destination', label: 'Destination', width: 70 },
+  { key: 'weight', label: 'Weight (kg)', width: 50, align: 'right' },
+  { key: 'cod', label: 'COD Amount', width: 62, align: 'right' },
+  { key: 'charges', label: 'Charges', width: 50, align: 'right' },
+  { key: 'status', label: 'Status', width: 51 },
+];
+
+const formatMoney = (value) => `PKR ${Number(value || 0).toLocaleString()}`;
+
+const formatDate = (value) => {
+  if (!value) return '';
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) return '';
+  return date.toLocaleDateString('en-GB', {
+    day: '2-digit',
+    month: 'short',
+    year: 'numeric',
+  });
+};
+
+// Logos uploaded through the company profile live under uploads/company.
+// Remote URLs are not fetched; the header just goes without a logo.
+const resolveLogoPath = (logoUrl) => {
+  const value = String(logoUrl || '');
+  if (!value.startsWith('/uploads/company/')) return null;
+  const filePath = path.join(LOGO_DIR, path.basename(value));
+  return fs.existsSync(filePath) ? filePath : null;
+};
+
+const drawHeader = (doc, profile) => {
+  const top = PAGE_MARGIN;
+  const right = doc.page.width - PAGE_MARGIN;
+  const logoPath = resolveLogoPath(profile.logoUrl);
+
+  if (logoPath) {
+    try {
+      doc.image(logoPath, PAGE_MARGIN, top, { fit: [120, 60] });
+    } catch (err) {
+      // pdfkit reads PNG and JPEG only; GIF/WebP logos are left out
+      console.warn('[InvoicePdf] Could not draw company logo', err.message);
+    }
+  }
+
+  const textX = PAGE_MARGIN + 140;
+  const textWidth = right - textX;
+  doc.font('Helvetica-Bold').fontSize(16).text(profile.companyName || 'LahoreLink Logistics', textX, top, {
+    width: textWidth,
+    align: 'right',
+  });
+
+  const address = [profile.addressLine1, profile.addressCity, profile.addressCountry]
+    .filter(Boolean)
+    .join(', ');
+  const contact = [profile.phone, profile.email, profile.website].filter(Boolean).join(' | ');
+  const tax = [
+    profile.ntn ? `NTN: ${profile.ntn}` : null,
+    profile.strn ? `STRN: ${profile.strn}` : null,
+  ]
+    .filter(Boolean)
+    .join('   ');
+
+  doc.font('Helvetica').fontSize(8);
+  [address, contact, tax].filter(Boolean).forEach((line) => {
+    doc.text(line, textX, doc.y + 2, { width: textWidth, align: 'right' });
+  });
+
+  const bottom = Math.max(doc.y, top + 60) + 10;
+  doc.moveTo(PAGE_MARGIN, bottom).lineTo(right, bottom).lineWidth(0.5).stroke();
+  return bottom + 12;
+};
+
+const drawInvoiceDetails = (doc, invoice, y) => {
+  const half = (doc.page.width - PAGE_MARGIN * 2) / 2;
+  const shipper = invoice.shipper || {};
+
+  doc.font('Helvetica-Bold').fontSize(14).text('INVOICE', PAGE_MARGIN, y);
+  let leftY = doc.y + 6;
+  const rightX = PAGE_MARGIN + half;
+  let rightY = y;
+
+  const row = (x, rowY, label, value) => {
+    doc.font('Helvetica-Bold').fontSize(9).text(label, x, rowY, { width: 80 });
+    doc.font('Helvetica').fontSize(9).text(value || '-', x + 82, rowY, { width: half - 90 });
+    return Math.max(doc.y, rowY + 12) + 2;
+  };
+
+  leftY = row(PAGE_MARGIN, leftY, 'Invoice No:', invoice.invoiceNumber);
+  leftY = row(PAGE_MARGIN, leftY, 'Invoice Date:', formatDate(invoice.invoiceDate));
+  leftY = row(
+    PAGE_MARGIN,
+    leftY,
+    'Period:',
+    `${formatDate(invoice.parcelFrom)} - ${formatDate(invoice.parcelTo)}`,
+  );
+  leftY = row(PAGE_MARGIN, leftY, 'Status:', invoice.status);
+
+  rightY = row(rightX, rightY, 'Customer:', shipper.companyName || shipper.name);
+  rightY = row(rightX, rightY, 'Address:', shipper.address);
+  rightY = row(rightX, rightY, 'Phone:', shipper.phone);
+  rightY = row(rightX, rightY, 'Account Name:', invoice.accountName);
+  rightY = row(rightX, rightY, 'Account No:', invoice.accountNumber);
+  if (shipper.bankName) {
+    rightY = row(rightX, rightY, 'Bank:', shipper.bankName);
+  }
+
+  return Math.max(leftY, rightY) + 12;
+};
+
+const drawTableRow = (doc, y, values, { bold = false, fill = null } = {}) => {
+  const width = TABLE_COLUMNS.reduce((sum, col) => sum + col.width, 0);
+  if (fill) {
+    doc.rect(PAGE_MARGIN, y, width, ROW_HEIGHT).fill(fill);
+    doc.fillColor('black');
+  }
+  doc.rect(PAGE_MARGIN, y, width, ROW_HEIGHT).lineWidth(0.5).stroke();
+
+  let x = PAGE_MARGIN;
+  doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(7.5);
+  TABLE_COLUMNS.forEach((col) => {
+    doc.text(String(values[col.key] ?? ''), x + 3, y + 5, {
+      width: col.width - 6,
+      height: ROW_HEIGHT - 6,
+      align: col.align || 'left',
+      ellipsis: true,
+      lineBreak: false,
+    });
+    x += col.width;
+  });
+  return y + ROW_HEIGHT;
+};
+
+const drawTableHeader = (doc, y) => {
+  const labels = TABLE_COLUMNS.reduce((acc, col) => ({ ...acc, [col.key]: col.label }), {});
+  return drawTableRow(doc, y, labels, { bold: true, fill: '#e0e0e0' });
+};
+
+const contentBottom = (doc) => doc.page.height - PAGE_MARGIN - FOOTER_HEIGHT;
+
+const drawOrders = (doc, orders, startY) => {
+  let y = drawTableHeader(doc, startY);
+
+  orders.forEach((order) => {
+    if (y + ROW_HEIGHT > contentBottom(doc)) {
+      doc.addPage();
+      y = drawTableHeader(doc, PAGE_MARGIN);
+    }
+    y = drawTableRow(doc, y, {
+      cn: order.bookingId || order.trackingId,
+      date: formatDate(order.createdAt),
+      consignee: order.consigneeName,
+      destination: order.destinationCity,
+      weight: Number(order.weightKg || 0),
+      cod: formatMoney(order.codAmount),
+      charges: formatMoney(order.serviceCharges),
+      status: order.status,
+    });
+  });
+
+  if (!orders.length) {
+    doc.font('Helvetica-Oblique').fontSize(8).text('No orders on this invoice.', PAGE_MARGIN, y + 6);
+    y = doc.y;
+  }
+
+  return y + 16;
+};
+
+const drawSummary = (doc, invoice, startY) => {
+  const lines = [
+    ['COD Total', invoice.codTotal],
+    ['Service Charges', invoice.serviceChargesTotal || invoice.flyerChargesTotal],
+    invoice.fuelCharges ? ['Fuel Charges', invoice.fuelCharges] : null,
+    invoice.otherCharges ? ['Other Charges', invoice.otherCharges] : null,
+    invoice.discount ? ['Discount', invoice.discount] : null,
+    ['WHT IT u/s 6A of ITO, 2001 (2.0%)', invoice.whtIt],
+    ['WHT ST u/s 3 of STA, 1990 (2.0%)', invoice.whtSt],
+  ].filter(Boolean);
+
+  const credited = Number(invoice.creditNotesTotal || 0);
+  const height = (lines.length + (credited ? 3 : 1)) * 14 + 10;
+  let y = startY;
+  if (y + height > contentBottom(doc)) {
+    doc.addPage();
+    y = PAGE_MARGIN;
+  }
+
+  const labelX = doc.page.width - PAGE_MARGIN - 300;
+  const valueX = doc.page.width - PAGE_MARGIN - 110;
+
+  doc.font('Helvetica').fontSize(9);
+  lines.forEach(([label, value]) => {
+    doc.text(label, labelX, y, { width: 185 });
+    doc.text(formatMoney(value), valueX, y, { width: 110, align: 'right' });
+    y += 14;
+  });
+
+  y += 4;
+  doc.moveTo(labelX, y).lineTo(doc.page.width - PAGE_MARGIN, y).lineWidth(0.5).stroke();
+  y += 6;
+  doc.font('Helvetica-Bold').fontSize(10);
+  doc.text('Net Payable', labelX, y, { width: 185 });
+  doc.text(formatMoney(invoice.netPayable), valueX, y, { width: 110, align: 'right' });
+
+  if (credited) {
+    const count = (invoice.creditNotes || []).length;
+    y += 16;
+    doc.font('Helvetica').fontSize(9);
+    doc.text(`Credit Notes (${count})`, labelX, y, { width: 185 });
+    doc.text(formatMoney(credited), valueX, y, { width: 110, align: 'right' });
+    y += 14;
+    doc.font('Helvetica-Bold').fontSize(10);
+    doc.text('Adjusted Net Payable', labelX, y, { width: 185 });
+    doc.text(formatMoney(invoice.adjustedNetPayable), valueX, y, { width: 110, align: 'right' });
+  }
+};
+
+// Footer note and page numbers go on every page once the layout is done.
+const drawFooters = (doc, profile) => {
+  const range = doc.bufferedPageRange();
+  for (let i = range.start; i < range.start + range.count; i += 1) {
+    doc.switchToPage(i);
+    const bottomMargin = doc.page.margins.bottom;
+    doc.page.margins.bottom = 0;
+
+    const y = doc.page.height - PAGE_MARGIN - FOOTER_HEIGHT + 10;
+    const width = doc.page.width - PAGE_MARGIN * 2;
+    doc.moveTo(PAGE_MARGIN, y).lineTo(PAGE_MARGIN + width, y).lineWidth(0.5).stroke();
+    doc.font('Helvetica').fontSize(7.5);
+    if (profile.footerNote) {
+      doc.text(profile.footerNote, PAGE_MARGIN, y + 6, { width, align: 'center', lineBreak: false });
+    }
+    doc.text(`Page ${i + 1 - range.start} of ${range.count}`, PAGE_MARGIN, y + 18, {
+      width,
+      align: 'right',
+      lineBreak: false,
+    });
+
+    doc.page.margins.bottom = bottomMargin;
+  }
+};
+
+/**
+ * Render an invoice as a branded A4 PDF.
+ *
+ * `invoice` is the API shape from invoiceController's mapInvoice (shipper and
+ * orders included); `profile` is the active CompanyProfile row. Resolves with
+ * the PDF as a Buffer.
+ */
+const buildInvoicePdf = (invoice, profile) =>
+  new Promise((resolve, reject) => {
+    const doc = new PDFDocument({
+      size: 'A4',
+      margin: PAGE_MARGIN,
+      bufferPages: true,
+      info: {
+        Title: `Invoice ${invoice.invoiceNumber}`,
+        Author: (profile && profile.companyName) || 'LahoreLink Logistics',
+      },
+    });
+
+    const chunks = [];
+    doc.on('data', (chunk) => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    try {
+      const company = profile || {};
+      let y = drawHeader(doc, company);
+      y = drawInvoiceDetails(doc, invoice, y);
+      y = drawOrders(doc, invoice.orders || [], y);
+      drawSummary(doc, invoice, y);
+      drawFooters(doc, company);
+      doc.end();
+    } catch (err) {
+      reject(err);
+    }
+  });
+
+module.exports = {
+  buildInvoicePdf,
+};
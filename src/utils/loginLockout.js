@@ -0,0 +1,89 @@
+const prisma = require('../prismaClient');
+const { recordSecurityEvent } = require('./securityEvents');
+
+const DEFAULT_MAX_FAILED_LOGINS = 5;
+const DEFAULT_LOCKOUT_MINUTES = 15;
+const MAX_LOCKOUT_MS = 24 * 60 * 60 * 1000;
+
+const positiveNumber = (value, fallback) => {
+  const n = Number(value);
+  return Number.isFinite(n) && n > 0 ? n : fallback;
+};
+
+const getMaxFailedLogins = () =>
+  Math.floor(positiveNumber(process.env.LOGIN_MAX_FAILED_ATTEMPTS, DEFAULT_MAX_FAILED_LOGINS));
+
+const getLockoutMs = () =>
+  positiveNumber(process.env.LOGIN_LOCKOUT_MINUTES, DEFAULT_LOCKOUT_MINUTES) * 60 * 1000;
+
+// Seconds until the account unlocks, or 0 when it is not locked
+const getLockRemainingSeconds = (user) => {
+  if (!user || !user.lockedUntil) return 0;
+  const remaining = new Date(user.lockedUntil).getTime() - Date.now();
+  return remaining > 0 ? Math.ceil(remaining / 1000) : 0;
+};
+
+const respondLocked = (res, seconds) => {
+  const minutes = Math.max(1, Math.ceil(seconds / 60));
+  res.set('Retry-After', String(seconds));
+  return res.status(429).json({
+    message: `Too many failed attempts. Try again in ${minutes} minute${minutes === 1 ? '' : 's'}.`,
+    retryAfter: seconds,
+  });
+};
+
+/**
+ * Count a wrong password or 2FA code against the account. Once the count
+ * reaches the limit the account is locked, and every further failure doubles
+ * the lock (capped at a day). The count only resets on a successful login.
+ *
+ * `type` is the security event to log (LOGIN_FAILED or TWO_FACTOR_FAILED).
+ * Returns the seconds the account is now locked for, or 0.
+ */
+const registerFailedLogin = async (req, user, type) => {
+  const updated = await prisma.user.update({
+    where: { id: user.id },
+    data: { failedLoginCount: { increment: 1 } },
+    select: { failedLoginCount: true },
+  });
+  const attempts = updated.failedLoginCount;
+
+  await recordSecurityEvent(req, type, {
+    userId: user.id,
+    email: user.email,
+    metadata: { attempts },
+  });
+
+  const maxFailed = getMaxFailedLogins();
+  if (attempts < maxFailed) return 0;
+
+  const lockMs = Math.min(getLockoutMs() * 2 ** (attempts - maxFailed), MAX_LOCKOUT_MS);
+  const lockedUntil = new Date(Date.now() + lockMs);
+  await prisma.user.update({
+    where: { id: user.id },
+    data: { lockedUntil },
+  });
+
+  await recordSecurityEvent(req, 'ACCOUNT_LOCKED', {
+    userId: user.id,
+    email: user.email,
+    metadata: { attempts, lockedUntil: lockedUntil.toISOString() },
+  });
+
+  return Math.ceil(lockMs / 1000);
+};
+
+const clearFailedLogins = async (user) => {
+  if (!user.failedLoginCount && !user.lockedUntil) return;
+  await prisma.user.update({
+    where: { id: user.id },
+    data: { failedLoginCount: 0, lockedUntil: null },
+  });
+};
+
+module.exports = {
+  getLockRemainingSeconds,
+  respondLocked,
+  registerFailedLogin,
+  clearFailedLogins,
+};
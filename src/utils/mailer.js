@@ -98,52 +98,67 @@ function sendWithEmailJs({ to, name, code }) {
   });
 }
 
-async function sendResetEmail(email, code, name) {
-  try {
-    const host = process.env.SMTP_HOST;
-    const port = process.env.SMTP_PORT;
-    const user = process.env.SMTP_USER;
-    const pass = process.env.SMTP_PASS;
-
-    if (!host || !port || !user || !pass) {
-      console.error(
-        '[MAILER] sendResetEmail called but SMTP is not fully configured.',
-        {
-          hasHost: !!host,
-          hasPort: !!port,
-          hasUser: !!user,
-          hasPass: !!pass,
-        }
-      );
-      throw new Error('SMTP email service is not configured on the server');
-    }
+// Build a nodemailer transport from the SMTP_* variables above. Throws when
+// the server has no SMTP configuration so callers can report it.
+function createSmtpTransport(purpose) {
+  const host = process.env.SMTP_HOST;
+  const port = process.env.SMTP_PORT;
+  const user = process.env.SMTP_USER;
+  const pass = process.env.SMTP_PASS;
+
+  if (!host || !port || !user || !pass) {
+    console.error(
+      `[MAILER] ${purpose} called but SMTP is not fully configured.`,
+      {
+        hasHost: !!host,
+        hasPort: !!port,
+        hasUser: !!user,
+        hasPass: !!pass,
+      }
+    );
+    throw new Error('SMTP email service is not configured on the server');
+  }
 
-    const fromName = process.env.FROM_NAME || 'LahoreLink Logistics';
-    const fromEmail = process.env.FROM_EMAIL || user;
+  const fromName = process.env.FROM_NAME || 'LahoreLink Logistics';
+  const fromEmail = process.env.FROM_EMAIL || user;
+
+  const secure =
+    String(process.env.SMTP_SECURE || '').toLowerCase() === 'true' ||
+    String(port) === '465';
+
+  const transporter = nodemailer.createTransport({
+    host,
+    port: Number(port),
+    secure,
+    auth: {
+      user,
+      pass,
+    },
+  });
 
-    const secure =
-      String(process.env.SMTP_SECURE || '').toLowerCase() === 'true' ||
-      String(port) === '465';
+  return {
+    transporter,
+    from: `"${fromName}" <${fromEmail}>`,
+    host,
+    port: Number(port),
+    secure,
+  };
+}
 
-    const transporter = nodemailer.createTransport({
-      host,
-      port: Number(port),
-      secure,
-      auth: {
-        user,
-        pass,
-      },
-    });
+async function sendResetEmail(email, code, name) {
+  try {
+    const { transporter, from, host, port, secure } =
+      createSmtpTransport('sendResetEmail');
 
     console.log('[MAILER] Sending password reset email via SMTP', {
       to: email,
       host,
-      port: Number(port),
+      port,
       secure,
     });
 
     const info = await transporter.sendMail({
-      from: `"${fromName}" <${fromEmail}>`,
+      from,
       to: email,
       subject: 'LahoreLink Logistics - Password Reset Code',
       text: `Your LahoreLink Logistics verification code is ${code}. This code will expire in 10 minutes.`,
@@ -170,4 +185,53 @@ async function sendResetEmail(email, code, name) {
   }
 }
 
-module.exports = { sendResetEmail };
+// Email a finalized invoice PDF to a shipper. `pdf` is the rendered Buffer.
+// Shipper-provided names end up in the HTML body
+const escapeHtml = (value) =>
+  String(value === null || value === undefined ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+async function sendInvoiceEmail(email, { name, invoiceNumber, companyName, pdf }) {
+  const { transporter, from, host, port, secure } =
+    createSmtpTransport('sendInvoiceEmail');
+  const sender = companyName || 'LahoreLink Logistics';
+
+  console.log('[MAILER] Sending invoice email via SMTP', {
+    to: email,
+    invoiceNumber,
+    host,
+    port,
+    secure,
+  });
+
+  const info = await transporter.sendMail({
+    from,
+    to: email,
+    subject: `${sender} - Invoice ${invoiceNumber}`,
+    text: `Hi ${name || 'there'},\n\nPlease find attached invoice ${invoiceNumber} from ${sender}.\n\nFor any questions about this invoice, reply to this email.`,
+    html: `<p>Hi ${escapeHtml(name || 'there')},</p>
+<p>Please find attached invoice <strong>${escapeHtml(invoiceNumber)}</strong> from ${escapeHtml(sender)}.</p>
+<p>For any questions about this invoice, reply to this email.</p>`,
+    attachments: [
+      {
+        filename: `Invoice_${invoiceNumber}.pdf`,
+        content: pdf,
+        contentType: 'application/pdf',
+      },
+    ],
+  });
+
+  console.log('[MAILER] Invoice email sent via SMTP', {
+    to: email,
+    invoiceNumber,
+    messageId: info.messageId,
+  });
+
+  return info;
+}
+
+module.exports = { sendResetEmail, sendInvoiceEmail };
@@ -0,0 +1,124 @@
+const prisma = require('../prismaClient');
+const { getTransitionError } = require('./orderStatusMachine');
+const { notifyOrderStatusChange } = require('./orderStatusNotifier');
+
+// Reason codes accepted when an order is cancelled before pickup. The label is
+// what we store in the OrderEvent note and show to riders.
+const CANCEL_REASON_CODES = {
+  CUSTOMER_CANCELLED: 'Customer cancelled the order',
+  DUPLICATE_ORDER: 'Duplicate order',
+  INCORRECT_DETAILS: 'Incorrect consignee or order details',
+  OUT_OF_STOCK: 'Item out of stock',
+  PICKUP_NOT_READY: 'Parcel not ready for pickup',
+  OTHER: 'Other',
+};
+
+const normalizeCancelReason = (raw) => {
+  const code = String(raw || '').trim().toUpperCase();
+  return Object.prototype.hasOwnProperty.call(CANCEL_REASON_CODES, code) ? code : null;
+};
+
+/**
+ * Cancel an order that has not reached the warehouse yet.
+ *
+ * Releases any pickup rider, records the reason on the order and in an
+ * OrderEvent, and notifies the rider who was assigned. Cancelled orders never
+ * get a FinancialTransaction, so they stay out of invoices and ledgers.
+ *
+ * Returns { conflict } with a 409 body when the transition is not allowed or
+ * the order changed while cancelling it, otherwise { order } with the updated
+ * order.
+ */
+const cancelOrder = async (order, { reasonCode, note, cancelledById, role }) => {
+  const conflict = getTransitionError(order.status, 'CANCELLED', role);
+  if (conflict) {
+    return {
+      conflict: {
+        ...conflict,
+        message:
+          order.status === 'CANCELLED'
+            ? 'Order is already cancelled'
+            : `Order can no longer be cancelled (status ${order.status})`,
+      },
+    };
+  }
+
+  const reasonLabel = CANCEL_REASON_CODES[reasonCode] || CANCEL_REASON_CODES.OTHER;
+  const cleanNote = note ? String(note).trim() : '';
+  const previousRiderId = order.assignedRiderId;
+  const noteText = cleanNote ? `${reasonLabel}: ${cleanNote}` : reasonLabel;
+
+  const updated = await prisma.$transaction(async (tx) => {
+    // Conditional on the status the transition was checked against (and the
+    // rider we notify), so a parcel picked up meanwhile is never cancelled
+    const locked = await tx.order.updateMany({
+      where: { id: order.id, status: order.status, assignedRiderId: previousRiderId },
+      data: {
+        status: 'CANCELLED',
+        assignedRiderId: null,
+        cancelledAt: new Date(),
+        cancelledById: cancelledById || null,
+        cancelReason: reasonCode,
+        cancelNote: cleanNote || null,
+      },
+    });
+    if (locked.count !== 1) return null;
+
+    await tx.orderEvent.create({
+      data: {
+        orderId: order.id,
+        status: 'CANCELLED',
+        note: noteText,
+        createdById: cancelledById || null,
+      },
+    });
+
+    const result = await tx.order.findUnique({
+      where: { id: order.id },
+      include: {
+        shipper: { select: { id: true, name: true, email: true, companyName: true } },
+      },
+    });
+
+    if (previousRiderId) {
+      await tx.notification.create({
+        data: {
+          type: 'ORDER_UPDATE',
+          recipientId: previousRiderId,
+          message: `Order ${order.bookingId} has been cancelled (${reasonLabel}). Do not pick it up.`,
+          metadata: {
+            event: 'ORDER_CANCELLED',
+            orderId: order.id,
+            bookingId: order.bookingId,
+            reasonCode,
+          },
+        },
+      });
+    }
+
+    return result;
+  });
+
+  if (!updated) {
+    return {
+      conflict: {
+        message: 'Order status changed while cancelling it; reload and try again',
+        code: 'STATUS_CHANGED',
+        requestedStatus: 'CANCELLED',
+      },
+    };
+  }
+
+  notifyOrderStatusChange(updated, {
+    previousStatus: order.status,
+    note: noteText,
+  });
+
+  return { order: updated };
+};
+
+module.exports = {
+  CANCEL_REASON_CODES,
+  normalizeCancelReason,
+  cancelOrder,
+};
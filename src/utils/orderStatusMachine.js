@@ -0,0 +1,182 @@
+/**
+ * Central order status transition table.
+ *
+ * Every code path that changes Order.status (manual status updates, rider
+ * assignment, QR dispatch, warehouse scans, CEO edits) must consult this
+ * module so that an order cannot jump backwards or re-enter a final state and
+ * re-trigger finance side effects such as createFinancialTransaction.
+ */
+
+const ORDER_STATUSES = [
+  'CREATED',
+  'ASSIGNED',
+  'AT_LLL_WAREHOUSE',
+  'OUT_FOR_DELIVERY',
+  'FIRST_ATTEMPT',
+  'SECOND_ATTEMPT',
+  'THIRD_ATTEMPT',
+  'DELIVERED',
+  'RETURNED',
+  'FAILED',
+  'CANCELLED',
+];
+
+// Statuses that settle the rider/shipper finance for an order.
+const FINAL_ORDER_STATUSES = ['DELIVERED', 'RETURNED', 'FAILED'];
+
+// Statuses after which an order can no longer be edited or re-assigned.
+// CANCELLED orders never reach finance at all.
+const CLOSED_ORDER_STATUSES = [...FINAL_ORDER_STATUSES, 'CANCELLED'];
+
+// Normal forward flow shared by every role.
+const ORDER_STATUS_TRANSITIONS = {
+  // Shippers may cancel until the parcel reaches the warehouse.
+  CREATED: ['ASSIGNED', 'AT_LLL_WAREHOUSE', 'CANCELLED'],
+  ASSIGNED: ['CREATED', 'AT_LLL_WAREHOUSE', 'CANCELLED'],
+  AT_LLL_WAREHOUSE: ['OUT_FOR_DELIVERY'],
+  OUT_FOR_DELIVERY: [
+    'FIRST_ATTEMPT',
+    'SECOND_ATTEMPT',
+    'THIRD_ATTEMPT',
+    'DELIVERED',
+    'RETURNED',
+    'FAILED',
+    'AT_LLL_WAREHOUSE',
+  ],
+  FIRST_ATTEMPT: ['OUT_FOR_DELIVERY', 'SECOND_ATTEMPT', 'DELIVERED', 'RETURNED', 'FAILED', 'AT_LLL_WAREHOUSE'],
+  SECOND_ATTEMPT: ['OUT_FOR_DELIVERY', 'THIRD_ATTEMPT', 'DELIVERED', 'RETURNED', 'FAILED', 'AT_LLL_WAREHOUSE'],
+  THIRD_ATTEMPT: ['DELIVERED', 'RETURNED', 'FAILED', 'AT_LLL_WAREHOUSE'],
+  DELIVERED: [],
+  RETURNED: [],
+  // A failed parcel comes back to the warehouse for a re-attempt or is
+  // returned to the shipper. Its finance row is kept on FAILED -> RETURNED
+  // and recomputed on a later delivery only while it is unsettled.
+  FAILED: ['AT_LLL_WAREHOUSE', 'RETURNED'],
+  CANCELLED: [],
+};
+
+// Extra moves granted to specific roles on top of the shared table. Pickup
+// riders and the office may dispatch a parcel straight from pickup without a
+// warehouse scan, and the CEO may send a third-attempt parcel out once more.
+const ROLE_TRANSITION_OVERRIDES = {
+  CEO: {
+    CREATED: ['OUT_FOR_DELIVERY'],
+    ASSIGNED: ['OUT_FOR_DELIVERY'],
+    THIRD_ATTEMPT: ['OUT_FOR_DELIVERY'],
+  },
+  MANAGER: {
+    CREATED: ['OUT_FOR_DELIVERY'],
+    ASSIGNED: ['OUT_FOR_DELIVERY'],
+  },
+  DISPATCHER: {
+    CREATED: ['OUT_FOR_DELIVERY'],
+    ASSIGNED: ['OUT_FOR_DELIVERY'],
+  },
+  RIDER: {
+    ASSIGNED: ['OUT_FOR_DELIVERY'],
+  },
+};
+
+// Return-to-origin sub-states of a RETURNED order. The parcel travels back to
+// the warehouse and is then handed over to the shipper against a signature;
+// the shipper's flat returnCharge is only billed at that final step.
+const RETURN_STATUS_TRANSITIONS = {
+  RETURN_IN_TRANSIT: ['RETURN_AT_WAREHOUSE'],
+  RETURN_AT_WAREHOUSE: ['RETURNED_TO_SHIPPER'],
+  RETURNED_TO_SHIPPER: [],
+};
+
+const PENDING_RETURN_STATUSES = ['RETURN_IN_TRANSIT', 'RETURN_AT_WAREHOUSE'];
+
+const normalizeStatus = (status) => String(status || '').trim().toUpperCase();
+
+const isFinalOrderStatus = (status) => FINAL_ORDER_STATUSES.includes(normalizeStatus(status));
+
+const isClosedOrderStatus = (status) => CLOSED_ORDER_STATUSES.includes(normalizeStatus(status));
+
+const getAllowedTransitions = (fromStatus, role) => {
+  const from = normalizeStatus(fromStatus);
+  const base = ORDER_STATUS_TRANSITIONS[from] || [];
+  const overrides = (ROLE_TRANSITION_OVERRIDES[normalizeStatus(role)] || {})[from] || [];
+  return Array.from(new Set([...base, ...overrides]));
+};
+
+const canTransition = (fromStatus, toStatus, role) =>
+  getAllowedTransitions(fromStatus, role).includes(normalizeStatus(toStatus));
+
+/**
+ * Build the 409 response body for an illegal move. Returns null when the move
+ * is allowed so callers can write:
+ *
+ *   const conflict = getTransitionError(order.status, 'DELIVERED', req.user.role);
+ *   if (conflict) return res.status(409).json(conflict);
+ */
+const getTransitionError = (fromStatus, toStatus, role) => {
+  if (canTransition(fromStatus, toStatus, role)) return null;
+
+  const from = normalizeStatus(fromStatus);
+  const to = normalizeStatus(toStatus);
+  const allowed = getAllowedTransitions(from, role);
+
+  let message;
+  if (from === to) {
+    message = `Order is already ${from}`;
+  } else if (!allowed.length) {
+    message = `Order is ${from} and its status can no longer be changed`;
+  } else {
+    message = `Cannot change order status from ${from} to ${to}`;
+  }
+
+  return {
+    message,
+    code: 'INVALID_STATUS_TRANSITION',
+    currentStatus: from,
+    requestedStatus: to,
+    allowedStatuses: allowed,
+  };
+};
+
+const getReturnTransitionError = (fromReturnStatus, toReturnStatus) => {
+  const from = normalizeStatus(fromReturnStatus);
+  const to = normalizeStatus(toReturnStatus);
+  const allowed = RETURN_STATUS_TRANSITIONS[from] || [];
+  if (allowed.includes(to)) return null;
+
+  return {
+    message: from
+      ? `Cannot move return from ${from} to ${to}`
+      : 'Order is not an active return',
+    code: 'INVALID_RETURN_TRANSITION',
+    currentReturnStatus: from || null,
+    requestedReturnStatus: to,
+    allowedStatuses: allowed,
+  };
+};
+
+const isPendingReturn = (order) =>
+  !!order && PENDING_RETURN_STATUSES.includes(normalizeStatus(order.returnStatus));
+
+// Prisma filter for orders that can be billed to the shipper: returns still on
+// their way back are excluded until they are handed over. Older RETURNED
+// orders pre-date RTO tracking (returnStatus null) and were billed already.
+const billableReturnWhere = () => ({
+  OR: [{ returnStatus: null }, { returnStatus: 'RETURNED_TO_SHIPPER' }],
+});
+
+module.exports = {
+  ORDER_STATUSES,
+  FINAL_ORDER_STATUSES,
+  CLOSED_ORDER_STATUSES,
+  ORDER_STATUS_TRANSITIONS,
+  ROLE_TRANSITION_OVERRIDES,
+  isFinalOrderStatus,
+  isClosedOrderStatus,
+  getAllowedTransitions,
+  canTransition,
+  getTransitionError,
+  RETURN_STATUS_TRANSITIONS,
+  PENDING_RETURN_STATUSES,
+  getReturnTransitionError,
+  isPendingReturn,
+  billableReturnWhere,
+};
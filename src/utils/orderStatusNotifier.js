@@ -0,0 +1,52 @@
+const { enqueueWebhook } = require('./webhookDelivery');
+const { isShopifyOrder, syncShopifyFulfillment } = require('./shopifyFulfillment');
+
+const ORDER_STATUS_EVENT = 'order.status_changed';
+
+const buildStatusPayload = (order, { previousStatus, note } = {}) => ({
+  orderId: order.id,
+  bookingId: order.bookingId,
+  trackingId: order.trackingId,
+  externalOrderId: order.externalOrderId || null,
+  orderNumber: order.sourceProviderOrderNumber || null,
+  status: order.status,
+  previousStatus: previousStatus || null,
+  returnStatus: order.returnStatus || null,
+  note: note || null,
+  codAmount: order.codAmount,
+  amountCollected: order.amountCollected ?? null,
+  updatedAt: (order.updatedAt || new Date()).toISOString(),
+});
+
+/**
+ * Tell the shipper's systems an order moved: their status webhook and, for
+ * orders imported from Shopify, the store's fulfillment. Call after the status
+ * change is committed; it never throws, so callers do not need to await it.
+ */
+const notifyOrderStatusChange = async (order, options = {}) => {
+  if (!order || !order.shipperId) return;
+  try {
+    await enqueueWebhook({
+      shipperId: order.shipperId,
+      orderId: order.id,
+      event: ORDER_STATUS_EVENT,
+      data: buildStatusPayload(order, options),
+    });
+  } catch (err) {
+    console.error('[OrderStatusNotifier] Failed to queue status webhook', order.id, err.message);
+  }
+
+  if (isShopifyOrder(order)) {
+    try {
+      await syncShopifyFulfillment(order);
+    } catch (err) {
+      console.error('[OrderStatusNotifier] Shopify fulfillment sync failed', order.id, err.message);
+    }
+  }
+};
+
+module.exports = {
+  ORDER_STATUS_EVENT,
+  buildStatusPayload,
+  notifyOrderStatusChange,
+};
@@ -0,0 +1,163 @@
+const { computeOrderServiceCharge, validateDimensions } = require('./serviceChargeCalculator');
+
+const SERVICE_TYPES = ['SAME_DAY', 'OVERNIGHT', 'ECONOMY'];
+const PAYMENT_TYPES = ['COD', 'ADVANCE'];
+
+const isBlank = (value) =>
+  value === undefined || value === null || !String(value).trim();
+
+/**
+ * Validate a manually booked order (single create or one bulk upload row)
+ * against the shipper's commission config (loaded with weightBrackets and
+ * rateCards) and build the Prisma data for it.
+ *
+ * Returns { errors, data }. `errors` is empty when the input is valid; `data`
+ * is then ready for prisma.order.create once bookingId, trackingId and
+ * shipperId are added.
+ */
+const buildManualOrderData = (input, commissionConfig) => {
+  const errors = [];
+  const {
+    consigneeName,
+    consigneePhone,
+    consigneeAddress,
+    destinationCity,
+    serviceType,
+    codAmount,
+    productDescription,
+    pieces,
+    fragile,
+    remarks,
+    paymentType,
+    weightKg,
+  } = input || {};
+
+  if (isBlank(consigneeName)) errors.push('Consignee name is required');
+  if (isBlank(consigneePhone)) {
+    errors.push('Consignee phone is required');
+  } else {
+    const digits = String(consigneePhone).replace(/[^0-9]/g, '');
+    if (digits.length < 7 || digits.length > 15) {
+      errors.push('Invalid consignee phone format');
+    }
+  }
+  if (isBlank(consigneeAddress)) errors.push('Consignee address is required');
+  if (isBlank(destinationCity)) errors.push('Destination city is required');
+
+  if (isBlank(productDescription)) {
+    errors.push('Product description is required');
+  }
+
+  const numericWeight = Number(weightKg);
+  if (!weightKg || !Number.isFinite(numericWeight) || numericWeight <= 0) {
+    errors.push('weightKg required and must be > 0');
+  }
+
+  const dimensionCheck = validateDimensions(input);
+  if (!dimensionCheck.isValid) errors.push(dimensionCheck.error);
+  const dimensions = dimensionCheck.dimensions;
+
+  const normalizedServiceType = isBlank(serviceType)
+    ? 'SAME_DAY'
+    : String(serviceType).trim().toUpperCase().replace(/[\s-]+/g, '_');
+  if (!SERVICE_TYPES.includes(normalizedServiceType)) {
+    errors.push(`Service type must be one of ${SERVICE_TYPES.join(', ')}`);
+  }
+
+  const numericCod = isBlank(codAmount) ? 0 : Number(codAmount);
+  if (!Number.isFinite(numericCod) || numericCod < 0) {
+    errors.push('COD amount must be a non-negative number');
+  }
+
+  const normalizedPaymentType = isBlank(paymentType)
+    ? numericCod > 0
+      ? 'COD'
+      : 'ADVANCE'
+    : String(paymentType).trim().toUpperCase();
+  if (!PAYMENT_TYPES.includes(normalizedPaymentType)) {
+    errors.push('Payment type must be COD or ADVANCE');
+  }
+
+  const numericPieces = isBlank(pieces) ? 1 : Number(pieces);
+  if (!Number.isInteger(numericPieces) || numericPieces <= 0) {
+    errors.push('pieces must be a positive integer');
+  }
+
+  let serviceCharges = 0;
+  let deliveryZone = null;
+  let billedOn = null;
+  if (!commissionConfig) {
+    errors.push('No commission configuration found for this shipper');
+  } else if (Number.isFinite(numericWeight) && numericWeight > 0) {
+    // Priced by destination zone and service type when the shipper has a
+    // rate card for them
+    const result = computeOrderServiceCharge(
+      {
+        weightKg: numericWeight,
+        destinationCity,
+        serviceType: normalizedServiceType,
+        ...dimensions,
+      },
+      commissionConfig,
+    );
+    if (!result.rule) {
+      errors.push('No commission rule configured for this shipper');
+    } else if (!result.serviceCharges || result.serviceCharges <= 0) {
+      errors.push('No commission rule matched for this weight for this shipper');
+    } else {
+      serviceCharges = result.serviceCharges;
+      deliveryZone = result.zone;
+      billedOn = result;
+    }
+  }
+
+  if (errors.length) {
+    return { errors, data: null };
+  }
+
+  const effectiveCodAmount = normalizedPaymentType === 'ADVANCE' ? 0 : numericCod;
+  const fragileFlag =
+    typeof fragile === 'string'
+      ? ['true', 'yes', 'y', '1'].includes(fragile.trim().toLowerCase())
+      : !!fragile;
+
+  return {
+    errors,
+    data: {
+      consigneeName: String(consigneeName).trim(),
+      consigneePhone: String(consigneePhone).trim(),
+      consigneeAddress: String(consigneeAddress).trim(),
+      destinationCity: String(destinationCity).trim(),
+      serviceType: normalizedServiceType,
+      paymentType: normalizedPaymentType,
+      codAmount: effectiveCodAmount,
+      productDescription: String(productDescription).trim(),
+      pieces: numericPieces,
+      fragile: fragileFlag,
+      weightKg: numericWeight,
+      lengthCm: dimensions ? dimensions.lengthCm : null,
+      widthCm: dimensions ? dimensions.widthCm : null,
+      heightCm: dimensions ? dimensions.heightCm : null,
+      volumetricWeightKg: billedOn.volumetricWeightKg,
+      serviceCharges,
+      serviceChargesWeightUsed: billedOn.weightUsed,
+      serviceChargesWeightBasis: billedOn.weightBasis,
+      deliveryZone,
+      totalAmount: effectiveCodAmount + serviceCharges,
+      remarks: isBlank(remarks) ? null : String(remarks).trim(),
+      status: 'CREATED',
+      isIntegrated: false,
+      bookingState: 'BOOKED',
+      bookedWithLLL: true,
+      isDeleted: false,
+      shipperApprovalStatus: 'approved',
+      source: 'MANUAL',
+    },
+  };
+};
+
+module.exports = {
+  SERVICE_TYPES,
+  PAYMENT_TYPES,
+  buildManualOrderData,
+};
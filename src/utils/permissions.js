@@ -0,0 +1,152 @@
+const prisma = require('../prismaClient');
+
+// Every permission a staff account can hold. Routes check these through
+// requirePermission; the CEO edits which roles get which, and can grant or
+// revoke individual ones per user.
+const PERMISSIONS = {
+  'orders.view_all': 'See every shipper\'s orders, quotes and pending integrated orders',
+  'orders.edit': 'Edit booked order details',
+  'orders.cancel': 'Cancel orders before pickup',
+  'orders.assign': 'Assign riders to orders',
+  'orders.update_status': 'Update order status and capture proof of delivery',
+  'warehouse.scan': 'Warehouse arrival, return and handover scans',
+  'runsheets.manage': 'Create, view and close rider runsheets',
+  'reports.export': 'Export the orders report',
+  'invoices.view': 'View and export invoices and the aging report',
+  'invoices.write': 'Create, edit, finalize and email invoices',
+  'invoices.void': 'Void invoices and issue credit notes',
+  'invoices.payments': 'Record invoice payments',
+  'finance.view': 'View shipper, rider and company finance summaries and ledger',
+  'finance.settle': 'Settle transactions and rider settlements',
+  'finance.remittances': 'Create shipper COD remittance batches',
+  'finance.close_period': 'Close the finance month',
+  'riders.finance': 'View rider finance, daily reports and cash balances',
+  'riders.cash': 'Record rider cash deposits and service charge status',
+  'commission.view': 'View shipper and rider commission settings',
+  'commission.write': 'Change shipper and rider commission settings',
+  'users.view': 'List riders and shippers',
+  'users.manage': 'Activate/deactivate users and reset their passwords',
+  'shippers.approve': 'Approve shipper commission setup',
+  'company_profile.view': 'View the company profile',
+  'company_profile.edit': 'Edit the company profile and logo',
+};
+
+const PERMISSION_KEYS = Object.keys(PERMISSIONS);
+
+// Shipper and rider access is scoped to their own data by the controllers and
+// stays role-based; permissions only apply to staff.
+const STAFF_ROLES = ['CEO', 'MANAGER', 'WAREHOUSE', 'DISPATCHER', 'ACCOUNTANT'];
+
+// What each editable role gets until the CEO changes it. MANAGER matches the
+// access managers had before permissions existed.
+const DEFAULT_ROLE_PERMISSIONS = {
+  MANAGER: PERMISSION_KEYS.filter((key) => key !== 'company_profile.edit'),
+  // Arrival/return scans with weighing, and assigning parcels by scan
+  WAREHOUSE: ['warehouse.scan', 'orders.assign', 'users.view'],
+  DISPATCHER: ['warehouse.scan', 'orders.assign', 'runsheets.manage', 'users.view'],
+  ACCOUNTANT: [
+    'invoices.view',
+    'invoices.write',
+    'invoices.void',
+    'invoices.payments',
+    'finance.view',
+    'finance.settle',
+    'finance.remittances',
+    'finance.close_period',
+    'riders.finance',
+    'riders.cash',
+  ],
+};
+
+const ROLE_PERMISSIONS_SETTING = 'ROLE_PERMISSIONS';
+const CACHE_TTL_MS = 30 * 1000;
+
+let cachedRolePermissions = null;
+let cachedAt = 0;
+
+const isEditableRole = (role) => STAFF_ROLES.includes(role) && role !== 'CEO';
+
+const sanitize = (permissions) =>
+  Array.from(new Set((permissions || []).filter((p) => PERMISSIONS[p])));
+
+// Role -> permission list for every editable role, defaults filled in
+const getRolePermissions = async () => {
+  if (cachedRolePermissions && Date.now() - cachedAt < CACHE_TTL_MS) {
+    return cachedRolePermissions;
+  }
+
+  const setting = await prisma.systemSetting.findUnique({
+    where: { key: ROLE_PERMISSIONS_SETTING },
+  });
+  let stored = {};
+  if (setting) {
+    try {
+      stored = JSON.parse(setting.value) || {};
+    } catch (e) {
+      stored = {};
+    }
+  }
+
+  const mapping = {};
+  STAFF_ROLES.filter(isEditableRole).forEach((role) => {
+    mapping[role] = Array.isArray(stored[role])
+      ? sanitize(stored[role])
+      : DEFAULT_ROLE_PERMISSIONS[role] || [];
+  });
+
+  cachedRolePermissions = mapping;
+  cachedAt = Date.now();
+  return mapping;
+};
+
+const setRolePermissions = async (role, permissions) => {
+  const current = await getRolePermissions();
+  const next = { ...current, [role]: sanitize(permissions) };
+  const value = JSON.stringify(next);
+  await prisma.systemSetting.upsert({
+    where: { key: ROLE_PERMISSIONS_SETTING },
+    update: { value },
+    create: { key: ROLE_PERMISSIONS_SETTING, value },
+  });
+  cachedRolePermissions = next;
+  cachedAt = Date.now();
+  return next[role];
+};
+
+/**
+ * Effective permissions for a user ({ id, role }) as a Set. The CEO always
+ * holds everything; other staff get their role's list plus granted overrides,
+ * minus revoked ones. Non-staff roles hold none.
+ */
+const getUserPermissions = async (user) => {
+  if (!user || !STAFF_ROLES.includes(user.role)) return new Set();
+  if (user.role === 'CEO') return new Set(PERMISSION_KEYS);
+
+  const [rolePermissions, overrides] = await Promise.all([
+    getRolePermissions(),
+    prisma.userPermissionOverride.findMany({ where: { userId: user.id } }),
+  ]);
+
+  const granted = new Set(rolePermissions[user.role] || []);
+  overrides.forEach((o) => {
+    if (!PERMISSIONS[o.permission]) return;
+    if (o.granted) granted.add(o.permission);
+    else granted.delete(o.permission);
+  });
+  return granted;
+};
+
+const hasPermission = async (user, permission) =>
+  (await getUserPermissions(user)).has(permission);
+
+module.exports = {
+  PERMISSIONS,
+  PERMISSION_KEYS,
+  STAFF_ROLES,
+  DEFAULT_ROLE_PERMISSIONS,
+  isEditableRole,
+  getRolePermissions,
+  setRolePermissions,
+  getUserPermissions,
+  hasPermission,
+};
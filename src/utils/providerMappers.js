@@ -86,5 +86,9 @@ exports.mapCustom = (payload) => ({
   pieces: Number(payload.pieces || 1),
   fragile: Boolean(payload.fragile || false),
   weightKg: Number(payload.weightKg || payload.weight || 0.1), // Support both weightKg and weight fields
+  // Optional parcel size in cm for volumetric billing
+  lengthCm: payload.lengthCm ?? null,
+  widthCm: payload.widthCm ?? null,
+  heightCm: payload.heightCm ?? null,
   remarks: payload.remarks || "Imported via Custom",
 });
@@ -0,0 +1,115 @@
+const {
+  computeOrderServiceCharge,
+  getVolumetricDivisor,
+  validateDimensions,
+} = require('./serviceChargeCalculator');
+const { SERVICE_TYPES } = require('./orderValidation');
+
+const isBlank = (value) =>
+  value === undefined || value === null || !String(value).trim();
+
+/**
+ * Price a parcel the way booking would, without creating it.
+ *
+ * `input` takes weightKg, destinationCity, serviceType (default SAME_DAY),
+ * optional lengthCm/widthCm/heightCm and an optional codAmount for the
+ * total. `commissionConfig` must be loaded with weightBrackets and rateCards.
+ *
+ * Returns { errors, quote }; `quote` is null when errors is not empty.
+ */
+const buildRateQuote = (input, commissionConfig) => {
+  const errors = [];
+  const { weightKg, destinationCity, serviceType, codAmount } = input || {};
+
+  const numericWeight = Number(weightKg);
+  if (isBlank(weightKg) || !Number.isFinite(numericWeight) || numericWeight <= 0) {
+    errors.push('weightKg required and must be > 0');
+  }
+  if (isBlank(destinationCity)) errors.push('Destination city is required');
+
+  const normalizedServiceType = isBlank(serviceType)
+    ? 'SAME_DAY'
+    : String(serviceType).trim().toUpperCase().replace(/[\s-]+/g, '_');
+  if (!SERVICE_TYPES.includes(normalizedServiceType)) {
+    errors.push(`Service type must be one of ${SERVICE_TYPES.join(', ')}`);
+  }
+
+  const dimensionCheck = validateDimensions(input);
+  if (!dimensionCheck.isValid) errors.push(dimensionCheck.error);
+
+  const numericCod = isBlank(codAmount) ? 0 : Number(codAmount);
+  if (!Number.isFinite(numericCod) || numericCod < 0) {
+    errors.push('COD amount must be a non-negative number');
+  }
+
+  if (!commissionConfig) {
+    errors.push('No commission configuration found for this shipper');
+  }
+
+  if (errors.length) {
+    return { errors, quote: null };
+  }
+
+  const city = String(destinationCity).trim();
+  const result = computeOrderServiceCharge(
+    {
+      weightKg: numericWeight,
+      destinationCity: city,
+      serviceType: normalizedServiceType,
+      ...dimensionCheck.dimensions,
+    },
+    commissionConfig,
+  );
+
+  if (!result.rule) {
+    return { errors: ['No commission rule configured for this shipper'], quote: null };
+  }
+  if (!result.serviceCharges || result.serviceCharges <= 0) {
+    return {
+      errors: ['No commission rule matched for this weight for this shipper'],
+      quote: null,
+    };
+  }
+
+  const { rule } = result;
+  const overageCharge = result.overageKg * rule.overagePerKgPkr;
+
+  return {
+    errors,
+    quote: {
+      currency: 'PKR',
+      destinationCity: city,
+      zone: result.zone,
+      serviceType: normalizedServiceType,
+      weight: {
+        actualKg: numericWeight,
+        volumetricKg: result.volumetricWeightKg,
+        volumetricDivisor: result.volumetricWeightKg !== null ? getVolumetricDivisor() : null,
+        chargeableKg: result.weightUsed,
+        basis: result.weightBasis,
+      },
+      serviceCharges: result.serviceCharges,
+      breakdown: {
+        baseCharge: result.serviceCharges - overageCharge,
+        overageKg: result.overageKg,
+        overagePerKgPkr: rule.overagePerKgPkr,
+        overageCharge,
+      },
+      matchedRule: {
+        source: result.source,
+        minWeightKg: rule.minWeightKg,
+        maxWeightKg: rule.maxWeightKg,
+        flatChargePkr: rule.flatChargePkr,
+        overagePerKgPkr: rule.overagePerKgPkr,
+      },
+      // Billed instead of serviceCharges if the parcel comes back
+      returnCharge: Number(commissionConfig.returnCharge || 0),
+      codAmount: numericCod,
+      totalAmount: numericCod + result.serviceCharges,
+    },
+  };
+};
+
+module.exports = {
+  buildRateQuote,
+};
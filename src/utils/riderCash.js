@@ -0,0 +1,172 @@
+const prisma = require('../prismaClient');
+
+// COD a rider physically holds for a delivered order
+const collectedCodFor = (order) =>
+  order.status === 'DELIVERED' && order.paymentType === 'COD'
+    ? Number(order.amountCollected ?? order.codAmount ?? 0)
+    : 0;
+
+const deliveredCodWhere = (riderId) => ({
+  assignedRiderId: riderId,
+  status: 'DELIVERED',
+  paymentType: 'COD',
+  isDeleted: false,
+});
+
+/**
+ * Outstanding cash per rider: COD collected on delivered orders minus every
+ * deposit recorded for the rider. A positive balance is company money the
+ * rider is still holding; a negative one means the rider handed in excess.
+ * Cash collected before the ledger existed is covered by the opening deposits
+ * from scripts/backfillRiderCashDeposits.js.
+ *
+ * Pass riderIds to limit the calculation, otherwise every rider with delivered
+ * COD or a deposit is returned. Returns a Map keyed by rider id.
+ */
+const getRiderCashBalances = async (riderIds, client = prisma) => {
+  const riderFilter = Array.isArray(riderIds) ? { in: riderIds } : { not: null };
+
+  const [orders, deposits] = await Promise.all([
+    client.order.findMany({
+      where: deliveredCodWhere(riderFilter),
+      select: {
+        assignedRiderId: true,
+        status: true,
+        paymentType: true,
+        codAmount: true,
+        amountCollected: true,
+        cashDepositItem: { select: { id: true } },
+      },
+    }),
+    client.riderCashDeposit.groupBy({
+      by: ['riderId'],
+      where: Array.isArray(riderIds) ? { riderId: { in: riderIds } } : {},
+      _sum: { amount: true },
+      _count: { _all: true },
+      _max: { depositedAt: true },
+    }),
+  ]);
+
+  const balances = new Map();
+  const ensure = (riderId) => {
+    if (!balances.has(riderId)) {
+      balances.set(riderId, {
+        riderId,
+        codCollected: 0,
+        deposited: 0,
+        outstanding: 0,
+        deliveredCodOrders: 0,
+        undepositedOrders: 0,
+        undepositedCod: 0,
+        depositCount: 0,
+        lastDepositAt: null,
+      });
+    }
+    return balances.get(riderId);
+  };
+
+  (riderIds || []).forEach(ensure);
+
+  orders.forEach((order) => {
+    const entry = ensure(order.assignedRiderId);
+    const cod = collectedCodFor(order);
+    entry.codCollected += cod;
+    entry.deliveredCodOrders += 1;
+    if (!order.cashDepositItem) {
+      entry.undepositedOrders += 1;
+      entry.undepositedCod += cod;
+    }
+  });
+
+  deposits.forEach((row) => {
+    const entry = ensure(row.riderId);
+    entry.deposited = Number(row._sum.amount || 0);
+    entry.depositCount = row._count._all;
+    entry.lastDepositAt = row._max.depositedAt;
+  });
+
+  balances.forEach((entry) => {
+    entry.outstanding = entry.codCollected - entry.deposited;
+  });
+
+  return balances;
+};
+
+/**
+ * Check the orders a deposit should cover: each must be a delivered COD order
+ * of the rider that is not already linked to a deposit.
+ * Returns { orders, errors }.
+ */
+const findDepositableOrders = async (riderId, orderIds, client = prisma) => {
+  if (!orderIds.length) return { orders: [], errors: [] };
+
+  const orders = await client.order.findMany({
+    where: { id: { in: orderIds } },
+    select: {
+      id: true,
+      bookingId: true,
+      assignedRiderId: true,
+      status: true,
+      paymentType: true,
+      codAmount: true,
+      amountCollected: true,
+      isDeleted: true,
+      cashDepositItem: { select: { depositId: true } },
+    },
+  });
+
+  const errors = [];
+  const foundIds = new Set(orders.map((o) => o.id));
+  orderIds
+    .filter((id) => !foundIds.has(id))
+    .forEach((id) => errors.push({ orderId: id, message: 'Order not found' }));
+
+  orders.forEach((order) => {
+    let message = null;
+    if (order.isDeleted) message = 'Order not found';
+    else if (order.assignedRiderId !== riderId) message = 'Order is not assigned to this rider';
+    else if (order.status !== 'DELIVERED' || order.paymentType !== 'COD') {
+      message = 'Only delivered COD orders can be linked to a cash deposit';
+    } else if (order.cashDepositItem) {
+      message = `Cash for this order was already deposited (deposit #${order.cashDepositItem.depositId})`;
+    }
+    if (message) errors.push({ orderId: order.id, bookingId: order.bookingId, message });
+  });
+
+  return { orders: errors.length ? [] : orders, errors };
+};
+
+/**
+ * Record a deposit and link the covered orders. Must run inside a transaction.
+ */
+const createCashDeposit = (tx, { riderId, amount, orders, receivedById, reference, notes, runsheetId, depositedAt }) =>
+  tx.riderCashDeposit.create({
+    data: {
+      riderId,
+      amount,
+      receivedById,
+      reference: reference || null,
+      notes: notes || null,
+      runsheetId: runsheetId || null,
+      ...(depositedAt ? { depositedAt } : {}),
+      items: {
+        create: (orders || []).map((order) => ({
+          orderId: order.id,
+          codAmount: collectedCodFor(order),
+        })),
+      },
+    },
+    include: {
+      receivedBy: { select: { id: true, name: true } },
+      items: {
+        include: { order: { select: { id: true, bookingId: true, trackingId: true } } },
+      },
+    },
+  });
+
+module.exports = {
+  collectedCodFor,
+  getRiderCashBalances,
+  findDepositableOrders,
+  createCashDeposit,
+};
@@ -0,0 +1,55 @@
+const rateLimit = require('express-rate-limit');
+const prisma = require('../prismaClient');
+
+const normalizeEmail = (email) => {
+  const value = String(email || '').trim().toLowerCase();
+  return value ? value.slice(0, 191) : null;
+};
+
+/**
+ * Append an entry to the security event log. Never throws: a failed write is
+ * logged and the request carries on, so auditing cannot break sign-in.
+ *
+ * `details` takes userId, email and metadata (any JSON).
+ */
+const recordSecurityEvent = async (req, type, { userId = null, email = null, metadata } = {}) => {
+  try {
+    await prisma.securityEvent.create({
+      data: {
+        type,
+        userId,
+        email: normalizeEmail(email),
+        ipAddress: req ? String(req.ip || '').slice(0, 64) || null : null,
+        userAgent: req ? String(req.get('user-agent') || '').slice(0, 500) || null : null,
+        ...(metadata ? { metadata } : {}),
+      },
+    });
+  } catch (err) {
+    console.error('[SecurityEvents] Failed to record event', type, err.message);
+  }
+};
+
+/**
+ * Per-IP limiter for an auth endpoint. Requests over the limit get a 429 and
+ * a RATE_LIMITED event naming the endpoint.
+ */
+const authRateLimiter = ({ name, windowMs, max, message }) =>
+  rateLimit({
+    windowMs,
+    max,
+    standardHeaders: true,
+    legacyHeaders: false,
+    handler: (req, res, next, options) => {
+      recordSecurityEvent(req, 'RATE_LIMITED', {
+        email: req.body && req.body.email,
+        metadata: { endpoint: name },
+      });
+      res.status(options.statusCode).json({ message });
+    },
+  });
+
+module.exports = {
+  normalizeEmail,
+  recordSecurityEvent,
+  authRateLimiter,
+};
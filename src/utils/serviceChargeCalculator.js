@@ -1,4 +1,43 @@
 const prisma = require('../prismaClient');
+const { getDeliveryZone } = require('./deliveryZones');
+
+// Cubic centimetres per kg; 5000 is the usual courier divisor
+const DEFAULT_VOLUMETRIC_DIVISOR = 5000;
+
+const getVolumetricDivisor = () => {
+  const divisor = Number(process.env.VOLUMETRIC_DIVISOR);
+  return Number.isFinite(divisor) && divisor > 0 ? divisor : DEFAULT_VOLUMETRIC_DIVISOR;
+};
+
+/**
+ * Volumetric weight of a parcel from its lengthCm, widthCm and heightCm,
+ * rounded to the gram. Null unless all three dimensions are positive.
+ */
+function computeVolumetricWeightKg(dimensions) {
+  if (!dimensions) return null;
+  const sides = [dimensions.lengthCm, dimensions.widthCm, dimensions.heightCm].map((v) =>
+    v === null || v === undefined || v === '' ? NaN : Number(v),
+  );
+  if (!sides.every((v) => Number.isFinite(v) && v > 0)) return null;
+
+  const kg = (sides[0] * sides[1] * sides[2]) / getVolumetricDivisor();
+  return Math.round(kg * 1000) / 1000;
+}
+
+/**
+ * Weight an order is billed on: the greater of its actual weightKg and its
+ * volumetric weight. Returns { weightKg, basis, volumetricWeightKg } with
+ * basis 'ACTUAL' or 'VOLUMETRIC'.
+ */
+function getChargeableWeight(order) {
+  const actual = Number(order && order.weightKg);
+  const volumetricWeightKg = computeVolumetricWeightKg(order);
+
+  if (volumetricWeightKg !== null && (!Number.isFinite(actual) || volumetricWeightKg > actual)) {
+    return { weightKg: volumetricWeightKg, basis: 'VOLUMETRIC', volumetricWeightKg };
+  }
+  return { weightKg: actual, basis: 'ACTUAL', volumetricWeightKg };
+}
 
 // Normalize a CommissionConfig into the new single-rule fields, falling back to
 // legacy WeightBracket[] data if the new fields are not populated.
@@ -138,12 +177,108 @@ function computeServiceChargeKgBased(actualWeightKg, config) {
   };
 }
 
+// Rate card bands of one zone and service type, lightest first
+function getRateCardBands(config, zone, serviceType) {
+  const cards = config && Array.isArray(config.rateCards) ? config.rateCards : [];
+  return cards
+    .filter((c) => c.zone === zone && c.serviceType === serviceType)
+    .map((c) => ({
+      minKg: Number(c.minKg),
+      maxKg: c.maxKg === null || c.maxKg === undefined ? null : Number(c.maxKg),
+      chargePkr: Number(c.chargePkr || 0),
+      overagePerKgPkr: Number(c.overagePerKgPkr || 0),
+    }))
+    .sort((a, b) => a.minKg - b.minKg);
+}
+
+/**
+ * Price a weight against rate card bands. A band matches when
+ * minKg <= weight <= maxKg (the lighter band wins on a shared boundary).
+ * Above the heaviest band its charge applies plus overagePerKgPkr per started
+ * kg over its maxKg. Returns null when no band covers the weight.
+ */
+function computeRateCardCharge(weight, bands) {
+  if (!bands.length) return null;
+
+  const band = bands.find(
+    (b) => weight >= b.minKg && (b.maxKg === null || weight <= b.maxKg),
+  );
+  if (band) {
+    return { serviceCharges: band.chargePkr, overageKg: 0, band };
+  }
+
+  const heaviest = bands[bands.length - 1];
+  if (heaviest.maxKg !== null && weight > heaviest.maxKg) {
+    const overageKg = Math.ceil(weight - heaviest.maxKg);
+    return {
+      serviceCharges: heaviest.chargePkr + overageKg * heaviest.overagePerKgPkr,
+      overageKg,
+      band: heaviest,
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Service charge for an order-like { weightKg, destinationCity, serviceType }
+ * with optional lengthCm/widthCm/heightCm.
+ *
+ * Bills the chargeable weight (see getChargeableWeight) using the shipper's
+ * rate card for the destination zone and service type when one covers it,
+ * otherwise the single-rule config (computeServiceChargeKgBased). Load the
+ * config with include: { weightBrackets: true, rateCards: true }.
+ *
+ * Returns { serviceCharges, overageKg, rule, zone, source, weightUsed,
+ * weightBasis, volumetricWeightKg } where source is 'RATE_CARD' or 'DEFAULT'
+ * and rule uses the single-rule field names either way.
+ */
+function computeOrderServiceCharge(order, config) {
+  const chargeable = getChargeableWeight(order);
+  const weight = chargeable.weightKg;
+  const billedOn = {
+    weightUsed: Number.isFinite(weight) && weight > 0 ? weight : null,
+    weightBasis: chargeable.basis,
+    volumetricWeightKg: chargeable.volumetricWeightKg,
+  };
+  const zone = getDeliveryZone(order && order.destinationCity);
+  const serviceType = String((order && order.serviceType) || 'SAME_DAY').toUpperCase();
+
+  if (Number.isFinite(weight) && weight > 0) {
+    const card = computeRateCardCharge(weight, getRateCardBands(config, zone, serviceType));
+    if (card) {
+      return {
+        serviceCharges: Math.max(0, card.serviceCharges),
+        overageKg: card.overageKg,
+        rule: {
+          minWeightKg: card.band.minKg,
+          maxWeightKg: card.band.maxKg,
+          flatChargePkr: card.band.chargePkr,
+          overagePerKgPkr: card.band.overagePerKgPkr,
+        },
+        zone,
+        source: 'RATE_CARD',
+        ...billedOn,
+      };
+    }
+  }
+
+  return {
+    ...computeServiceChargeKgBased(weight, config),
+    zone,
+    source: 'DEFAULT',
+    ...billedOn,
+  };
+}
+
 /**
  * Calculate service charges based on weight and shipper's commission
- * configuration (Prisma-based lookup).
+ * configuration (Prisma-based lookup). Parcels with dimensions are billed on
+ * the greater of actual and volumetric weight.
  *
- * @param {Object} order - Order-like object with at least shipperId (or shipper.id) and weightKg
- * @param {number|null} weightKg - Explicit weight in kg (optional, falls back to order.weightKg)
+ * @param {Object} order - Order-like object with at least shipperId (or shipper.id) and weightKg;
+ *   destinationCity and serviceType select the rate card
+ * @param {number|null} weightKg - Explicit actual weight in kg (optional, falls back to order.weightKg)
  * @returns {Promise<{ serviceCharges: number, snapshot: object|null }>}
  */
 const calculateServiceCharges = async (order, weightKg = null) => {
@@ -166,13 +301,19 @@ const calculateServiceCharges = async (order, weightKg = null) => {
 
     const commissionConfig = await prisma.commissionConfig.findUnique({
       where: { shipperId: Number(shipperId) },
-      include: { weightBrackets: true },
+      include: { weightBrackets: true, rateCards: true },
     });
 
-    const { serviceCharges, overageKg, rule } = computeServiceChargeKgBased(
-      weight,
-      commissionConfig,
-    );
+    const {
+      serviceCharges,
+      overageKg,
+      rule,
+      zone,
+      source,
+      weightUsed,
+      weightBasis,
+      volumetricWeightKg,
+    } = computeOrderServiceCharge({ ...order, weightKg: weight }, commissionConfig);
 
     if (!rule) {
       console.warn(
@@ -185,12 +326,17 @@ const calculateServiceCharges = async (order, weightKg = null) => {
     }
 
     const snapshot = {
-      weightUsed: weight,
+      weightUsed,
+      weightBasis,
+      actualWeightKg: weight,
+      volumetricWeightKg,
       bracketMin: rule.minWeightKg,
       bracketMax: rule.maxWeightKg,
       rate: rule.flatChargePkr,
       overagePerKgPkr: rule.overagePerKgPkr,
       overageKg,
+      zone,
+      source,
       calculatedAt: new Date(),
     };
 
@@ -207,6 +353,42 @@ const calculateServiceCharges = async (order, weightKg = null) => {
   }
 };
 
+/**
+ * Validate optional parcel dimensions. Either all of lengthCm, widthCm and
+ * heightCm are given or none; returns { isValid, error, dimensions } where
+ * dimensions is null when none were given.
+ */
+const validateDimensions = (input, maxCm = 300) => {
+  const keys = ['lengthCm', 'widthCm', 'heightCm'];
+  const given = keys.filter((k) => {
+    const v = input ? input[k] : undefined;
+    return v !== undefined && v !== null && String(v).trim() !== '';
+  });
+
+  if (!given.length) return { isValid: true, error: null, dimensions: null };
+  if (given.length !== keys.length) {
+    return {
+      isValid: false,
+      error: 'lengthCm, widthCm and heightCm must be given together',
+      dimensions: null,
+    };
+  }
+
+  const dimensions = {};
+  for (const key of keys) {
+    const value = Number(input[key]);
+    if (!Number.isFinite(value) || value <= 0) {
+      return { isValid: false, error: `${key} must be greater than 0`, dimensions: null };
+    }
+    if (value > maxCm) {
+      return { isValid: false, error: `${key} cannot exceed ${maxCm}cm`, dimensions: null };
+    }
+    dimensions[key] = value;
+  }
+
+  return { isValid: true, error: null, dimensions };
+};
+
 /**
  * Validate weight value
  * @param {Number} weight - Weight to validate
@@ -244,6 +426,12 @@ const validateWeight = (weight, maxWeight = 50) => {
 module.exports = {
   calculateServiceCharges,
   validateWeight,
+  validateDimensions,
+  getVolumetricDivisor,
+  computeVolumetricWeightKg,
+  getChargeableWeight,
   computeServiceChargeKgBased,
+  computeRateCardCharge,
+  computeOrderServiceCharge,
   normalizeCommissionRule,
 };
@@ -0,0 +1,141 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const prisma = require('../prismaClient');
+
+const DEFAULT_ACCESS_TOKEN_TTL = '15m';
+const DEFAULT_REFRESH_TOKEN_TTL_DAYS = 30;
+
+const getJwtSecret = () => process.env.JWT_SECRET || 'dev_secret_key';
+
+// JWT_EXPIRES_IN now only governs the short-lived access token
+const getAccessTokenTtl = () => process.env.JWT_EXPIRES_IN || DEFAULT_ACCESS_TOKEN_TTL;
+
+const getRefreshTokenTtlMs = () => {
+  const days = Number(process.env.REFRESH_TOKEN_TTL_DAYS);
+  const safeDays = Number.isFinite(days) && days > 0 ? days : DEFAULT_REFRESH_TOKEN_TTL_DAYS;
+  return safeDays * 24 * 60 * 60 * 1000;
+};
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+const generateRefreshToken = () => crypto.randomBytes(48).toString('base64url');
+
+const signAccessToken = (user, sessionId) =>
+  jwt.sign(
+    { id: user.id, role: user.role, name: user.name, email: user.email, sid: sessionId },
+    getJwtSecret(),
+    { expiresIn: getAccessTokenTtl() }
+  );
+
+const clientInfo = (req) => ({
+  userAgent: req ? String(req.get('user-agent') || '').slice(0, 500) || null : null,
+  ipAddress: req ? String(req.ip || '').slice(0, 64) || null : null,
+});
+
+/**
+ * Start a session for a user who has just authenticated.
+ * Returns { accessToken, refreshToken, session }.
+ */
+const createSession = async (user, req) => {
+  const refreshToken = generateRefreshToken();
+  const session = await prisma.userSession.create({
+    data: {
+      userId: user.id,
+      refreshTokenHash: hashToken(refreshToken),
+      expiresAt: new Date(Date.now() + getRefreshTokenTtlMs()),
+      ...clientInfo(req),
+    },
+  });
+
+  return { accessToken: signAccessToken(user, session.id), refreshToken, session };
+};
+
+const revokeSession = (sessionId, reason) =>
+  prisma.userSession.updateMany({
+    where: { id: sessionId, revokedAt: null },
+    data: { revokedAt: new Date(), revokedReason: reason },
+  });
+
+const revokeUserSessions = (userId, reason, { exceptSessionId } = {}) =>
+  prisma.userSession.updateMany({
+    where: {
+      userId,
+      revokedAt: null,
+      ...(exceptSessionId ? { id: { not: exceptSessionId } } : {}),
+    },
+    data: { revokedAt: new Date(), revokedReason: reason },
+  });
+
+const revokeRefreshToken = (refreshToken, reason) =>
+  prisma.userSession.updateMany({
+    where: { refreshTokenHash: hashToken(refreshToken), revokedAt: null },
+    data: { revokedAt: new Date(), revokedReason: reason },
+  });
+
+/**
+ * Exchange a refresh token for a new access/refresh pair. The presented token
+ * stops working; presenting it again revokes the whole session, since only a
+ * copied token would be replayed after rotation.
+ *
+ * Returns { accessToken, refreshToken, session, user } or { error }.
+ */
+const rotateRefreshToken = async (refreshToken, req) => {
+  const tokenHash = hashToken(refreshToken);
+
+  const session = await prisma.userSession.findUnique({
+    where: { refreshTokenHash: tokenHash },
+    include: { user: true },
+  });
+
+  if (!session) {
+    const reused = await prisma.userSession.findUnique({
+      where: { previousTokenHash: tokenHash },
+    });
+    if (reused) {
+      console.warn('[Sessions] Rotated refresh token reused; revoking session', {
+        sessionId: reused.id,
+        userId: reused.userId,
+      });
+      await revokeSession(reused.id, 'REFRESH_TOKEN_REUSED');
+    }
+    return { error: 'Invalid refresh token' };
+  }
+
+  if (session.revokedAt) return { error: 'Session has been revoked' };
+  if (session.expiresAt <= new Date()) return { error: 'Session has expired' };
+  if (!session.user || session.user.status !== 'ACTIVE') {
+    await revokeSession(session.id, 'USER_INACTIVE');
+    return { error: 'Account is inactive. Contact administrator.' };
+  }
+
+  const nextToken = generateRefreshToken();
+  // Conditional on the hash we read so two concurrent refreshes cannot both win
+  const rotated = await prisma.userSession.updateMany({
+    where: { id: session.id, refreshTokenHash: tokenHash, revokedAt: null },
+    data: {
+      refreshTokenHash: hashToken(nextToken),
+      previousTokenHash: tokenHash,
+      lastUsedAt: new Date(),
+      ...clientInfo(req),
+    },
+  });
+  if (rotated.count !== 1) return { error: 'Invalid refresh token' };
+
+  return {
+    accessToken: signAccessToken(session.user, session.id),
+    refreshToken: nextToken,
+    session,
+    user: session.user,
+  };
+};
+
+module.exports = {
+  getJwtSecret,
+  getAccessTokenTtl,
+  getRefreshTokenTtlMs,
+  createSession,
+  rotateRefreshToken,
+  revokeSession,
+  revokeRefreshToken,
+  revokeUserSessions,
+};
@@ -0,0 +1,246 @@
+const prisma = require('../prismaClient');
+
+// Shopify supports each Admin API version for about a year and silently
+// serves the oldest supported one for retired versions; keep this current.
+const API_VERSION = process.env.SHOPIFY_API_VERSION || '2026-07';
+const REQUEST_TIMEOUT_MS = Number(process.env.SHOPIFY_TIMEOUT_MS || 10000);
+const TRACKING_COMPANY = process.env.SHOPIFY_TRACKING_COMPANY || 'LahoreLink Logistics';
+const TRACKING_PAGE_URL = (
+  process.env.TRACKING_PAGE_URL ||
+  `${process.env.FRONTEND_URL || process.env.CLIENT_URL || 'https://lahorelinklogistics.com'}/track`
+).replace(/\/$/, '');
+
+// LLL status -> Shopify fulfillment event status. Statuses not listed here are
+// not pushed to the store.
+const FULFILLMENT_EVENT_BY_STATUS = {
+  OUT_FOR_DELIVERY: 'out_for_delivery',
+  FIRST_ATTEMPT: 'attempted_delivery',
+  SECOND_ATTEMPT: 'attempted_delivery',
+  THIRD_ATTEMPT: 'attempted_delivery',
+  DELIVERED: 'delivered',
+  FAILED: 'failure',
+  RETURNED: 'failure',
+};
+
+// Fulfillment orders Shopify lets us fulfill
+const FULFILLABLE_STATUSES = ['open', 'in_progress'];
+
+// shopifyFulfillmentStatus while one sync is creating the fulfillment. Other
+// syncs leave the order alone until it is set, or until the claim goes stale
+// (the process died mid-request).
+const FULFILLMENT_PENDING = 'pending';
+const PENDING_STALE_MS = 5 * 60 * 1000;
+
+/**
+ * Admin API base for a store. SHOPIFY_ADMIN_BASE_URL points every store at one
+ * host, e.g. http://localhost:4010 for scripts/mockShopifyAdmin.js.
+ */
+const getAdminBaseUrl = (shopDomain) => {
+  const override = String(process.env.SHOPIFY_ADMIN_BASE_URL || '').trim();
+  if (override) return override.replace(/\/$/, '');
+  return `https://${shopDomain}`;
+};
+
+const trackingUrlFor = (trackingId) => `${TRACKING_PAGE_URL}/${encodeURIComponent(trackingId)}`;
+
+const isShopifyOrder = (order) =>
+  !!order && order.source === 'SHOPIFY' && !!order.sourceProviderOrderId && !!order.sourceShopDomain;
+
+const shopifyRequest = async (integration, method, path, body) => {
+  const url = `${getAdminBaseUrl(integration.shopDomain)}/admin/api/${API_VERSION}${path}`;
+  const response = await fetch(url, {
+    method,
+    headers: {
+      'Content-Type': 'application/json',
+      Accept: 'application/json',
+      'X-Shopify-Access-Token': integration.accessToken,
+    },
+    body: body ? JSON.stringify(body) : undefined,
+    signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+  });
+
+  const text = await response.text();
+  let json = null;
+  try {
+    json = text ? JSON.parse(text) : null;
+  } catch (e) {
+    json = null;
+  }
+
+  if (!response.ok) {
+    const detail = json && json.errors ? JSON.stringify(json.errors) : text;
+    throw new Error(`Shopify ${method} ${path} failed with ${response.status}: ${String(detail).slice(0, 500)}`);
+  }
+
+  return json || {};
+};
+
+const findIntegration = (order) =>
+  prisma.shipperIntegration.findFirst({
+    where: {
+      shipperId: order.shipperId,
+      provider: 'SHOPIFY',
+      shopDomain: order.sourceShopDomain,
+      status: 'active',
+    },
+  });
+
+const syncSelect = {
+  id: true,
+  shopifyFulfillmentId: true,
+  shopifyFulfillmentStatus: true,
+  shopifySyncError: true,
+  shopifySyncedAt: true,
+};
+
+const recordSync = (orderId, data) =>
+  prisma.order.update({
+    where: { id: orderId },
+    data: { ...data, shopifySyncedAt: new Date() },
+    select: syncSelect,
+  });
+
+// Conditionally mark the order as having its fulfillment created by us, so
+// concurrent syncs (booking and a status change) cannot both create one.
+// Returns true when this sync owns the creation.
+const claimFulfillmentCreation = async (orderId) => {
+  const now = new Date();
+  const { count } = await prisma.order.updateMany({
+    where: {
+      id: orderId,
+      shopifyFulfillmentId: null,
+      OR: [
+        { shopifyFulfillmentStatus: null },
+        { shopifyFulfillmentStatus: { not: FULFILLMENT_PENDING } },
+        { shopifySyncedAt: { lt: new Date(now.getTime() - PENDING_STALE_MS) } },
+      ],
+    },
+    data: { shopifyFulfillmentStatus: FULFILLMENT_PENDING, shopifySyncedAt: now },
+  });
+  return count === 1;
+};
+
+const releaseFulfillmentClaim = (orderId) =>
+  prisma.order.updateMany({
+    where: { id: orderId, shopifyFulfillmentId: null, shopifyFulfillmentStatus: FULFILLMENT_PENDING },
+    data: { shopifyFulfillmentStatus: null },
+  });
+
+// Create the fulfillment carrying our tracking number; returns its id
+const createFulfillment = async (integration, order) => {
+  const { fulfillment_orders: fulfillmentOrders = [] } = await shopifyRequest(
+    integration,
+    'GET',
+    `/orders/${order.sourceProviderOrderId}/fulfillment_orders.json`,
+  );
+
+  const open = fulfillmentOrders.filter((fo) =>
+    FULFILLABLE_STATUSES.includes(String(fo.status || '').toLowerCase()),
+  );
+  if (!open.length) {
+    throw new Error('Shopify order has no open fulfillment orders');
+  }
+
+  const { fulfillment } = await shopifyRequest(integration, 'POST', '/fulfillments.json', {
+    fulfillment: {
+      line_items_by_fulfillment_order: open.map((fo) => ({ fulfillment_order_id: fo.id })),
+      tracking_info: {
+        company: TRACKING_COMPANY,
+        number: order.trackingId,
+        url: trackingUrlFor(order.trackingId),
+      },
+      notify_customer: true,
+    },
+  });
+
+  if (!fulfillment || !fulfillment.id) {
+    throw new Error('Shopify did not return a fulfillment id');
+  }
+  return String(fulfillment.id);
+};
+
+/**
+ * Bring the Shopify fulfillment of an LLL order in line with its status:
+ * create it (with trackingId and tracking URL) if missing, then post a
+ * fulfillment event for delivery progress. Errors are stored on the order in
+ * shopifySyncError and never thrown.
+ *
+ * Returns the sync fields of the order, or null when there is nothing to sync.
+ */
+const syncShopifyFulfillment = async (orderRef) => {
+  if (!isShopifyOrder(orderRef)) return null;
+
+  const orderId = orderRef.id;
+  try {
+    // Re-read so a fulfillment created by an earlier sync is not created twice
+    let order = await prisma.order.findUnique({ where: { id: orderId } });
+    if (!order || order.isDeleted || order.status === 'CANCELLED') return null;
+
+    const integration = await findIntegration(order);
+    if (!integration || !integration.accessToken) {
+      return await recordSync(order.id, { shopifySyncError: 'Shopify store is not connected' });
+    }
+
+    let fulfillmentId = order.shopifyFulfillmentId;
+    if (!fulfillmentId) {
+      if (!(await claimFulfillmentCreation(order.id))) {
+        // Another sync is creating it and posts the latest status afterwards
+        return await prisma.order.findUnique({ where: { id: order.id }, select: syncSelect });
+      }
+
+      try {
+        fulfillmentId = await createFulfillment(integration, order);
+      } catch (err) {
+        await releaseFulfillmentClaim(order.id);
+        throw err;
+      }
+      await recordSync(order.id, {
+        shopifyFulfillmentId: fulfillmentId,
+        shopifyFulfillmentStatus: 'confirmed',
+        shopifySyncError: null,
+      });
+
+      // Pick up a status change whose sync skipped while we held the claim
+      const latest = await prisma.order.findUnique({ where: { id: order.id } });
+      order = { ...latest, shopifyFulfillmentStatus: 'confirmed' };
+    }
+
+    const eventStatus = FULFILLMENT_EVENT_BY_STATUS[order.status];
+    if (!eventStatus || eventStatus === order.shopifyFulfillmentStatus) {
+      return await recordSync(order.id, { shopifySyncError: null });
+    }
+
+    await shopifyRequest(
+      integration,
+      'POST',
+      `/orders/${order.sourceProviderOrderId}/fulfillments/${fulfillmentId}/events.json`,
+      {
+        event: {
+          status: eventStatus,
+          message: order.status === 'RETURNED' ? 'Returned to shipper' : undefined,
+        },
+      },
+    );
+
+    return await recordSync(order.id, {
+      shopifyFulfillmentStatus: eventStatus,
+      shopifySyncError: null,
+    });
+  } catch (err) {
+    console.error('[ShopifyFulfillment] Sync failed for order', orderId, err.message);
+    try {
+      return await recordSync(orderId, { shopifySyncError: err.message.slice(0, 2000) });
+    } catch (recordErr) {
+      console.error('[ShopifyFulfillment] Could not record sync error', orderId, recordErr.message);
+      return null;
+    }
+  }
+};
+
+module.exports = {
+  FULFILLMENT_EVENT_BY_STATUS,
+  getAdminBaseUrl,
+  trackingUrlFor,
+  isShopifyOrder,
+  syncShopifyFulfillment,
+};
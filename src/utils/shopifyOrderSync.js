@@ -0,0 +1,227 @@
+const prisma = require('../prismaClient');
+const { mapShopify } = require('./providerMappers');
+const { cancelOrder } = require('./orderCancellation');
+const { isClosedOrderStatus } = require('./orderStatusMachine');
+
+const normalizeWhitespace = (value) => {
+  if (!value) return '';
+  return String(value).replace(/\s+/g, ' ').trim();
+};
+
+const normalizePhone = (value) => {
+  if (!value) return '';
+  return String(value).replace(/\D/g, '');
+};
+
+const toSnapshot = (obj) => JSON.parse(JSON.stringify(obj));
+
+// Store edits are copied automatically only until the parcel is dispatched.
+// Later on the rider, runsheet or invoice already carries the old COD and
+// address, so managers are alerted instead.
+const AUTO_EDIT_STATUSES = ['CREATED', 'ASSIGNED', 'AT_LLL_WAREHOUSE'];
+
+// Same lock as ceoEditOrder, plus parcels handed out on an open runsheet.
+// `updatedAt` makes the update conditional on the order we diffed against.
+const autoEditableWhere = (order) => ({
+  id: order.id,
+  updatedAt: order.updatedAt,
+  status: { in: AUTO_EDIT_STATUSES },
+  invoiceId: null,
+  runsheetItems: { none: { runsheet: { status: 'OPEN' } } },
+  NOT: {
+    financialTransaction: {
+      is: {
+        OR: [{ settlementStatus: { in: ['PAID', 'SETTLED'] } }, { shipperPayoutStatus: 'PAID' }],
+      },
+    },
+  },
+});
+
+const storeOrderLabel = (integratedOrder) =>
+  `Shopify order ${integratedOrder.providerOrderNumber || integratedOrder.providerOrderId}`;
+
+/**
+ * Consignee fields of a linked order that differ from the store's copy. Mapped
+ * the same way bookIntegratedOrder does so an unchanged Shopify order yields
+ * no changes. Blank store values never overwrite what we have.
+ */
+const diffOrderFields = (order, integratedOrder, payload) => {
+  const mapped = mapShopify(payload || {});
+  const incoming = {
+    consigneePhone: normalizePhone(mapped.consigneePhone || integratedOrder.phone || ''),
+    consigneeAddress: normalizeWhitespace(mapped.consigneeAddress || integratedOrder.address || ''),
+    destinationCity: normalizeWhitespace(mapped.destinationCity || integratedOrder.city || ''),
+  };
+
+  const changes = {};
+  Object.keys(incoming).forEach((field) => {
+    if (incoming[field] && incoming[field] !== order[field]) {
+      changes[field] = incoming[field];
+    }
+  });
+
+  // Prepaid orders carry no COD, whatever the store total is.
+  if (order.paymentType === 'COD') {
+    const codAmount = Number(mapped.codAmount || 0);
+    if (Number.isFinite(codAmount) && codAmount > 0 && codAmount !== order.codAmount) {
+      changes.codAmount = codAmount;
+      changes.totalAmount = codAmount + order.serviceCharges;
+    }
+  }
+
+  return changes;
+};
+
+const alertManagers = async (order, integratedOrder, { event, message, extra = {} }) => {
+  const managers = await prisma.user.findMany({
+    where: { role: { in: ['CEO', 'MANAGER'] }, status: 'ACTIVE' },
+    select: { id: true },
+  });
+  if (!managers.length) return 0;
+
+  const { count } = await prisma.notification.createMany({
+    data: managers.map((m) => ({
+      type: 'ORDER_UPDATE',
+      recipientId: m.id,
+      message,
+      metadata: {
+        event,
+        provider: 'SHOPIFY',
+        orderId: order.id,
+        bookingId: order.bookingId,
+        shipperId: order.shipperId,
+        status: order.status,
+        providerOrderId: integratedOrder.providerOrderId,
+        providerOrderNumber: integratedOrder.providerOrderNumber || null,
+        ...extra,
+      },
+    })),
+  });
+  return count;
+};
+
+const applyCancellation = async (order, integratedOrder) => {
+  if (order.status === 'CANCELLED') return { action: 'ALREADY_CANCELLED' };
+  // Delivered or returned parcels are settled; a late store cancellation
+  // changes nothing for us.
+  if (isClosedOrderStatus(order.status)) return { action: 'IGNORED' };
+
+  const result = await cancelOrder(order, {
+    reasonCode: 'CUSTOMER_CANCELLED',
+    note: `${storeOrderLabel(integratedOrder)} cancelled in the store`,
+    cancelledById: null,
+    role: 'SHIPPER',
+  });
+  if (!result.conflict) return { action: 'CANCELLED' };
+
+  const alerted = await alertManagers(order, integratedOrder, {
+    event: 'STORE_ORDER_CANCELLED_IN_TRANSIT',
+    message: `${storeOrderLabel(integratedOrder)} was cancelled by the store but ${order.bookingId} is already ${order.status}. Stop delivery and arrange a return.`,
+  });
+  return { action: 'ALERTED', alerted };
+};
+
+const applyEdits = async (order, integratedOrder, payload) => {
+  if (isClosedOrderStatus(order.status)) return { action: 'IGNORED' };
+
+  const changes = diffOrderFields(order, integratedOrder, payload);
+  if (!Object.keys(changes).length) return { action: 'UNCHANGED' };
+
+  const applied = await prisma.$transaction(async (tx) => {
+    const locked = await tx.order.updateMany({
+      where: autoEditableWhere(order),
+      data: changes,
+    });
+    if (locked.count !== 1) return false;
+
+    const updated = await tx.order.findUnique({ where: { id: order.id } });
+
+    // Store edits are the shipper's edits; the log records them as such.
+    await tx.orderEditLog.create({
+      data: {
+        orderId: order.id,
+        editedById: order.shipperId,
+        reason: `Updated from ${storeOrderLabel(integratedOrder)}`,
+        before: toSnapshot(order),
+        after: toSnapshot(updated),
+        ip: null,
+        userAgent: 'Shopify webhook',
+      },
+    });
+    return true;
+  });
+
+  const fields = Object.keys(changes);
+  if (applied) return { action: 'UPDATED', fields };
+
+  // Dispatched, on a runsheet, invoiced or settled (or changed meanwhile):
+  // leave the order alone and let managers reconcile with the shipper. Shopify
+  // re-sends orders/updated for unrelated changes, so alert once per edit.
+  const alreadyAlerted = await prisma.notification.findFirst({
+    where: {
+      type: 'ORDER_UPDATE',
+      AND: [
+        { metadata: { path: '$.event', equals: 'STORE_ORDER_EDITED_AFTER_DISPATCH' } },
+        { metadata: { path: '$.orderId', equals: order.id } },
+        { metadata: { path: '$.changes', equals: changes } },
+      ],
+    },
+    select: { id: true },
+  });
+  if (alreadyAlerted) return { action: 'UNCHANGED' };
+
+  const alerted = await alertManagers(order, integratedOrder, {
+    event: 'STORE_ORDER_EDITED_AFTER_DISPATCH',
+    message: `${storeOrderLabel(integratedOrder)} was edited in the store (${fields.join(', ')}) but ${order.bookingId} is locked at ${order.status}. The changes were not applied; confirm them with the shipper.`,
+    extra: { changes },
+  });
+  return { action: 'ALERTED', alerted, fields };
+};
+
+/**
+ * Carry a Shopify order webhook over to the LLL order booked from it:
+ *
+ *   orders/cancelled  cancel the order while it is still pre-pickup, otherwise
+ *                     alert CEO/managers that a cancelled order is in transit
+ *   orders/updated    copy address, city, phone and COD edits to the order and
+ *                     log them in OrderEditLog while it is not dispatched yet,
+ *                     otherwise alert CEO/managers without changing it
+ *
+ * Never throws: the webhook has already been stored and must still get a 200.
+ * Returns { action } describing what was done, or null.
+ */
+const syncLinkedOrder = async (integratedOrder, topic, payload) => {
+  if (!integratedOrder || integratedOrder.lllBookingStatus !== 'BOOKED' || !integratedOrder.lllOrderId) {
+    return null;
+  }
+
+  try {
+    const order = await prisma.order.findUnique({ where: { id: integratedOrder.lllOrderId } });
+    if (!order || order.isDeleted) return null;
+
+    let result = null;
+    if (topic === 'orders/cancelled') {
+      result = await applyCancellation(order, integratedOrder);
+    } else if (topic === 'orders/updated' && !(payload && payload.cancelled_at)) {
+      // A cancellation also arrives as orders/updated; orders/cancelled handles it.
+      result = await applyEdits(order, integratedOrder, payload);
+    }
+
+    if (result && !['UNCHANGED', 'ALREADY_CANCELLED'].includes(result.action)) {
+      console.log('[ShopifyOrderSync] Linked order synced', {
+        orderId: order.id,
+        integratedOrderId: integratedOrder.id,
+        topic,
+        ...result,
+      });
+    }
+    return result;
+  } catch (err) {
+    console.error('[ShopifyOrderSync] Failed to sync linked order', integratedOrder.lllOrderId, err.message);
+    return null;
+  }
+};
+
+module.exports = {
+  syncLinkedOrder,
+};
@@ -0,0 +1,180 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const prisma = require('../prismaClient');
+const { getJwtSecret } = require('./sessions');
+const { verifyTotp } = require('./totp');
+const { STAFF_ROLES } = require('./permissions');
+
+// Roles that can enroll in two-factor auth and that the CEO can make it
+// mandatory for.
+const TWO_FACTOR_ROLES = STAFF_ROLES;
+
+const REQUIRED_ROLES_SETTING = 'TWO_FACTOR_REQUIRED_ROLES';
+const CHALLENGE_TTL = '10m';
+const BACKUP_CODE_COUNT = 10;
+
+const CHALLENGE_LOGIN = '2fa_login';
+const CHALLENGE_SETUP = '2fa_setup';
+
+// --- Secret storage ---
+
+const encryptionKey = () =>
+  crypto
+    .createHash('sha256')
+    .update(process.env.TWO_FACTOR_ENCRYPTION_KEY || getJwtSecret())
+    .digest();
+
+const encryptSecret = (secret) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', encryptionKey(), iv);
+  const data = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+  const tag = cipher.getAuthTag();
+  return ['v1', iv.toString('base64'), tag.toString('base64'), data.toString('base64')].join(':');
+};
+
+const decryptSecret = (stored) => {
+  const [version, iv, tag, data] = String(stored || '').split(':');
+  if (version !== 'v1' || !iv || !tag || !data) {
+    throw new Error('Unrecognised two-factor secret format');
+  }
+  const decipher = crypto.createDecipheriv('aes-256-gcm', encryptionKey(), Buffer.from(iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(tag, 'base64'));
+  return Buffer.concat([decipher.update(Buffer.from(data, 'base64')), decipher.final()]).toString('utf8');
+};
+
+// --- Role policy ---
+
+const getRequiredRoles = async () => {
+  const setting = await prisma.systemSetting.findUnique({
+    where: { key: REQUIRED_ROLES_SETTING },
+  });
+  if (!setting) return [];
+  try {
+    const roles = JSON.parse(setting.value);
+    return Array.isArray(roles) ? roles.filter((r) => TWO_FACTOR_ROLES.includes(r)) : [];
+  } catch (e) {
+    return [];
+  }
+};
+
+const setRequiredRoles = async (roles) => {
+  const value = JSON.stringify(roles);
+  await prisma.systemSetting.upsert({
+    where: { key: REQUIRED_ROLES_SETTING },
+    update: { value },
+    create: { key: REQUIRED_ROLES_SETTING, value },
+  });
+  return roles;
+};
+
+const isTwoFactorRequired = async (user) =>
+  (await getRequiredRoles()).includes(user.role);
+
+// --- Login challenges ---
+
+const issueChallenge = (user, purpose) =>
+  jwt.sign({ id: user.id, purpose }, getJwtSecret(), { expiresIn: CHALLENGE_TTL });
+
+// Returns the user id a challenge token was issued for, or null
+const readChallenge = (token, purpose) => {
+  try {
+    const decoded = jwt.verify(String(token || ''), getJwtSecret());
+    if (decoded.purpose !== purpose) return null;
+    const userId = Number(decoded.id);
+    return Number.isInteger(userId) && userId > 0 ? userId : null;
+  } catch (e) {
+    return null;
+  }
+};
+
+/**
+ * What a user who has just passed the first factor must do before getting a
+ * session: enter a code (twoFactorRequired) or, when their role requires 2FA
+ * and they have not enrolled yet, enroll first (twoFactorSetupRequired).
+ * Returns null when a session can be started straight away.
+ */
+const getLoginChallenge = async (user) => {
+  if (user.twoFactorEnabled) {
+    return {
+      twoFactorRequired: true,
+      challengeToken: issueChallenge(user, CHALLENGE_LOGIN),
+    };
+  }
+  if (await isTwoFactorRequired(user)) {
+    return {
+      twoFactorSetupRequired: true,
+      challengeToken: issueChallenge(user, CHALLENGE_SETUP),
+    };
+  }
+  return null;
+};
+
+// --- Codes ---
+
+const hashBackupCode = (code) =>
+  crypto
+    .createHash('sha256')
+    .update(String(code).toLowerCase().replace(/[^a-z0-9]/g, ''))
+    .digest('hex');
+
+// Replace the user's backup codes; returns the new codes in plain text. They
+// are shown once and only their hashes are kept.
+const regenerateBackupCodes = async (client, userId) => {
+  const codes = Array.from({ length: BACKUP_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+
+  await client.twoFactorBackupCode.deleteMany({ where: { userId } });
+  await client.twoFactorBackupCode.createMany({
+    data: codes.map((code) => ({ userId, codeHash: hashBackupCode(code) })),
+  });
+
+  return codes;
+};
+
+/**
+ * Check an authenticator code, or failing that an unused backup code, for a
+ * user with 2FA set up. Consumes what it accepts so it cannot be used twice.
+ * Returns 'TOTP', 'BACKUP_CODE' or null.
+ */
+const verifySecondFactor = async (user, code) => {
+  if (!user.twoFactorSecret || !code) return null;
+
+  const step = verifyTotp(decryptSecret(user.twoFactorSecret), code, {
+    lastUsedStep: user.twoFactorLastUsedStep,
+  });
+  if (step !== null) {
+    // Conditional so the same code cannot log in twice in parallel
+    const claimed = await prisma.user.updateMany({
+      where: {
+        id: user.id,
+        OR: [{ twoFactorLastUsedStep: null }, { twoFactorLastUsedStep: { lt: step } }],
+      },
+      data: { twoFactorLastUsedStep: step },
+    });
+    return claimed.count === 1 ? 'TOTP' : null;
+  }
+
+  if (!user.twoFactorEnabled) return null;
+
+  const used = await prisma.twoFactorBackupCode.updateMany({
+    where: { userId: user.id, codeHash: hashBackupCode(code), usedAt: null },
+    data: { usedAt: new Date() },
+  });
+  return used.count === 1 ? 'BACKUP_CODE' : null;
+};
+
+module.exports = {
+  TWO_FACTOR_ROLES,
+  CHALLENGE_LOGIN,
+  CHALLENGE_SETUP,
+  encryptSecret,
+  getRequiredRoles,
+  setRequiredRoles,
+  isTwoFactorRequired,
+  readChallenge,
+  getLoginChallenge,
+  regenerateBackupCodes,
+  verifySecondFactor,
+};
@@ -0,0 +1,328 @@
+const crypto = require('crypto');
+const dns = require('dns');
+const https = require('https');
+const net = require('net');
+const prisma = require('../prismaClient');
+
+const MAX_ATTEMPTS = Number(process.env.WEBHOOK_MAX_ATTEMPTS || 6);
+const RETRY_BASE_SECONDS = Number(process.env.WEBHOOK_RETRY_BASE_SECONDS || 30);
+const REQUEST_TIMEOUT_MS = Number(process.env.WEBHOOK_TIMEOUT_MS || 10000);
+const DISPATCH_INTERVAL_MS = Number(process.env.WEBHOOK_DISPATCH_INTERVAL_MS || 15000);
+// A claimed delivery is not picked up again until this lease expires, so a
+// crash mid-send only delays the retry.
+const CLAIM_LEASE_MS = 5 * 60 * 1000;
+
+// Callbacks are shipper-controlled URLs, so the server must never be pointed
+// at itself or the internal network: loopback, private, CGNAT, link-local
+// (cloud metadata), multicast and reserved ranges are all refused.
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],
+  ['224.0.0.0', 4],
+  ['240.0.0.0', 4],
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128],
+  ['::1', 128],
+  ['fc00::', 7],
+  ['fe80::', 10],
+  ['ff00::', 8],
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv6'));
+
+const isPublicAddress = (address) => {
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+  if (mapped) return isPublicAddress(mapped[1]);
+  const family = net.isIP(address);
+  if (!family) return false;
+  return !BLOCKED_ADDRESSES.check(address, family === 6 ? 'ipv6' : 'ipv4');
+};
+
+const privateAddressError = () =>
+  Object.assign(new Error('Callback URL resolves to a private address'), { code: 'EPRIVATEADDRESS' });
+
+// dns.lookup drop-in for https.request that refuses non-public addresses, so
+// the check also holds if the name is re-pointed after the URL was saved.
+const publicOnlyLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, options, (err, address, family) => {
+    if (err) return callback(err);
+    const addresses = Array.isArray(address) ? address : [{ address, family }];
+    if (!addresses.length || addresses.some((a) => !isPublicAddress(a.address))) {
+      return callback(privateAddressError());
+    }
+    return callback(null, address, family);
+  });
+};
+
+const generateCallbackSecret = () => `whsec_${crypto.randomBytes(24).toString('hex')}`;
+
+/**
+ * Signature sent in X-LahoreLink-Signature: "sha256=" + hex HMAC-SHA256 of
+ * "<timestamp>.<raw body>" keyed with the shipper's callback secret.
+ */
+const signPayload = (secret, timestamp, body) =>
+  `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+
+// 30s, 60s, 120s, ... with the default base
+const retryDelayMs = (attempts) => RETRY_BASE_SECONDS * 1000 * 2 ** Math.max(0, attempts - 1);
+
+const isValidCallbackUrl = (value) => {
+  try {
+    const url = new URL(String(value));
+    return url.protocol === 'https:' && !url.username && !url.password;
+  } catch (e) {
+    return false;
+  }
+};
+
+/**
+ * Check a callback URL before saving it. Resolves with an error message, or
+ * null when the URL is https and every address its host resolves to is public.
+ */
+const checkCallbackUrl = async (value) => {
+  if (!isValidCallbackUrl(value)) return 'callbackUrl must be a valid https URL';
+
+  const hostname = new URL(String(value)).hostname.replace(/^\[|\]$/g, '');
+  let addresses;
+  try {
+    addresses = net.isIP(hostname)
+      ? [{ address: hostname }]
+      : await dns.promises.lookup(hostname, { all: true });
+  } catch (e) {
+    return 'callbackUrl host could not be resolved';
+  }
+  if (!addresses.length || addresses.some((a) => !isPublicAddress(a.address))) {
+    return 'callbackUrl must point to a public internet address';
+  }
+  return null;
+};
+
+// POST the body and resolve with the response status. The response body is
+// discarded: it belongs to the shipper's server and is never shown back.
+const postCallback = (url, headers, body) =>
+  new Promise((resolve, reject) => {
+    // IP literals never go through the lookup hook
+    const hostname = new URL(url).hostname.replace(/^\[|\]$/g, '');
+    if (net.isIP(hostname) && !isPublicAddress(hostname)) {
+      reject(privateAddressError());
+      return;
+    }
+
+    const req = https.request(
+      url,
+      {
+        method: 'POST',
+        headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+        lookup: publicOnlyLookup,
+        timeout: REQUEST_TIMEOUT_MS,
+      },
+      (response) => {
+        response.resume();
+        resolve(response.statusCode);
+      },
+    );
+    req.on('timeout', () => {
+      req.destroy(Object.assign(new Error('Request timed out'), { code: 'ETIMEDOUT' }));
+    });
+    req.on('error', reject);
+    req.end(body);
+  });
+
+// Stored in lastError and shown to the shipper, so only generic wording
+const deliveryErrorMessage = (err) => {
+  if (err.code === 'EPRIVATEADDRESS') return err.message;
+  if (err.code === 'ETIMEDOUT') return `Timed out after ${REQUEST_TIMEOUT_MS}ms`;
+  if (err.code === 'ENOTFOUND' || err.code === 'EAI_AGAIN') return 'Callback host could not be resolved';
+  return 'Could not connect to the callback URL';
+};
+
+/**
+ * Queue a webhook for a shipper. Does nothing when the shipper has no
+ * callback URL configured. Returns the delivery row or null.
+ */
+const enqueueWebhook = async ({ shipperId, orderId, event, data }, client = prisma) => {
+  const config = await client.integrationConfig.findUnique({
+    where: { shipperId },
+    select: { callbackUrl: true, callbackSecret: true },
+  });
+  if (!config || !config.callbackUrl || !config.callbackSecret) return null;
+
+  const delivery = await client.webhookDelivery.create({
+    data: {
+      shipperId,
+      orderId: orderId || null,
+      event,
+      url: config.callbackUrl,
+      payload: { event, occurredAt: new Date().toISOString(), data },
+      nextAttemptAt: new Date(),
+    },
+  });
+
+  // Send right away; the dispatcher picks it up again if this fails.
+  setImmediate(() => {
+    attemptDelivery(delivery.id).catch((err) => {
+      console.error('[Webhook] Immediate delivery failed', delivery.id, err.message);
+    });
+  });
+
+  return delivery;
+};
+
+/**
+ * Send one delivery if it is still due. The row is claimed first so that the
+ * dispatcher and an immediate send never post the same webhook twice.
+ */
+const attemptDelivery = async (deliveryId) => {
+  const now = new Date();
+  const claimed = await prisma.webhookDelivery.updateMany({
+    where: { id: deliveryId, status: 'PENDING', nextAttemptAt: { lte: now } },
+    data: { nextAttemptAt: new Date(now.getTime() + CLAIM_LEASE_MS) },
+  });
+  if (!claimed.count) return null;
+
+  const delivery = await prisma.webhookDelivery.findUnique({ where: { id: deliveryId } });
+  const config = await prisma.integrationConfig.findUnique({
+    where: { shipperId: delivery.shipperId },
+    select: { callbackSecret: true },
+  });
+
+  const attempts = delivery.attempts + 1;
+  let responseStatus = null;
+  let error = null;
+
+  if (!config || !config.callbackSecret) {
+    error = 'Callback secret is no longer configured';
+  } else if (!isValidCallbackUrl(delivery.url)) {
+    error = 'Callback URL must use https';
+  } else {
+    const body = JSON.stringify({ id: delivery.id, ...delivery.payload });
+    const timestamp = String(Math.floor(Date.now() / 1000));
+    try {
+      // Redirects are not followed; a 3xx counts as a failed attempt
+      responseStatus = await postCallback(
+        delivery.url,
+        {
+          'Content-Type': 'application/json',
+          'User-Agent': 'LahoreLink-Webhooks/1.0',
+          'X-LahoreLink-Event': delivery.event,
+          'X-LahoreLink-Delivery': String(delivery.id),
+          'X-LahoreLink-Timestamp': timestamp,
+          'X-LahoreLink-Signature': signPayload(config.callbackSecret, timestamp, body),
+        },
+        body,
+      );
+      if (responseStatus < 200 || responseStatus >= 300) {
+        error = `HTTP ${responseStatus}`;
+      }
+    } catch (err) {
+      error = deliveryErrorMessage(err);
+    }
+  }
+
+  const delivered = !error;
+  const exhausted = !delivered && attempts >= MAX_ATTEMPTS;
+
+  return prisma.webhookDelivery.update({
+    where: { id: delivery.id },
+    data: {
+      attempts,
+      lastAttemptAt: new Date(),
+      lastResponseStatus: responseStatus,
+      lastError: error,
+      status: delivered ? 'DELIVERED' : exhausted ? 'FAILED' : 'PENDING',
+      deliveredAt: delivered ? new Date() : null,
+      nextAttemptAt:
+        delivered || exhausted ? null : new Date(Date.now() + retryDelayMs(attempts)),
+    },
+  });
+};
+
+const processDueDeliveries = async (limit = 20) => {
+  const due = await prisma.webhookDelivery.findMany({
+    where: { status: 'PENDING', nextAttemptAt: { lte: new Date() } },
+    select: { id: true },
+    orderBy: { nextAttemptAt: 'asc' },
+    take: limit,
+  });
+
+  for (const { id } of due) {
+    try {
+      await attemptDelivery(id);
+    } catch (err) {
+      console.error('[Webhook] Delivery attempt failed', id, err.message);
+    }
+  }
+
+  return due.length;
+};
+
+let dispatcherTimer = null;
+let dispatching = false;
+
+/**
+ * Poll for due retries. Started from server.js so scripts that only load the
+ * app do not send webhooks.
+ */
+const startWebhookDispatcher = () => {
+  if (dispatcherTimer) return dispatcherTimer;
+
+  dispatcherTimer = setInterval(async () => {
+    if (dispatching) return;
+    dispatching = true;
+    try {
+      await processDueDeliveries();
+    } catch (err) {
+      console.error('[Webhook] Dispatcher run failed', err.message);
+    } finally {
+      dispatching = false;
+    }
+  }, DISPATCH_INTERVAL_MS);
+  dispatcherTimer.unref();
+
+  return dispatcherTimer;
+};
+
+/**
+ * Queue a fresh copy of an earlier delivery to the shipper's current
+ * callback URL. The original row is left untouched for the log.
+ */
+const resendDelivery = async (delivery) => {
+  const config = await prisma.integrationConfig.findUnique({
+    where: { shipperId: delivery.shipperId },
+    select: { callbackUrl: true, callbackSecret: true },
+  });
+  if (!config || !config.callbackUrl || !config.callbackSecret) return null;
+
+  const copy = await prisma.webhookDelivery.create({
+    data: {
+      shipperId: delivery.shipperId,
+      orderId: delivery.orderId,
+      event: delivery.event,
+      url: config.callbackUrl,
+      payload: delivery.payload,
+      nextAttemptAt: new Date(),
+      resentFromId: delivery.id,
+    },
+  });
+
+  return attemptDelivery(copy.id);
+};
+
+module.exports = {
+  generateCallbackSecret,
+  signPayload,
+  isValidCallbackUrl,
+  checkCallbackUrl,
+  enqueueWebhook,
+  attemptDelivery,
+  processDueDeliveries,
+  startWebhookDispatcher,
+  resendDelivery,
+};
@@ -0,0 +1,161 @@
+const prisma = require('../prismaClient');
+
+// Where each provider puts the webhook metadata we keep in WebhookLog. Replays
+// send the stored values back under the same headers.
+const WEBHOOK_HEADERS = {
+  SHOPIFY: {
+    topic: 'X-Shopify-Topic',
+    shopDomain: 'X-Shopify-Shop-Domain',
+    webhookId: 'X-Shopify-Webhook-Id',
+    signature: 'X-Shopify-Hmac-Sha256',
+  },
+  WOOCOMMERCE: {
+    topic: 'X-WC-Webhook-Topic',
+    shopDomain: 'X-WC-Webhook-Source',
+    webhookId: 'X-WC-Webhook-Delivery-ID',
+    signature: 'X-WC-Webhook-Signature',
+  },
+};
+
+const MAX_ERROR_LENGTH = 2000;
+
+const parsePayload = (body) => {
+  const text = Buffer.isBuffer(body) ? body.toString('utf8') : String(body || '');
+  if (!text) return null;
+  try {
+    return JSON.parse(text);
+  } catch (e) {
+    return null;
+  }
+};
+
+const headerValue = (req, name) => {
+  const value = String(req.header(name) || '').trim();
+  return value || null;
+};
+
+// Handlers answer "OK" when the webhook was applied; anything else ("No
+// integration for shop", "Invalid HMAC", "Ignored") says why it was not.
+const outcomeMessage = (body, error) => {
+  const message = error || (body && String(body) !== 'OK' ? String(body) : null);
+  return message ? message.slice(0, MAX_ERROR_LENGTH) : null;
+};
+
+const writeWebhookLog = async (data) => {
+  try {
+    return await prisma.webhookLog.create({ data });
+  } catch (err) {
+    console.error('[WebhookLog] Failed to write webhook log', err.message);
+    return null;
+  }
+};
+
+/**
+ * Route middleware that stores every signed inbound webhook once its response
+ * has been sent. The body is read at that point, so it may sit ahead of
+ * express.raw(); keep it behind the rate limiter so anonymous traffic cannot
+ * fill the table. Requests without a signature header are not stored.
+ *
+ * Handlers set res.locals.webhookVerified once the signature checks out and
+ * can put an exception message in res.locals.webhookError.
+ */
+const recordWebhook = (provider) => (req, res, next) => {
+  const headers = WEBHOOK_HEADERS[provider];
+  const signature = headerValue(req, headers.signature);
+  if (!signature) return next();
+
+  let responseBody = null;
+
+  const send = res.send.bind(res);
+  res.send = (body) => {
+    responseBody = body;
+    return send(body);
+  };
+
+  res.on('finish', () => {
+    const payload = parsePayload(req.body);
+    writeWebhookLog({
+      provider,
+      topic: headerValue(req, headers.topic),
+      shopDomain: (headerValue(req, headers.shopDomain) || '').toLowerCase() || null,
+      webhookId: headerValue(req, headers.webhookId),
+      statusCode: res.statusCode,
+      errorMessage: outcomeMessage(responseBody, res.locals.webhookError),
+      payload: payload === null ? undefined : payload,
+      rawBody: Buffer.isBuffer(req.body) ? req.body : undefined,
+      signature,
+      signatureVerified: res.locals.webhookVerified === true,
+    });
+  });
+
+  next();
+};
+
+// Only deliveries that passed the signature check on arrival, and whose
+// original bytes were kept, can be replayed.
+const isReplayable = (log) => Boolean(log && log.signatureVerified && log.rawBody && log.signature);
+
+/**
+ * Run a stored webhook through its handler again with the original body and
+ * signature, so the handler verifies it against the current secret as usual.
+ * The request is flagged as a replay so only the duplicate-delivery check is
+ * skipped; the outcome is stored as a new WebhookLog pointing at the original.
+ *
+ * Returns { statusCode, body, log }.
+ */
+const replayWebhookLog = async (log, handler) => {
+  const headers = WEBHOOK_HEADERS[log.provider];
+  const values = {
+    [headers.topic.toLowerCase()]: log.topic || '',
+    [headers.shopDomain.toLowerCase()]: log.shopDomain || '',
+    [headers.webhookId.toLowerCase()]: log.webhookId || '',
+    [headers.signature.toLowerCase()]: log.signature || '',
+  };
+  const rawBody = Buffer.from(log.rawBody);
+
+  const req = {
+    body: rawBody,
+    webhookReplay: true,
+    header: (name) => values[String(name).toLowerCase()] || '',
+  };
+  req.get = req.header;
+
+  const res = {
+    statusCode: 200,
+    body: null,
+    locals: {},
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    send(body) {
+      this.body = body;
+      return this;
+    },
+  };
+
+  await handler(req, res);
+
+  const entry = await writeWebhookLog({
+    provider: log.provider,
+    topic: log.topic,
+    shopDomain: log.shopDomain,
+    webhookId: log.webhookId,
+    statusCode: res.statusCode,
+    errorMessage: outcomeMessage(res.body, res.locals.webhookError),
+    payload: log.payload,
+    rawBody,
+    signature: log.signature,
+    signatureVerified: res.locals.webhookVerified === true,
+    replayOfId: log.id,
+  });
+
+  return { statusCode: res.statusCode, body: res.body, log: entry };
+};
+
+module.exports = {
+  WEBHOOK_HEADERS,
+  recordWebhook,
+  isReplayable,
+  replayWebhookLog,
+};